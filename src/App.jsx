@@ -1,20 +1,102 @@
-import { Component, useEffect, useRef, useState } from "react";
+import { Component, useEffect, useMemo, useRef, useState } from "react";
+import { applyModel, findModel, getCategory, getEquipmentName, getModelLabel } from "./catalog.js";
+import CableBom from "./CableBom.jsx";
+import CapacityDashboard from "./CapacityDashboard.jsx";
+import EquipmentCatalog from "./EquipmentCatalog.jsx";
+import { getRoomCapacity } from "./capacity.js";
+import { INLET_LIMIT, getTemperatureColor, getThermalField } from "./thermal.js";
+import { LAYOUT_CHECKS, checkLayout, entersDoorSwing, findDoorConflict, getViolationIds } from "./clearance.js";
+import { CABLE_COLORS, getFillColor, getRoomCableLengths, getTrayFill } from "./cabling.js";
+import { FITTING_TYPES, buildTrayNetwork, findTrayJunctions, getConnectionAnchor, getConnectionRoute, getRouteLength } from "./routing.js";
+import { drawDimensions } from "./dimensions.js";
+import { MEASURE_MODES, createAnchor, describeMeasurement, getDistance, getMeasurement, getMinimumPoints, resolveAnchor, resolveAnnotation } from "./measure.js";
 import {
-  EQUIPMENT_PRESETS,
+  TILE_TYPES,
+  UNDERFLOOR_DEFAULTS,
+  UNDERFLOOR_TYPES,
+  getEquipmentTile,
+  getFirstTileLine,
+  getGridOrigin,
+  getTileAddress,
+  getTileAt,
+  getTileCenter,
+  getTileRect,
+  getTileSize,
+  normalizeTileAddress,
+  parseTileAddress,
+  placeOnTile,
+  rekeyTiles,
+  snapToTileEdges,
+} from "./plenum.js";
+import { CIRCUIT_LOAD_LIMIT, POWER_FEEDS, getDeviceDraw, getPowerBudget, pruneCircuitSources } from "./power.js";
+import { AISLE_SIDES, CONTAINMENT_TYPES, getContainmentEnds, getContainmentPolygon, getNextRowIndex, getRowCabinets, getRowContainment, getRowPlacement, layoutRow } from "./rows.js";
+import { getConnectionPortIssue, getEndpointPorts, getPortConnections, getPortPair, getPortValue, parsePortValue, pruneConnectionPorts, traceCircuit } from "./ports.js";
+import {
+  DOOR_DEFAULTS,
+  DOOR_STYLES,
   RU_HEIGHT,
   clamp,
+  createId,
   degToRad,
+  findById,
   fitCanvas,
-  getConnectionAnchor,
+  getDoorLeaves,
+  getFront,
   getOpeningBounds,
   getPlanProjection,
+  getPolygonArea,
+  getRoomFootprint,
   getTraySegments,
   getWallSegments,
-  normalizeConnection,
+  isPointInsidePolygon,
   pointAlongWall,
+  removeOutlineVertex,
+  setWallAngle,
+  setWallLength,
+  splitWall,
 } from "./modeling.js";
+import {
+  beginTransaction,
+  commitHistory,
+  createHistory,
+  endTransaction,
+  jumpHistory,
+  redoHistory,
+  undoHistory,
+  updateTransaction,
+} from "./history.js";
+import { drawFloorPlan, findRoomAt, getFloorProjection } from "./floorPlan.js";
+import { PROJECT_SCHEMA_VERSION, parseProject, serializeProject } from "./project.js";
+import {
+  addHierarchyNode,
+  createDefaultProject,
+  getLinkedPassThrough,
+  getRoomPath,
+  pruneLinks,
+  removeHierarchyNode,
+  renameHierarchyNode,
+  updateRoomRecord,
+} from "./site.js";
+import {
+  getChannelIssue,
+  getDeviceRackUnits,
+  getMountFace,
+  getMountOffset,
+  getMountPoint,
+  getMountedCabinet,
+  getNextRackStart,
+  getRackPlacementIssue,
+  isZeroU,
+  mountInChannel,
+  mountInRack,
+} from "./rack.js";
+import RackElevation from "./RackElevation.jsx";
 import Scene3D from "./Scene3D.jsx";
+import SiteNavigator from "./SiteNavigator.jsx";
 
+const TRACE_COLOR = "#0f9d8a";
+const CONFLICT_COLOR = "#d24444";
+const ROUTE_MODES = { tray: "Follows cable trays", manual: "Manual waypoints", direct: "Direct at route height" };
 const HARDWARE_COLORS = {
   red: { label: "Red", color2d: "#d24444", color3d: "#c73a3a" },
   blue: { label: "Blue", color2d: "#2a7bc9", color3d: "#2e68b7" },
@@ -23,11 +105,11 @@ const HARDWARE_COLORS = {
   purple: { label: "Purple", color2d: "#7a4db8", color3d: "#6942a8" },
 };
 
-const defaultRoom = { width: 6000, length: 9000, height: 3200, southTiltDeg: 0, eastTiltDeg: 0, floorElevation: 300, floorTileSize: 600 };
-const defaultOpening = { label: "Door 1", type: "door", wall: 0, offset: 800, width: 1000, height: 2100, sillHeight: 0 };
+const defaultOpening = { label: "Door 1", type: "door", wall: 0, offset: 800, width: 1000, height: 2100, sillHeight: 0, ...DOOR_DEFAULTS };
 const defaultEquipment = {
   label: "Cabinet 1",
   type: "cabinet",
+  modelId: "cabinet",
   x: 1200,
   y: 1800,
   width: 600,
@@ -37,9 +119,18 @@ const defaultEquipment = {
   colorKey: "red",
   installMode: "floor",
   mountTarget: "",
+  mountFace: "front",
+  sideChannel: "left",
 };
-const defaultTray = { label: "Tray 1", x: 500, y: 500, z: 2600, width: 300, depth: 100, lengthA: 2500, primaryDirection: "x+", turn: "none", lengthB: 1800 };
-const defaultConnection = { label: "Cable 1", fromRef: "", toRef: "", color: "#d24444", routeHeight: 2600 };
+const defaultRow = { label: "Row A", modelId: "cabinet", count: 6, pitch: 600, x: 1200, y: 1800, rotationDeg: 0, aisleSide: "front" };
+const defaultTile = { address: "A01", type: "perforated", openPercent: 25 };
+const defaultUnderfloor = { type: "pipe", label: "Pipe 1", x: 600, y: 600, endX: 3000, endY: 600, ...UNDERFLOOR_DEFAULTS.pipe };
+const UNDERFLOOR_COLORS = { pipe: "#4a88b2", basket: "#8f6a1e", pedestal: "#6f6146", whip: "#d19a1f" };
+const defaultTray = { label: "Tray 1", z: 2600, width: 300, depth: 100 };
+const defaultFitting = { type: "tee", label: "Fitting 1", x: 1000, y: 1000, z: 2600, topZ: 3000, cabinetId: "" };
+const defaultCircuit = { label: "Circuit 1", feed: "A", sourceId: "", ratingAmps: 16, voltage: 230 };
+const defaultConnection = { label: "Cable 1", fromRef: "", toRef: "", fromPort: "", toPort: "", color: "#d24444", routeHeight: 2600 };
+const defaultPassThrough = { label: "Pass-Through 1", x: 0, y: 4500, z: 2600, linkTarget: "" };
 
 function NumberField({ label, value, onChange, ...rest }) {
   return <label>{label}<input value={value} onChange={(event) => onChange(Number(event.target.value))} {...rest} /></label>;
@@ -53,6 +144,32 @@ function TextField({ label, value, onChange, ...rest }) {
   return <label>{label}<input value={value} onChange={(event) => onChange(event.target.value)} {...rest} /></label>;
 }
 
+// Shows a tile address and hands a newly typed one over on Enter or blur, so
+// partly typed addresses do not move anything.
+function TileField({ label = "Floor Tile", cell, onChange }) {
+  const [draft, setDraft] = useState(null);
+  const commit = () => {
+    const next = draft === null ? null : parseTileAddress(draft);
+    if (next) onChange(next);
+    setDraft(null);
+  };
+  return (
+    <label>
+      {label}
+      <input
+        value={draft ?? getTileAddress(cell) ?? ""}
+        placeholder="Before grid origin"
+        onChange={(event) => setDraft(event.target.value)}
+        onBlur={commit}
+        onKeyDown={(event) => {
+          if (event.key === "Enter") commit();
+          if (event.key === "Escape") setDraft(null);
+        }}
+      />
+    </label>
+  );
+}
+
 class SceneErrorBoundary extends Component {
   constructor(props) {
     super(props);
@@ -99,97 +216,201 @@ function distanceToSegment(point, start, end) {
   return Math.hypot(point.x - px, point.y - py);
 }
 
+function wallLabel(index) {
+  return `Wall ${index + 1}`;
+}
+
 function parseRef(ref) {
   if (!ref) return null;
-  const [kind, rawIndex] = ref.split(":");
-  const index = Number(rawIndex);
-  if (!kind || Number.isNaN(index)) return null;
-  return { kind, index };
+  const separator = ref.indexOf(":");
+  if (separator <= 0 || separator === ref.length - 1) return null;
+  return { kind: ref.slice(0, separator), id: ref.slice(separator + 1) };
 }
 
-function getConnectionPath(connection, equipment, trays) {
-  const normalized = normalizeConnection(connection);
-  const from = getConnectionAnchor({ kind: normalized.fromKind, index: normalized.fromIndex }, equipment, trays);
-  const to = getConnectionAnchor({ kind: normalized.toKind, index: normalized.toIndex }, equipment, trays);
-  if (!from || !to) return null;
-  const control = {
-    x: normalized.controlX ?? to.x,
-    y: normalized.controlY ?? from.y,
-    z: normalized.routeHeight,
-  };
-  return { from, control, to, normalized };
+// Where a new waypoint goes in a cable's list: before the stop that ends the
+// plan segment closest to `point`.
+function getWaypointInsertIndex(route, waypoints, point) {
+  const stops = [route.from, ...waypoints, route.to];
+  let best = 0;
+  stops.slice(1).forEach((stop, index) => {
+    if (distanceToSegment(point, stops[index], stop) < distanceToSegment(point, stops[best], stops[best + 1])) best = index;
+  });
+  return best;
 }
 
-function getNextRackStart(equipment, cabinetIndex, rackUnits) {
-  const occupied = equipment
-    .filter((item) => item.mountedIn === cabinetIndex)
-    .map((item) => ({ start: item.rackStart || 1, end: (item.rackStart || 1) + (item.rackUnits || 1) - 1 }))
-    .sort((a, b) => a.start - b.start);
+function getEndpointLabel(kind, id, { catalog = [], equipment = [], trays = [], passThroughs = [] }, port = null, outlet = null) {
+  const source = { equipment, tray: trays, passThrough: passThroughs }[kind] || [];
+  const item = findById(source, id);
+  if (!item) return `missing ${kind}`;
+  const label = item.label || { tray: "Cable Tray", passThrough: "Pass-Through" }[kind] || getEquipmentName(catalog, item);
+  if (port) return `${label} ${port}`;
+  return outlet ? `${label} outlet ${outlet}` : label;
+}
 
-  let cursor = 1;
-  for (const slot of occupied) {
-    if (cursor + rackUnits - 1 < slot.start) {
-      return cursor;
-    }
-    cursor = Math.max(cursor, slot.end + 1);
-  }
-  return cursor;
+function getConnectionLabel(connection, model) {
+  const from = getEndpointLabel(connection.fromKind, connection.fromId, model, connection.fromPort, connection.fromOutlet);
+  const to = getEndpointLabel(connection.toKind, connection.toId, model, connection.toPort, connection.toOutlet);
+  return `${from} -> ${to}`;
 }
 
 function getMountedEquipmentDisplay(item, equipment) {
-  if (item.mountedIn === null || item.mountedIn === undefined) {
-    return item;
-  }
-  const cabinet = equipment[item.mountedIn];
+  const cabinet = findById(equipment, item.mountedIn);
   if (!cabinet || cabinet.type !== "cabinet") {
     return item;
   }
+  // The plan draws a cabinet's front along its upper edge, so the rear rail is
+  // towards the lower edge and the right-hand side (seen from the front) is on the left.
+  const zeroU = isZeroU(item);
   return {
     ...item,
-    x: cabinet.x,
-    y: cabinet.y,
-    width: Math.max(Math.min(item.width, cabinet.width - 120), 180),
-    depth: Math.max(Math.min(item.depth, cabinet.depth - 180), 160),
+    ...getMountPoint(cabinet, getMountOffset(item, cabinet)),
+    width: zeroU ? item.width : Math.max(Math.min(item.width, cabinet.width - 120), 180),
+    depth: zeroU ? item.depth : Math.max(Math.min(item.depth, cabinet.depth - 180), 160),
     rotationDeg: cabinet.rotationDeg,
   };
 }
 
 export default function App() {
-  const [room, setRoom] = useState(defaultRoom);
-  const [openings, setOpenings] = useState([]);
-  const [equipment, setEquipment] = useState([]);
-  const [trays, setTrays] = useState([]);
-  const [connections, setConnections] = useState([]);
+  const [history, setHistory] = useState(() => createHistory(createDefaultProject()));
+  const projectState = history.present;
+  const [activeRoomId, setActiveRoomId] = useState(null);
+  const activeRecord = findById(projectState.rooms, activeRoomId) || projectState.rooms[0];
+  const { room, openings, equipment, trays, fittings, circuits, rows, containments, tiles, underfloor, annotations, connections, passThroughs } = activeRecord;
+  const { catalog, cabling } = projectState;
+  const roomModel = { catalog, equipment, trays, fittings, passThroughs };
+  // Routing every cable is costly, so these are only worked out again when
+  // the project or room they depend on changes.
+  const trayNetwork = useMemo(() => buildTrayNetwork(trays, fittings), [trays, fittings]);
+  const trayFill = useMemo(() => getTrayFill(activeRecord, catalog, cabling), [activeRecord, catalog, cabling]);
+  const overfilled = [...trayFill.values()].filter((segment) => segment.over);
+  const violations = useMemo(() => checkLayout(activeRecord), [activeRecord]);
+  const powerBudget = useMemo(() => getPowerBudget(activeRecord), [activeRecord]);
+  const capacity = useMemo(() => getRoomCapacity(activeRecord), [activeRecord]);
+  const cableLengths = useMemo(() => projectState.rooms.flatMap((record) => getRoomCableLengths(record, catalog, cabling)), [projectState.rooms, catalog, cabling]);
+  const [workspace, setWorkspace] = useState("visualization");
+  const [planMode, setPlanMode] = useState("room");
+  const [thermalMap, setThermalMap] = useState(false);
+  const [showFloorTiles, setShowFloorTiles] = useState(true);
+  const [tileSnap, setTileSnap] = useState(false);
+  const [showDimensions, setShowDimensions] = useState(true);
+  const [measuring, setMeasuring] = useState(false);
+  const [measureMode, setMeasureMode] = useState("distance");
+  const [measurePoints, setMeasurePoints] = useState([]);
+  const thermalField = useMemo(() => (thermalMap ? getThermalField(activeRecord) : null), [thermalMap, activeRecord]);
+  const [passThroughDraft, setPassThroughDraft] = useState(defaultPassThrough);
   const [openingDraft, setOpeningDraft] = useState(defaultOpening);
   const [equipmentDraft, setEquipmentDraft] = useState(defaultEquipment);
+  const [rowDraft, setRowDraft] = useState(defaultRow);
+  const [tileDraft, setTileDraft] = useState(defaultTile);
+  const [underfloorDraft, setUnderfloorDraft] = useState(defaultUnderfloor);
   const [trayDraft, setTrayDraft] = useState(defaultTray);
+  const [trayRun, setTrayRun] = useState(null);
+  const [fittingDraft, setFittingDraft] = useState(defaultFitting);
+  const [circuitDraft, setCircuitDraft] = useState(defaultCircuit);
   const [connectionDraft, setConnectionDraft] = useState(defaultConnection);
   const [resizeTick, setResizeTick] = useState(0);
   const [selectedTarget, setSelectedTarget] = useState(null);
   const [assetQuery, setAssetQuery] = useState("");
+  const [projectName, setProjectName] = useState("room-project");
+  const [importReport, setImportReport] = useState(null);
+  const [draggedEquipmentId, setDraggedEquipmentId] = useState(null);
+  const [rackMessage, setRackMessage] = useState(null);
+  const [connectionMessage, setConnectionMessage] = useState(null);
+  const [placementMessage, setPlacementMessage] = useState(null);
+  const [traceStart, setTraceStart] = useState(null);
   const planRef = useRef(null);
-  const planInteractionRef = useRef({ dragging: false, kind: null, index: null, offsetX: 0, offsetY: 0 });
+  const importInputRef = useRef(null);
+
+  function commitProject(label, recipe, mergeKey) {
+    setHistory((current) => commitHistory(current, label, recipe(current.present), mergeKey));
+  }
+
+  function commitModel(label, recipe, mergeKey) {
+    const roomId = activeRecord.id;
+    commitProject(label, (current) => updateRoomRecord(current, roomId, recipe), mergeKey);
+  }
+
+  function collectionSetter(key) {
+    return (updater, label, mergeKey) => commitModel(label, (model) => ({ ...model, [key]: updater(model[key]) }), mergeKey);
+  }
+
+  function dragModel(recipe) {
+    const roomId = activeRecord.id;
+    setHistory((current) => updateTransaction(current, updateRoomRecord(current.present, roomId, recipe)));
+  }
+
+  function dragCollection(key, updater) {
+    dragModel((model) => ({ ...model, [key]: updater(model[key]) }));
+  }
+
+  const setOpenings = collectionSetter("openings");
+  const setEquipment = collectionSetter("equipment");
+  const setTrays = collectionSetter("trays");
+  const setFittings = collectionSetter("fittings");
+  const setCircuits = collectionSetter("circuits");
+  const setContainments = collectionSetter("containments");
+  const setTiles = collectionSetter("tiles");
+  const setUnderfloor = collectionSetter("underfloor");
+  const setAnnotations = collectionSetter("annotations");
+  const setConnections = collectionSetter("connections");
+  const setPassThroughs = collectionSetter("passThroughs");
+
+  function activateRoom(roomId) {
+    setActiveRoomId(roomId);
+    setSelectedTarget(null);
+    setTraceStart(null);
+    setTrayRun(null);
+  }
+
+  function updateRoomField(field, value) {
+    commitModel("Edit room", (model) => {
+      const nextRoom = { ...model.room, [field]: value };
+      const regridded = field === "gridOrigin" || field === "floorTileSize";
+      return { ...model, room: nextRoom, tiles: regridded ? rekeyTiles(model.tiles, model.room, nextRoom) : model.tiles };
+    }, `room:${field}`);
+  }
+
+  function updateOutline(label, recipe, mergeKey) {
+    commitModel(label, (model) => {
+      const next = recipe(model.room.outline, model.openings);
+      return { ...model, room: { ...model.room, outline: next.outline }, openings: next.openings };
+    }, mergeKey);
+  }
+  const planInteractionRef = useRef({ dragging: false, kind: null, id: null, offsetX: 0, offsetY: 0 });
 
   const connectableOptions = [
-    ...equipment.map((item, index) => ({ value: `equipment:${index}`, label: `${index + 1}. ${EQUIPMENT_PRESETS[item.type].label}` })),
-    ...trays.map((_, index) => ({ value: `tray:${index}`, label: `${index + 1}. Cable Tray` })),
+    ...equipment.map((item, index) => ({ value: `equipment:${item.id}`, label: item.label || `${index + 1}. ${getEquipmentName(catalog, item)}` })),
+    ...trays.map((item, index) => ({ value: `tray:${item.id}`, label: item.label || `${index + 1}. Cable Tray` })),
+    ...passThroughs.map((item, index) => ({ value: `passThrough:${item.id}`, label: `Pass-through: ${item.label || index + 1}` })),
   ];
+  // A draft whose model was removed from the catalog falls back to the first entry.
+  const draftModel = findById(catalog, equipmentDraft.modelId) || catalog[0];
+  const draftCategory = getCategory(equipmentDraft.type);
+  const draftInCabinet = draftCategory.mountable && ["rack", "zeroU"].includes(equipmentDraft.installMode);
+  const draftFromRef = parseRef(connectionDraft.fromRef);
+  const draftToRef = parseRef(connectionDraft.toRef);
+  const draftFromPorts = draftFromRef ? getEndpointPorts(draftFromRef.kind, draftFromRef.id, equipment) : [];
+  const draftToPorts = draftToRef ? getEndpointPorts(draftToRef.kind, draftToRef.id, equipment) : [];
+  const draftFromUsed = draftFromRef ? getPortConnections(connections, draftFromRef.id) : new Map();
+  const draftToUsed = draftToRef ? getPortConnections(connections, draftToRef.id) : new Map();
   const cabinetOptions = equipment
-    .map((item, index) => ({ item, index }))
-    .filter(({ item }) => item.type === "cabinet")
-    .map(({ item, index }) => ({ value: String(index), label: item.label || `${index + 1}. Cabinet` }));
+    .filter((item) => item.type === "cabinet")
+    .map((item, index) => ({ value: item.id, label: item.label || `${index + 1}. Cabinet` }));
+  const cabinetModels = catalog.filter((entry) => entry.category === "cabinet");
+  const upsOptions = equipment
+    .filter((item) => item.type === "ups")
+    .map((item, index) => ({ value: item.id, label: item.label || `${index + 1}. UPS` }));
 
   useEffect(() => {
-    const preset = EQUIPMENT_PRESETS[equipmentDraft.type];
+    if (!draftModel) return;
+    const category = getCategory(draftModel.category);
     setEquipmentDraft((current) => ({
-      ...current,
-      width: preset.width,
-      depth: preset.depth,
-      height: preset.height,
-      installMode: preset.mountable ? current.installMode : "floor",
-      mountTarget: preset.mountable ? current.mountTarget : "",
+      ...applyModel(current, draftModel),
+      colorKey: draftModel.colorKey || current.colorKey,
+      installMode: !category.mountable ? "floor" : current.installMode === "zeroU" && !category.zeroU ? "rack" : current.installMode,
+      mountTarget: category.mountable ? current.mountTarget : "",
     }));
-  }, [equipmentDraft.type]);
+  }, [draftModel]);
 
   useEffect(() => {
     if (connectableOptions.length === 0) {
@@ -203,7 +424,7 @@ export default function App() {
       if (!values.includes(next.toRef) || next.toRef === next.fromRef) next.toRef = values.length > 1 ? values.find((value) => value !== next.fromRef) || next.fromRef : next.fromRef;
       return next;
     });
-  }, [equipment, trays]);
+  }, [equipment, trays, passThroughs]);
 
   useEffect(() => {
     if (!selectedTarget) {
@@ -212,18 +433,31 @@ export default function App() {
     const collections = {
       equipment,
       tray: trays,
+      fitting: fittings,
+      circuit: circuits,
+      row: rows,
+      containment: containments,
+      tile: tiles,
+      underfloor,
+      annotation: annotations,
       opening: openings,
       connection: connections,
+      wall: room.outline,
+      passThrough: passThroughs,
     };
     const source = collections[selectedTarget.kind];
-    if (!source || !source[selectedTarget.index]) {
+    if (!source || !findById(source, selectedTarget.id)) {
       setSelectedTarget(null);
     }
-  }, [equipment, trays, openings, connections, selectedTarget]);
+  }, [room, equipment, trays, fittings, circuits, rows, containments, tiles, underfloor, annotations, openings, connections, passThroughs, selectedTarget]);
 
   useEffect(() => {
     const canvas = planRef.current;
     if (!canvas) return;
+    if (planMode === "floor") {
+      drawFloorPlan(canvas, projectState, activeRecord.floorId, activeRecord.id, HARDWARE_COLORS);
+      return;
+    }
     const ctx = canvas.getContext("2d");
     fitCanvas(canvas, ctx);
     const { walls, points, renderWidth, renderHeight, minX, minY, maxX, maxY, scale, project } = getPlanProjection(room, canvas);
@@ -237,7 +471,7 @@ export default function App() {
     ctx.closePath();
     ctx.fill();
 
-    // Clip the 60x60 tile pattern to the room footprint so the tiles follow wall tilt.
+    // Clip the tile pattern to the room footprint so the tiles follow the outline.
     ctx.save();
     ctx.beginPath();
     points.forEach((point, index) => {
@@ -246,10 +480,21 @@ export default function App() {
     });
     ctx.closePath();
     ctx.clip();
+    if (thermalField) {
+      thermalField.cells.forEach((temperature, index) => {
+        if (temperature === null) return;
+        const x = thermalField.minX + (index % thermalField.cols) * thermalField.cellSize;
+        const y = thermalField.minY + Math.floor(index / thermalField.cols) * thermalField.cellSize;
+        const a = project({ x, y });
+        const b = project({ x: x + thermalField.cellSize, y: y + thermalField.cellSize });
+        ctx.fillStyle = `rgba(${getTemperatureColor(temperature).join(", ")}, 0.45)`;
+        ctx.fillRect(Math.min(a.x, b.x), Math.min(a.y, b.y), Math.abs(b.x - a.x) + 0.5, Math.abs(b.y - a.y) + 0.5);
+      });
+    }
     ctx.strokeStyle = "rgba(159, 132, 82, 0.12)";
     ctx.lineWidth = 1;
-    const tileSize = Math.max(room.floorTileSize || 600, 100);
-    for (let x = Math.floor(minX / tileSize) * tileSize; x <= maxX; x += tileSize) {
+    const tileSize = getTileSize(room);
+    for (let x = getFirstTileLine(room, minX, "x"); x <= maxX; x += tileSize) {
       const start = project({ x, y: minY });
       const end = project({ x, y: maxY });
       ctx.beginPath();
@@ -257,7 +502,7 @@ export default function App() {
       ctx.lineTo(end.x, end.y);
       ctx.stroke();
     }
-    for (let y = Math.floor(minY / tileSize) * tileSize; y <= maxY; y += tileSize) {
+    for (let y = getFirstTileLine(room, minY, "y"); y <= maxY; y += tileSize) {
       const start = project({ x: minX, y });
       const end = project({ x: maxX, y });
       ctx.beginPath();
@@ -265,18 +510,69 @@ export default function App() {
       ctx.lineTo(end.x, end.y);
       ctx.stroke();
     }
+    tiles.forEach((tile) => {
+      const cell = parseTileAddress(tile.address);
+      const corners = getTileRect(room, cell).map(project);
+      const center = project(getTileCenter(room, cell));
+      const radius = (getTileSize(room) * scale) / 2;
+      ctx.beginPath();
+      corners.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      ctx.closePath();
+      if (tile.type === "perforated") {
+        ctx.fillStyle = `rgba(42, 123, 201, ${0.1 + tile.openPercent / 200})`;
+        ctx.fill();
+      } else if (tile.type === "cutout") {
+        ctx.fillStyle = "rgba(63, 52, 36, 0.45)";
+        ctx.fill();
+      } else if (tile.type === "grommet") {
+        ctx.fillStyle = "#3f3424";
+        ctx.beginPath();
+        ctx.arc(center.x, center.y, Math.max(radius * 0.3, 2), 0, Math.PI * 2);
+        ctx.fill();
+      }
+      if (selectedTarget?.kind === "tile" && selectedTarget.id === tile.id) {
+        ctx.strokeStyle = "#f08b00";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        corners.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+        ctx.closePath();
+        ctx.stroke();
+      }
+    });
+    ctx.restore();
+
+    // Column letters below the room and row numbers to its left, thinned out
+    // when the tiles are too small on screen to label each one.
+    const labelStep = Math.ceil(18 / (tileSize * scale));
+    ctx.save();
+    ctx.fillStyle = "#9f8452";
+    ctx.font = "600 10px Segoe UI";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    for (let x = getFirstTileLine(room, minX, "x"); x < maxX; x += tileSize) {
+      const cell = getTileAt(room, { x: x + tileSize / 2, y: 0 });
+      const letters = getTileAddress({ col: cell.col, row: 0 })?.replace(/\d+$/, "");
+      if (!letters || x + tileSize / 2 < minX || cell.col % labelStep !== 0) continue;
+      const p = project({ x: x + tileSize / 2, y: minY });
+      ctx.fillText(letters, p.x, p.y + 18);
+    }
+    for (let y = getFirstTileLine(room, minY, "y"); y < maxY; y += tileSize) {
+      const cell = getTileAt(room, { x: 0, y: y + tileSize / 2 });
+      if (cell.row < 0 || y + tileSize / 2 < minY || cell.row % labelStep !== 0) continue;
+      const p = project({ x: minX, y: y + tileSize / 2 });
+      ctx.fillText(String(cell.row + 1).padStart(2, "0"), p.x - 20, p.y);
+    }
     ctx.restore();
     walls.forEach((wall) => {
       const wallOpenings = openings
-        .map((opening, index) => ({ opening, index }))
-        .filter(({ opening }) => opening.wall === wall.index)
-        .map(({ opening, index }) => ({ opening, index, bounds: getOpeningBounds(opening, wall, room) }))
+        .filter((opening) => opening.wall === wall.index)
+        .map((opening) => ({ opening, bounds: getOpeningBounds(opening, wall, room) }))
         .sort((a, b) => a.bounds.start - b.bounds.start);
       let cursor = 0;
       ctx.lineCap = "round";
       ctx.lineWidth = 7;
       ctx.strokeStyle = "#5f5137";
-      wallOpenings.forEach(({ opening, index, bounds }) => {
+      wallOpenings.forEach(({ opening, bounds }) => {
         if (bounds.start > cursor) {
           const from = project(pointAlongWall(wall, cursor));
           const to = project(pointAlongWall(wall, bounds.start));
@@ -293,7 +589,7 @@ export default function App() {
         ctx.moveTo(gapStart.x, gapStart.y);
         ctx.lineTo(gapEnd.x, gapEnd.y);
         ctx.stroke();
-        if (selectedTarget?.kind === "opening" && selectedTarget.index === index) {
+        if (selectedTarget?.kind === "opening" && selectedTarget.id === opening.id) {
           ctx.lineWidth = 6;
           ctx.strokeStyle = "#f08b00";
           ctx.beginPath();
@@ -314,11 +610,56 @@ export default function App() {
         ctx.stroke();
       }
     });
+    if (selectedTarget?.kind === "wall") {
+      const selectedWall = walls.find((wall) => wall.id === selectedTarget.id);
+      if (selectedWall) {
+        const from = project(selectedWall.start);
+        const to = project(selectedWall.end);
+        ctx.lineWidth = 4;
+        ctx.strokeStyle = "#f08b00";
+        ctx.setLineDash([10, 6]);
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+    }
+    points.forEach((point) => {
+      const p = project(point);
+      ctx.fillStyle = "#fffcf5";
+      ctx.strokeStyle = "#5f5137";
+      ctx.lineWidth = 2;
+      ctx.fillRect(p.x - 5, p.y - 5, 10, 10);
+      ctx.strokeRect(p.x - 5, p.y - 5, 10, 10);
+    });
+    // Underfloor objects are dashed to show they sit below the tiles.
+    underfloor.forEach((object) => {
+      const selected = selectedTarget?.kind === "underfloor" && selectedTarget.id === object.id;
+      const points = object.points.map(project);
+      ctx.strokeStyle = selected ? "#f08b00" : UNDERFLOOR_COLORS[object.type];
+      ctx.fillStyle = ctx.strokeStyle;
+      if (object.type === "pedestal") {
+        const half = Math.max((object.size * scale) / 2, 3);
+        ctx.fillRect(points[0].x - half, points[0].y - half, half * 2, half * 2);
+      } else {
+        ctx.lineWidth = Math.max(2, object.size * scale);
+        ctx.setLineDash([8, 5]);
+        ctx.beginPath();
+        points.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+      ctx.fillStyle = "#6f6146";
+      ctx.font = "700 12px Segoe UI";
+      ctx.fillText(object.label || UNDERFLOOR_TYPES[object.type], points[0].x + 8, points[0].y + 16);
+    });
     trays.forEach((tray, trayIndex) => {
-      ctx.strokeStyle = selectedTarget?.kind === "tray" && selectedTarget.index === trayIndex ? "#f08b00" : "#c88f22";
+      const traySelected = selectedTarget?.kind === "tray" && selectedTarget.id === tray.id;
       ctx.lineWidth = Math.max(3, tray.width * scale * 0.08);
       const traySegments = getTraySegments(tray);
-      traySegments.forEach((segment) => {
+      traySegments.forEach((segment, segmentIndex) => {
+        ctx.strokeStyle = traySelected ? "#f08b00" : getFillColor(trayFill.get(`${tray.id}:${segmentIndex}`)?.percent || 0, cabling.fillThreshold);
         const start = project(segment.start);
         const end = project(segment.end);
         ctx.beginPath();
@@ -326,11 +667,92 @@ export default function App() {
         ctx.lineTo(end.x, end.y);
         ctx.stroke();
       });
-      const trayAnchor = traySegments[0]?.start || { x: tray.x, y: tray.y };
-      const trayLabelPoint = project(trayAnchor);
+      if (traySelected) {
+        tray.points.forEach((point) => {
+          const p = project(point);
+          ctx.fillStyle = "#ffffff";
+          ctx.strokeStyle = "#f08b00";
+          ctx.lineWidth = 2;
+          ctx.fillRect(p.x - 5, p.y - 5, 10, 10);
+          ctx.strokeRect(p.x - 5, p.y - 5, 10, 10);
+        });
+      }
+      const trayLabelPoint = project(tray.points[0]);
+      ctx.fillStyle = "#6f6146";
+      ctx.font = "700 12px Segoe UI";
+      const peakFill = Math.max(0, ...traySegments.map((_, segmentIndex) => trayFill.get(`${tray.id}:${segmentIndex}`)?.percent || 0));
+      ctx.fillText(`${tray.label || `Tray ${trayIndex + 1}`}${peakFill > 0 ? ` (${peakFill.toFixed(0)}% fill)` : ""}`, trayLabelPoint.x + 8, trayLabelPoint.y - 10);
+    });
+    fittings.forEach((fitting) => {
+      const p = project(fitting);
+      ctx.fillStyle = selectedTarget?.kind === "fitting" && selectedTarget.id === fitting.id ? "#f08b00" : "#8f6a1e";
+      ctx.strokeStyle = "#ffffff";
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      if (fitting.type === "riser" || fitting.type === "drop") {
+        ctx.arc(p.x, p.y, 7, 0, Math.PI * 2);
+      } else {
+        ctx.rect(p.x - 7, p.y - 7, 14, 14);
+      }
+      ctx.fill();
+      ctx.stroke();
       ctx.fillStyle = "#6f6146";
       ctx.font = "700 12px Segoe UI";
-      ctx.fillText(tray.label || `Tray ${trayIndex + 1}`, trayLabelPoint.x + 8, trayLabelPoint.y - 10);
+      ctx.fillText(fitting.label || FITTING_TYPES[fitting.type], p.x + 10, p.y + 16);
+    });
+    if (trayRun && trayRun.length > 0) {
+      const runPoints = trayRun.map(project);
+      ctx.strokeStyle = "#c88f22";
+      ctx.lineWidth = Math.max(3, trayDraft.width * scale * 0.08);
+      ctx.setLineDash([10, 6]);
+      ctx.beginPath();
+      runPoints.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      ctx.stroke();
+      ctx.setLineDash([]);
+      runPoints.forEach((point) => {
+        ctx.fillStyle = "#c88f22";
+        ctx.fillRect(point.x - 4, point.y - 4, 8, 8);
+      });
+    }
+    // Containment shows its roof as dashed diagonals and its end doors as heavy lines.
+    containments.forEach((containment) => {
+      const corners = getContainmentPolygon(containment).map(project);
+      const selected = selectedTarget?.kind === "containment" && selectedTarget.id === containment.id;
+      const color = selected ? "#f08b00" : containment.type === "hot" ? "#d24444" : "#2a7bc9";
+      ctx.fillStyle = containment.type === "hot" ? "rgba(210, 68, 68, 0.12)" : "rgba(42, 123, 201, 0.12)";
+      ctx.strokeStyle = color;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      corners.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      ctx.closePath();
+      ctx.fill();
+      ctx.stroke();
+      if (containment.roof) {
+        ctx.lineWidth = 1;
+        ctx.setLineDash([6, 6]);
+        ctx.beginPath();
+        ctx.moveTo(corners[0].x, corners[0].y);
+        ctx.lineTo(corners[2].x, corners[2].y);
+        ctx.moveTo(corners[1].x, corners[1].y);
+        ctx.lineTo(corners[3].x, corners[3].y);
+        ctx.stroke();
+        ctx.setLineDash([]);
+      }
+      if (containment.endDoors) {
+        ctx.lineWidth = 5;
+        getContainmentEnds(containment).forEach(([from, to]) => {
+          const a = project(from);
+          const b = project(to);
+          ctx.beginPath();
+          ctx.moveTo(a.x, a.y);
+          ctx.lineTo(b.x, b.y);
+          ctx.stroke();
+        });
+      }
+      const labelPoint = project(containment);
+      ctx.fillStyle = color;
+      ctx.font = "700 12px Segoe UI";
+      ctx.fillText(containment.label || CONTAINMENT_TYPES[containment.type], labelPoint.x + 8, labelPoint.y + 4);
     });
     equipment.forEach((item, index) => {
       const palette = HARDWARE_COLORS[item.colorKey] || HARDWARE_COLORS.red;
@@ -371,7 +793,7 @@ export default function App() {
         ctx.fillRect(left, top, drawWidth, drawDepth);
         ctx.strokeRect(left, top, drawWidth, drawDepth);
       }
-      if (selectedTarget?.kind === "equipment" && selectedTarget.index === index) {
+      if ((selectedTarget?.kind === "equipment" && selectedTarget.id === item.id) || (selectedTarget?.kind === "row" && selectedTarget.id === item.rowId)) {
         ctx.strokeStyle = "#f08b00";
         ctx.lineWidth = 3;
         ctx.setLineDash([6, 4]);
@@ -389,44 +811,190 @@ export default function App() {
       const start = pointAlongWall(wall, bounds.start);
       const end = pointAlongWall(wall, bounds.end);
       const openingLabelPoint = project({ x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 });
+      if (opening.type === "door") {
+        getDoorLeaves(opening, wall, room).forEach((leaf) => {
+          if (leaf.keepOut) {
+            ctx.fillStyle = "rgba(181, 93, 47, 0.08)";
+            ctx.beginPath();
+            leaf.zone.map(project).forEach((point, pointIndex) => (pointIndex === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+            ctx.closePath();
+            ctx.fill();
+          }
+          ctx.strokeStyle = "#b55d2f";
+          ctx.lineWidth = leaf.sliding ? 4 : 1.5;
+          ctx.setLineDash(leaf.sliding ? [] : [5, 4]);
+          ctx.beginPath();
+          leaf.path.map(project).forEach((point, pointIndex) => (pointIndex === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+          ctx.stroke();
+          ctx.setLineDash([]);
+          if (!leaf.sliding) {
+            const hinge = project(leaf.hinge);
+            const open = project(leaf.open);
+            ctx.lineWidth = 2.5;
+            ctx.beginPath();
+            ctx.moveTo(hinge.x, hinge.y);
+            ctx.lineTo(open.x, open.y);
+            ctx.stroke();
+          }
+        });
+      }
       ctx.fillStyle = "#6f6146";
       ctx.font = "700 12px Segoe UI";
       ctx.fillText(opening.label || `${opening.type} ${index + 1}`, openingLabelPoint.x + 8, openingLabelPoint.y - 8);
     });
+    passThroughs.forEach((point) => {
+      const p = project(point);
+      const linked = getLinkedPassThrough(projectState, activeRecord.id, point.id);
+      ctx.fillStyle = selectedTarget?.kind === "passThrough" && selectedTarget.id === point.id ? "#f08b00" : "#2a7bc9";
+      ctx.beginPath();
+      ctx.moveTo(p.x, p.y - 8);
+      ctx.lineTo(p.x + 8, p.y);
+      ctx.lineTo(p.x, p.y + 8);
+      ctx.lineTo(p.x - 8, p.y);
+      ctx.closePath();
+      ctx.fill();
+      ctx.fillStyle = "#6f6146";
+      ctx.font = "700 12px Segoe UI";
+      ctx.fillText(linked ? `${point.label} -> ${linked.room.name}` : point.label, p.x + 10, p.y - 10);
+    });
     connections.forEach((connection, connectionIndex) => {
-      const path = getConnectionPath(connection, equipment, trays);
-      if (!path) return;
-      const a = project(path.from);
-      const c = project(path.control);
-      const b = project(path.to);
-      ctx.strokeStyle = path.normalized.color;
-      ctx.lineWidth = 2.5;
-      ctx.setLineDash([8, 6]);
+      const route = getConnectionRoute(connection, roomModel, trayNetwork);
+      if (!route) return;
+      const points = route.points.map(project);
+      const traced = tracedIds.has(connection.id);
+      const selected = selectedTarget?.kind === "connection" && selectedTarget.id === connection.id;
+      ctx.strokeStyle = traced ? TRACE_COLOR : connection.color;
+      ctx.lineWidth = traced ? 5 : 2.5;
+      ctx.setLineDash(traced ? [] : [8, 6]);
       ctx.beginPath();
-      ctx.moveTo(a.x, a.y);
-      ctx.lineTo(c.x, c.y);
-      ctx.lineTo(b.x, b.y);
+      points.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
       ctx.stroke();
       ctx.setLineDash([]);
-      ctx.fillStyle = selectedTarget?.kind === "connection" && selectedTarget.index === connectionIndex ? "#f08b00" : "#ffffff";
-      ctx.strokeStyle = path.normalized.color;
+      if (traced) {
+        ctx.fillStyle = TRACE_COLOR;
+        [points[0], points[points.length - 1]].forEach((point) => {
+          ctx.beginPath();
+          ctx.arc(point.x, point.y, 5, 0, Math.PI * 2);
+          ctx.fill();
+        });
+      }
+      // Manual waypoints get drag handles; routed cables are labelled mid-route.
+      const handles = (connection.waypoints || []).map(project);
+      handles.forEach((point) => {
+        ctx.fillStyle = selected ? "#f08b00" : "#ffffff";
+        ctx.strokeStyle = connection.color;
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 6, 0, Math.PI * 2);
+        ctx.fill();
+        ctx.stroke();
+      });
+      const labelAt = handles[0] || points[Math.floor(points.length / 2)];
+      ctx.fillStyle = selected ? "#b55d2f" : "#6f6146";
+      ctx.font = "700 12px Segoe UI";
+      ctx.fillText(connection.label || `Cable ${connectionIndex + 1}`, labelAt.x + 10, labelAt.y - 10);
+    });
+    // Layout violations are outlined over everything else.
+    ctx.strokeStyle = CONFLICT_COLOR;
+    ctx.fillStyle = "rgba(210, 68, 68, 0.14)";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    violations.forEach((violation) => {
+      violation.polygons.forEach((polygon) => {
+        ctx.beginPath();
+        polygon.map(project).forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+        ctx.closePath();
+        ctx.fill();
+        ctx.stroke();
+      });
+    });
+    ctx.setLineDash([]);
+
+    // Saved dimensions follow the equipment they are attached to; the
+    // measurement in progress is dashed.
+    const drawMeasurement = (type, worldPoints, color, dashed) => {
+      const screen = worldPoints.map(project);
+      const closed = type === "area" && worldPoints.length >= 3;
+      ctx.strokeStyle = color;
       ctx.lineWidth = 2;
+      ctx.setLineDash(dashed ? [6, 4] : []);
       ctx.beginPath();
-      ctx.arc(c.x, c.y, 6, 0, Math.PI * 2);
-      ctx.fill();
+      screen.forEach((point, index) => (index === 0 ? ctx.moveTo(point.x, point.y) : ctx.lineTo(point.x, point.y)));
+      if (closed) {
+        ctx.closePath();
+        ctx.fillStyle = "rgba(240, 139, 0, 0.12)";
+        ctx.fill();
+      }
       ctx.stroke();
-      ctx.fillStyle = "#6f6146";
+      ctx.setLineDash([]);
+      ctx.fillStyle = color;
+      screen.forEach((point) => {
+        ctx.beginPath();
+        ctx.arc(point.x, point.y, 3.5, 0, Math.PI * 2);
+        ctx.fill();
+      });
       ctx.font = "700 12px Segoe UI";
-      ctx.fillText(path.normalized.label || `Cable ${connectionIndex + 1}`, c.x + 10, c.y - 10);
+      const { legs, area } = getMeasurement(type, worldPoints);
+      legs.forEach((leg, index) => {
+        const from = screen[index];
+        const to = screen[(index + 1) % screen.length];
+        ctx.fillText(`${Math.round(leg)} mm`, (from.x + to.x) / 2 + 6, (from.y + to.y) / 2 - 6);
+      });
+      if (area !== null) {
+        const center = screen.reduce((sum, point) => ({ x: sum.x + point.x / screen.length, y: sum.y + point.y / screen.length }), { x: 0, y: 0 });
+        ctx.fillText(`${area.toFixed(2)} m2`, center.x - 20, center.y);
+      } else if (type === "chain" && legs.length > 1) {
+        const last = screen[screen.length - 1];
+        ctx.fillText(describeMeasurement(type, worldPoints), last.x + 8, last.y + 16);
+      }
+    };
+    annotations.forEach((annotation) => {
+      const worldPoints = resolveAnnotation(equipment, annotation);
+      if (!worldPoints) return;
+      const selected = selectedTarget?.kind === "annotation" && selectedTarget.id === annotation.id;
+      drawMeasurement(annotation.type, worldPoints, selected ? "#f08b00" : "#3f3424", false);
     });
-  }, [room, openings, equipment, trays, connections, resizeTick, selectedTarget]);
+    if (measurePoints.length > 0) drawMeasurement(measureMode, measurePoints, "#f08b00", true);
+    if (showDimensions) {
+      drawDimensions(ctx, project, { room, openings, equipment, selected: selectedTarget?.kind === "equipment" ? findById(equipment, selectedTarget.id) : null });
+    }
+
+    if (thermalField) {
+      // Cooling units supply air out of their front.
+      equipment.filter((item) => item.type === "crac").forEach((unit) => {
+        const front = getFront(unit);
+        const from = project({ x: unit.x + front.x * (unit.depth / 2), y: unit.y + front.y * (unit.depth / 2) });
+        const to = project({ x: unit.x + front.x * (unit.depth / 2 + 1200), y: unit.y + front.y * (unit.depth / 2 + 1200) });
+        const head = Math.atan2(to.y - from.y, to.x - from.x);
+        ctx.strokeStyle = "#2a7bc9";
+        ctx.lineWidth = 3;
+        ctx.beginPath();
+        ctx.moveTo(from.x, from.y);
+        ctx.lineTo(to.x, to.y);
+        ctx.lineTo(to.x - 10 * Math.cos(head - 0.5), to.y - 10 * Math.sin(head - 0.5));
+        ctx.moveTo(to.x, to.y);
+        ctx.lineTo(to.x - 10 * Math.cos(head + 0.5), to.y - 10 * Math.sin(head + 0.5));
+        ctx.stroke();
+      });
+      thermalField.hotSpots.forEach(({ cabinet }) => {
+        const p = project(cabinet);
+        ctx.strokeStyle = "#d24444";
+        ctx.lineWidth = 2;
+        ctx.beginPath();
+        ctx.arc(p.x, p.y, 16, 0, Math.PI * 2);
+        ctx.stroke();
+      });
+      ctx.fillStyle = "#3f3424";
+      ctx.font = "700 12px Segoe UI";
+      ctx.fillText(`Thermal estimate: up to ${thermalField.max.toFixed(1)} C, ${thermalField.hotSpots.length} cabinet inlet(s) above ${INLET_LIMIT} C`, 12, renderHeight - 12);
+    }
+  }, [workspace, planMode, projectState, activeRecord.id, resizeTick, selectedTarget, traceStart, trayRun, trayDraft.width, thermalMap, measurePoints, measureMode, showDimensions]);
 
   useEffect(() => {
     const canvas = planRef.current;
     if (!canvas) return;
 
-    const getWorldPoint = (event) => {
-      const projection = getPlanProjection(room, canvas);
+    const getWorldPoint = (event, projection = getPlanProjection(room, canvas)) => {
       const rect = canvas.getBoundingClientRect();
       return projection.unproject({
         x: event.clientX - rect.left,
@@ -434,82 +1002,220 @@ export default function App() {
       });
     };
 
+    // Tile snap lines the front and one side of equipment up with tile edges;
+    // otherwise, and for angled equipment, positions snap to 50 mm.
+    const snapPlacement = (item, point) =>
+      (tileSnap && snapToTileEdges(room, item, point)) || { x: Math.round(point.x / 50) * 50, y: Math.round(point.y / 50) * 50 };
+
+    const findWallAt = (worldPoint) =>
+      getWallSegments(room).find((wall) => distanceToSegment(worldPoint, wall.start, wall.end) <= 120);
+
     const down = (event) => {
+      if (planMode === "floor") {
+        // Freeze the projection for the drag so the view does not refit under the cursor.
+        const projection = getFloorProjection(projectState, activeRecord.floorId, canvas);
+        const worldPoint = getWorldPoint(event, projection);
+        const roomHit = findRoomAt(projectState, activeRecord.floorId, worldPoint);
+        if (!roomHit) return;
+        activateRoom(roomHit.id);
+        setHistory((current) => beginTransaction(current, `Move ${roomHit.name}`));
+        planInteractionRef.current = {
+          dragging: true,
+          kind: "room",
+          id: roomHit.id,
+          offsetX: worldPoint.x - roomHit.origin.x,
+          offsetY: worldPoint.y - roomHit.origin.y,
+          projection,
+        };
+        return;
+      }
       const worldPoint = getWorldPoint(event);
+      if (measuring) {
+        addMeasurePoint(worldPoint);
+        return;
+      }
+      if (trayRun) {
+        setTrayRun((current) => [...current, { x: Math.round(worldPoint.x / 50) * 50, y: Math.round(worldPoint.y / 50) * 50 }]);
+        return;
+      }
+      const handleRadius = 10 / getPlanProjection(room, canvas).scale;
+      const selectedTray = selectedTarget?.kind === "tray" ? findById(trays, selectedTarget.id) : null;
+      const trayVertex = selectedTray ? selectedTray.points.findIndex((point) => Math.hypot(worldPoint.x - point.x, worldPoint.y - point.y) <= handleRadius) : -1;
+      if (trayVertex >= 0) {
+        setHistory((current) => beginTransaction(current, `Reshape ${selectedTray.label || "tray"}`));
+        planInteractionRef.current = { dragging: true, kind: "trayVertex", id: selectedTray.id, vertex: trayVertex, offsetX: 0, offsetY: 0 };
+        return;
+      }
+      const fittingHit = [...fittings]
+        .reverse()
+        .find((fitting) => Math.hypot(worldPoint.x - fitting.x, worldPoint.y - fitting.y) <= handleRadius);
+      if (fittingHit) {
+        setSelectedTarget({ kind: "fitting", id: fittingHit.id });
+        setHistory((current) => beginTransaction(current, `Move ${fittingHit.label || "fitting"}`));
+        planInteractionRef.current = {
+          dragging: true,
+          kind: "fitting",
+          id: fittingHit.id,
+          offsetX: worldPoint.x - fittingHit.x,
+          offsetY: worldPoint.y - fittingHit.y,
+        };
+        return;
+      }
+      const passThroughHit = [...passThroughs]
+        .reverse()
+        .find((point) => Math.hypot(worldPoint.x - point.x, worldPoint.y - point.y) <= handleRadius);
+      if (passThroughHit) {
+        setSelectedTarget({ kind: "passThrough", id: passThroughHit.id });
+        setHistory((current) => beginTransaction(current, `Move ${passThroughHit.label || "pass-through"}`));
+        planInteractionRef.current = {
+          dragging: true,
+          kind: "passThrough",
+          id: passThroughHit.id,
+          offsetX: worldPoint.x - passThroughHit.x,
+          offsetY: worldPoint.y - passThroughHit.y,
+        };
+        return;
+      }
+
+      const vertexHit = room.outline.find((vertex) => Math.hypot(worldPoint.x - vertex.x, worldPoint.y - vertex.y) <= handleRadius);
+      if (vertexHit) {
+        setSelectedTarget({ kind: "wall", id: vertexHit.id });
+        setHistory((current) => beginTransaction(current, "Move room vertex"));
+        planInteractionRef.current = {
+          dragging: true,
+          kind: "vertex",
+          id: vertexHit.id,
+          offsetX: worldPoint.x - vertexHit.x,
+          offsetY: worldPoint.y - vertexHit.y,
+        };
+        return;
+      }
+
       const equipmentHit = [...equipment]
-        .map((item, index) => ({ item: getMountedEquipmentDisplay(item, equipment), index }))
         .reverse()
-        .find(({ item }) => pointInRotatedEquipment(worldPoint, item));
+        .find((item) => pointInRotatedEquipment(worldPoint, getMountedEquipmentDisplay(item, equipment)));
+
+      const hitRow = equipmentHit?.rowId ? findById(rows, equipmentHit.rowId) : null;
+      if (hitRow) {
+        // Cabinets in a row move the whole row.
+        setSelectedTarget({ kind: "equipment", id: equipmentHit.id });
+        setHistory((current) => beginTransaction(current, `Move ${hitRow.label || "row"}`));
+        planInteractionRef.current = {
+          dragging: true,
+          kind: "row",
+          id: hitRow.id,
+          offsetX: worldPoint.x - hitRow.x,
+          offsetY: worldPoint.y - hitRow.y,
+        };
+        return;
+      }
 
       if (equipmentHit) {
-        const sourceItem = equipment[equipmentHit.index];
-        const canDrag = sourceItem.mountedIn === null || sourceItem.mountedIn === undefined;
-        setSelectedTarget({ kind: "equipment", index: equipmentHit.index });
+        const canDrag = equipmentHit.mountedIn === null || equipmentHit.mountedIn === undefined;
+        setSelectedTarget({ kind: "equipment", id: equipmentHit.id });
+        if (canDrag) setHistory((current) => beginTransaction(current, `Move ${equipmentHit.label || "equipment"}`));
         planInteractionRef.current = {
           dragging: canDrag,
           kind: canDrag ? "equipment" : null,
-          index: canDrag ? equipmentHit.index : null,
-          offsetX: canDrag ? worldPoint.x - sourceItem.x : 0,
-          offsetY: canDrag ? worldPoint.y - sourceItem.y : 0,
+          id: canDrag ? equipmentHit.id : null,
+          offsetX: canDrag ? worldPoint.x - equipmentHit.x : 0,
+          offsetY: canDrag ? worldPoint.y - equipmentHit.y : 0,
         };
         return;
       }
 
-      const trayHit = trays
-        .map((tray, index) => ({
-          tray,
-          index,
-          hit: getTraySegments(tray).some((segment) =>
-            distanceToSegment(worldPoint, segment.start, segment.end) <= Math.max(tray.width / 2, 150)
-          ),
-        }))
+      const containmentHit = [...containments]
         .reverse()
-        .find((candidate) => candidate.hit);
+        .find((containment) => isPointInsidePolygon(worldPoint, getContainmentPolygon(containment)));
+      if (containmentHit) {
+        setSelectedTarget({ kind: "containment", id: containmentHit.id });
+        setHistory((current) => beginTransaction(current, `Move ${containmentHit.label || "containment"}`));
+        planInteractionRef.current = {
+          dragging: true,
+          kind: "containment",
+          id: containmentHit.id,
+          offsetX: worldPoint.x - containmentHit.x,
+          offsetY: worldPoint.y - containmentHit.y,
+        };
+        return;
+      }
+
+      const trayHit = [...trays]
+        .reverse()
+        .find((tray) => getTraySegments(tray).some((segment) =>
+          distanceToSegment(worldPoint, segment.start, segment.end) <= Math.max(tray.width / 2, 150)
+        ));
 
       if (trayHit) {
-        setSelectedTarget({ kind: "tray", index: trayHit.index });
+        setSelectedTarget({ kind: "tray", id: trayHit.id });
+        setHistory((current) => beginTransaction(current, `Move ${trayHit.label || "tray"}`));
         planInteractionRef.current = {
           dragging: true,
           kind: "tray",
-          index: trayHit.index,
-          offsetX: worldPoint.x - trays[trayHit.index].x,
-          offsetY: worldPoint.y - trays[trayHit.index].y,
+          id: trayHit.id,
+          offsetX: worldPoint.x - trayHit.points[0].x,
+          offsetY: worldPoint.y - trayHit.points[0].y,
+        };
+        return;
+      }
+
+      const underfloorHit = [...underfloor]
+        .reverse()
+        .find((object) =>
+          object.type === "pedestal"
+            ? Math.hypot(worldPoint.x - object.points[0].x, worldPoint.y - object.points[0].y) <= Math.max(object.size, handleRadius)
+            : object.points.slice(1).some((point, index) => distanceToSegment(worldPoint, object.points[index], point) <= Math.max(object.size / 2, 100))
+        );
+      if (underfloorHit) {
+        setSelectedTarget({ kind: "underfloor", id: underfloorHit.id });
+        setHistory((current) => beginTransaction(current, `Move ${underfloorHit.label || "underfloor object"}`));
+        planInteractionRef.current = {
+          dragging: true,
+          kind: "underfloor",
+          id: underfloorHit.id,
+          offsetX: worldPoint.x - underfloorHit.points[0].x,
+          offsetY: worldPoint.y - underfloorHit.points[0].y,
         };
         return;
       }
 
       const connectionHit = connections
-        .map((connection, index) => {
-          const path = getConnectionPath(connection, equipment, trays);
-          if (!path) return { index, hit: false, handleHit: false };
-          const handleHit = Math.hypot(worldPoint.x - path.control.x, worldPoint.y - path.control.y) <= 180;
-          const lineHit =
-            distanceToSegment(worldPoint, path.from, path.control) <= 160 ||
-            distanceToSegment(worldPoint, path.control, path.to) <= 160;
-          return { index, hit: handleHit || lineHit, handleHit, path };
+        .map((connection) => {
+          const route = getConnectionRoute(connection, roomModel, trayNetwork);
+          if (!route) return { connection, hit: false };
+          const waypoints = connection.waypoints || [];
+          const handleIndex = waypoints.findIndex((point) => Math.hypot(worldPoint.x - point.x, worldPoint.y - point.y) <= 180);
+          const lineHit = route.points.slice(1).some((point, index) => distanceToSegment(worldPoint, route.points[index], point) <= 160);
+          return { connection, hit: handleIndex >= 0 || lineHit, handleIndex, route, waypoints };
         })
         .reverse()
         .find((candidate) => candidate.hit);
 
       if (connectionHit) {
-        setSelectedTarget({ kind: "connection", index: connectionHit.index });
+        const { connection, handleIndex, route, waypoints } = connectionHit;
+        setSelectedTarget({ kind: "connection", id: connection.id });
+        setHistory((current) => beginTransaction(current, `Reroute ${connection.label || "cable"}`));
+        // Dragging a handle moves that waypoint; dragging the cable itself
+        // inserts a new one, which overrides the automatic route.
         planInteractionRef.current = {
           dragging: true,
           kind: "connection",
-          index: connectionHit.index,
-          offsetX: worldPoint.x - connectionHit.path.control.x,
-          offsetY: worldPoint.y - connectionHit.path.control.y,
+          id: connection.id,
+          waypoint: handleIndex >= 0 ? handleIndex : null,
+          insertAt: handleIndex >= 0 ? null : getWaypointInsertIndex(route, waypoints, worldPoint),
+          offsetX: 0,
+          offsetY: 0,
         };
         return;
       }
 
       const walls = getWallSegments(room);
       const openingHit = openings
-        .map((opening, index) => {
+        .map((opening) => {
           const wall = walls[opening.wall];
           const bounds = getOpeningBounds(opening, wall, room);
           return {
-            index,
+            opening,
             hit:
               distanceToSegment(
                 worldPoint,
@@ -522,23 +1228,63 @@ export default function App() {
         .find((candidate) => candidate.hit);
 
       if (openingHit) {
-        setSelectedTarget({ kind: "opening", index: openingHit.index });
-        planInteractionRef.current = { dragging: false, kind: null, index: null, offsetX: 0, offsetY: 0 };
+        setSelectedTarget({ kind: "opening", id: openingHit.opening.id });
+        planInteractionRef.current = { dragging: false, kind: null, id: null, offsetX: 0, offsetY: 0 };
         return;
       }
 
-      setSelectedTarget(null);
-      planInteractionRef.current = { dragging: false, kind: null, index: null, offsetX: 0, offsetY: 0 };
+      const wallHit = findWallAt(worldPoint);
+      if (wallHit) {
+        setSelectedTarget({ kind: "wall", id: wallHit.id });
+        planInteractionRef.current = { dragging: false, kind: null, id: null, offsetX: 0, offsetY: 0 };
+        return;
+      }
+
+      // Clicking bare floor picks that tile for the Raised Floor form.
+      const tileAddress = getTileAddress(getTileAt(room, worldPoint));
+      const tileHit = tiles.find((tile) => tile.address === tileAddress);
+      setSelectedTarget(tileHit ? { kind: "tile", id: tileHit.id } : null);
+      if (tileAddress && isPointInsidePolygon(worldPoint, getRoomFootprint(room))) setTileDraft((current) => ({ ...current, address: tileAddress }));
+      planInteractionRef.current = { dragging: false, kind: null, id: null, offsetX: 0, offsetY: 0 };
     };
 
     const move = (event) => {
       const interaction = planInteractionRef.current;
-      if (!interaction.dragging || interaction.index === null) return;
+      if (!interaction.dragging || interaction.id === null) return;
+      if (interaction.kind === "room") {
+        const worldPoint = getWorldPoint(event, interaction.projection);
+        setHistory((current) => updateTransaction(current, updateRoomRecord(current.present, interaction.id, (record) => ({
+          ...record,
+          origin: {
+            x: Math.round((worldPoint.x - interaction.offsetX) / 50) * 50,
+            y: Math.round((worldPoint.y - interaction.offsetY) / 50) * 50,
+          },
+        }))));
+        return;
+      }
       const worldPoint = getWorldPoint(event);
-      if (interaction.kind === "equipment") {
-        setEquipment((current) =>
-          current.map((item, index) =>
-            index === interaction.index
+      if (interaction.kind === "vertex") {
+        dragModel((model) => ({
+          ...model,
+          room: {
+            ...model.room,
+            outline: model.room.outline.map((vertex) =>
+              vertex.id === interaction.id
+                ? {
+                    ...vertex,
+                    x: Math.round((worldPoint.x - interaction.offsetX) / 50) * 50,
+                    y: Math.round((worldPoint.y - interaction.offsetY) / 50) * 50,
+                  }
+                : vertex
+            ),
+          },
+        }));
+        return;
+      }
+      if (interaction.kind === "passThrough") {
+        dragCollection("passThroughs", (current) =>
+          current.map((item) =>
+            item.id === interaction.id
               ? {
                   ...item,
                   x: Math.round((worldPoint.x - interaction.offsetX) / 50) * 50,
@@ -549,10 +1295,34 @@ export default function App() {
         );
         return;
       }
-      if (interaction.kind === "tray") {
-        setTrays((current) =>
-          current.map((item, index) =>
-            index === interaction.index
+      if (interaction.kind === "equipment") {
+        // Hardware stops at a door's keep-out zone but can still be dragged out of one.
+        dragCollection("equipment", (current) =>
+          current.map((item) => {
+            if (item.id !== interaction.id) return item;
+            const moved = { ...item, ...snapPlacement(item, { x: worldPoint.x - interaction.offsetX, y: worldPoint.y - interaction.offsetY }) };
+            return !item.mountedIn && findDoorConflict(room, openings, moved) && !findDoorConflict(room, openings, item) ? item : moved;
+          })
+        );
+        return;
+      }
+      if (interaction.kind === "row") {
+        dragModel((model) => {
+          const row = findById(model.rows, interaction.id);
+          if (!row) return model;
+          const [cabinet] = getRowCabinets(model.equipment, row.id);
+          const point = { x: worldPoint.x - interaction.offsetX, y: worldPoint.y - interaction.offsetY };
+          const moved = { ...row, ...snapPlacement({ width: 0, depth: 0, ...cabinet, rotationDeg: row.rotationDeg }, point) };
+          const nextEquipment = layoutRow(model.equipment, moved);
+          if (entersDoorSwing(room, openings, model.equipment, nextEquipment)) return model;
+          return { ...model, rows: model.rows.map((item) => (item.id === row.id ? moved : item)), equipment: nextEquipment };
+        });
+        return;
+      }
+      if (interaction.kind === "containment") {
+        dragCollection("containments", (current) =>
+          current.map((item) =>
+            item.id === interaction.id
               ? {
                   ...item,
                   x: Math.round((worldPoint.x - interaction.offsetX) / 50) * 50,
@@ -563,34 +1333,132 @@ export default function App() {
         );
         return;
       }
-      if (interaction.kind === "connection") {
-        setConnections((current) =>
-          current.map((item, index) =>
-            index === interaction.index
+      if (interaction.kind === "underfloor") {
+        dragCollection("underfloor", (current) =>
+          current.map((item) => {
+            if (item.id !== interaction.id) return item;
+            const dx = Math.round((worldPoint.x - interaction.offsetX) / 50) * 50 - item.points[0].x;
+            const dy = Math.round((worldPoint.y - interaction.offsetY) / 50) * 50 - item.points[0].y;
+            return { ...item, points: item.points.map((point) => ({ x: point.x + dx, y: point.y + dy })) };
+          })
+        );
+        return;
+      }
+      if (interaction.kind === "tray") {
+        // The whole run moves with its first point, which snaps to the grid.
+        dragCollection("trays", (current) =>
+          current.map((item) => {
+            if (item.id !== interaction.id) return item;
+            const dx = Math.round((worldPoint.x - interaction.offsetX) / 50) * 50 - item.points[0].x;
+            const dy = Math.round((worldPoint.y - interaction.offsetY) / 50) * 50 - item.points[0].y;
+            return { ...item, points: item.points.map((point) => ({ x: point.x + dx, y: point.y + dy })) };
+          })
+        );
+        return;
+      }
+      if (interaction.kind === "trayVertex") {
+        const point = { x: Math.round(worldPoint.x / 50) * 50, y: Math.round(worldPoint.y / 50) * 50 };
+        dragCollection("trays", (current) =>
+          current.map((item) =>
+            item.id === interaction.id ? { ...item, points: item.points.map((entry, index) => (index === interaction.vertex ? point : entry)) } : item
+          )
+        );
+        return;
+      }
+      if (interaction.kind === "fitting") {
+        dragCollection("fittings", (current) =>
+          current.map((item) =>
+            item.id === interaction.id
               ? {
-                  ...normalizeConnection(item),
-                  controlX: Math.round((worldPoint.x - interaction.offsetX) / 50) * 50,
-                  controlY: Math.round((worldPoint.y - interaction.offsetY) / 50) * 50,
+                  ...item,
+                  x: Math.round((worldPoint.x - interaction.offsetX) / 50) * 50,
+                  y: Math.round((worldPoint.y - interaction.offsetY) / 50) * 50,
                 }
               : item
           )
         );
+        return;
+      }
+      if (interaction.kind === "connection") {
+        const point = { x: Math.round(worldPoint.x / 50) * 50, y: Math.round(worldPoint.y / 50) * 50 };
+        const insertAt = interaction.waypoint === null ? interaction.insertAt : null;
+        dragCollection("connections", (current) =>
+          current.map((item) => {
+            if (item.id !== interaction.id) return item;
+            const waypoints = [...(item.waypoints || [])];
+            if (insertAt === null) {
+              waypoints[interaction.waypoint] = point;
+            } else {
+              waypoints.splice(insertAt, 0, point);
+            }
+            return { ...item, waypoints };
+          })
+        );
+        if (insertAt !== null) interaction.waypoint = insertAt;
       }
     };
 
     const up = () => {
-      planInteractionRef.current = { dragging: false, kind: null, index: null, offsetX: 0, offsetY: 0 };
+      if (planInteractionRef.current.dragging) setHistory(endTransaction);
+      planInteractionRef.current = { dragging: false, kind: null, id: null, offsetX: 0, offsetY: 0 };
+    };
+
+    const doubleClick = (event) => {
+      if (planMode === "floor" || measuring) return;
+      if (trayRun) {
+        finishTrayRun();
+        return;
+      }
+      const worldPoint = getWorldPoint(event);
+      // Double-clicking a tray adds a bend point there; anywhere else on a wall splits it.
+      for (const tray of trays) {
+        const segmentIndex = getTraySegments(tray).findIndex((segment) => distanceToSegment(worldPoint, segment.start, segment.end) <= Math.max(tray.width / 2, 150));
+        if (segmentIndex < 0) continue;
+        const point = { x: Math.round(worldPoint.x / 50) * 50, y: Math.round(worldPoint.y / 50) * 50 };
+        setTrays((current) => current.map((item) => {
+          if (item.id !== tray.id) return item;
+          const points = [...item.points];
+          points.splice(segmentIndex + 1, 0, point);
+          return { ...item, points };
+        }), `Add point to ${tray.label || "tray"}`);
+        return;
+      }
+      const wall = findWallAt(worldPoint);
+      if (!wall) return;
+      const distance = (worldPoint.x - wall.start.x) * wall.dir.x + (worldPoint.y - wall.start.y) * wall.dir.y;
+      updateOutline(`Split ${wallLabel(wall.index)}`, (outline, currentOpenings) => splitWall(outline, currentOpenings, wall.index, distance));
     };
 
     canvas.addEventListener("mousedown", down);
+    canvas.addEventListener("dblclick", doubleClick);
     window.addEventListener("mousemove", move);
     window.addEventListener("mouseup", up);
     return () => {
       canvas.removeEventListener("mousedown", down);
+      canvas.removeEventListener("dblclick", doubleClick);
       window.removeEventListener("mousemove", move);
       window.removeEventListener("mouseup", up);
     };
-  }, [room, equipment, trays, openings, connections]);
+  }, [workspace, planMode, projectState, activeRecord.id, trayRun, trayDraft, selectedTarget, tileSnap, measuring, measureMode]);
+
+  useEffect(() => {
+    const onKeyDown = (event) => {
+      if (!(event.ctrlKey || event.metaKey)) return;
+      const target = event.target;
+      // Editable fields keep the browser's own undo.
+      if (target instanceof HTMLInputElement || target instanceof HTMLSelectElement || target instanceof HTMLTextAreaElement || target.isContentEditable) return;
+      const key = event.key.toLowerCase();
+      if (key === "z" && !event.shiftKey) {
+        event.preventDefault();
+        setHistory(undoHistory);
+      } else if ((key === "z" && event.shiftKey) || key === "y") {
+        event.preventDefault();
+        setHistory(redoHistory);
+      }
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, []);
 
   useEffect(() => {
     const onResize = () => setResizeTick((current) => current + 1);
@@ -598,251 +1466,716 @@ export default function App() {
     return () => window.removeEventListener("resize", onResize);
   }, []);
 
+  function exportProject() {
+    const document = serializeProject(projectState);
+    const blob = new Blob([JSON.stringify(document, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const link = window.document.createElement("a");
+    link.href = url;
+    link.download = `${projectName.trim().replace(/[^a-z0-9-_]+/gi, "-") || "room-project"}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function importProject(event) {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        const { project, rejected, migratedFrom } = parseProject(text);
+        commitProject(`Import ${file.name}`, () => project);
+        activateRoom(project.rooms[0].id);
+        setProjectName(file.name.replace(/\.json$/i, ""));
+        setImportReport({ fileName: file.name, rejected, migratedFrom, error: null });
+      } catch (error) {
+        setImportReport({ fileName: file.name, rejected: [], migratedFrom: null, error: error.message });
+      }
+    });
+  }
+
   function addOpening() {
-    setOpenings((current) => [...current, { ...openingDraft, sillHeight: openingDraft.type === "door" ? 0 : openingDraft.sillHeight }]);
+    setOpenings((current) => [...current, { ...openingDraft, id: createId("opening"), wall: Math.min(openingDraft.wall, room.outline.length - 1), sillHeight: openingDraft.type === "door" ? 0 : openingDraft.sillHeight }], `Add ${openingDraft.label || "opening"}`);
     setOpeningDraft((current) => ({ ...current, label: `Door ${openings.length + 2}` }));
   }
 
   function addEquipment() {
-    const preset = EQUIPMENT_PRESETS[equipmentDraft.type];
-    const nextItem = { ...equipmentDraft };
+    const category = getCategory(equipmentDraft.type);
+    const nextItem = { ...equipmentDraft, id: createId("equipment") };
 
     if (equipmentDraft.type === "cabinet") {
       nextItem.frontFace = nextItem.frontFace || "transparent";
       nextItem.rearFace = nextItem.rearFace || "transparent";
       nextItem.mountedIn = null;
-      nextItem.rackUnits = preset.rackUnits;
       nextItem.rackStart = null;
       nextItem.installMode = "floor";
       nextItem.mountTarget = "";
-    } else if (preset.mountable && equipmentDraft.installMode === "rack" && equipmentDraft.mountTarget !== "") {
-      const cabinetIndex = Number(equipmentDraft.mountTarget);
-      const cabinet = equipment[cabinetIndex];
-      if (cabinet && cabinet.type === "cabinet") {
-        const rackUnits = preset.rackUnits || Math.max(1, Math.round(preset.height / RU_HEIGHT));
-        const rackStart = getNextRackStart(equipment, cabinetIndex, rackUnits);
-        const rackCapacity = cabinet.rackUnits || Math.max(1, Math.round(cabinet.height / RU_HEIGHT));
-        if (rackStart + rackUnits - 1 > rackCapacity) {
-          return;
-        }
-        nextItem.mountedIn = cabinetIndex;
-        nextItem.rackUnits = rackUnits;
-        nextItem.rackStart = rackStart;
-        nextItem.height = rackUnits * RU_HEIGHT;
-        nextItem.width = Math.max(Math.min(cabinet.width - 120, 482), 200);
-        nextItem.depth = Math.max(Math.min(cabinet.depth - 180, preset.depth), 180);
-        nextItem.x = cabinet.x;
-        nextItem.y = cabinet.y;
-        nextItem.rotationDeg = cabinet.rotationDeg;
-      } else {
+    } else if (category.mountable && equipmentDraft.installMode === "rack" && equipmentDraft.mountTarget !== "") {
+      const cabinet = findById(equipment, equipmentDraft.mountTarget);
+      if (!cabinet || cabinet.type !== "cabinet") {
+        return;
+      }
+      const rackStart = getNextRackStart(equipment, cabinet, nextItem);
+      if (rackStart === null) {
         return;
       }
+      Object.assign(nextItem, mountInRack(nextItem, cabinet, rackStart));
+    } else if (category.zeroU && equipmentDraft.installMode === "zeroU" && equipmentDraft.mountTarget !== "") {
+      const cabinet = findById(equipment, equipmentDraft.mountTarget);
+      if (!cabinet || cabinet.type !== "cabinet" || getChannelIssue(equipment, cabinet, nextItem, equipmentDraft.sideChannel)) {
+        return;
+      }
+      Object.assign(nextItem, mountInChannel(nextItem, cabinet, equipmentDraft.sideChannel));
     } else {
       nextItem.mountedIn = null;
-      nextItem.rackUnits = preset.rackUnits || 0;
       nextItem.rackStart = null;
       nextItem.mountTarget = "";
     }
 
-    setEquipment((current) => [...current, nextItem]);
-    setEquipmentDraft((current) => ({ ...current, label: `${EQUIPMENT_PRESETS[current.type].label} ${equipment.length + 2}` }));
+    const door = nextItem.mountedIn ? null : findDoorConflict(room, openings, nextItem);
+    if (door) {
+      setPlacementMessage(`Cannot place ${nextItem.label || "hardware"} in the swing of ${door.label || "a door"}.`);
+      return;
+    }
+    setPlacementMessage(null);
+    setEquipment((current) => [...current, nextItem], `Add ${getEquipmentName(catalog, nextItem)}`);
+    setEquipmentDraft((current) => ({ ...current, label: `${getCategory(current.type).label} ${equipment.length + 2}` }));
+  }
+
+  function createRowCabinet(row, model, index) {
+    return {
+      ...applyModel({ ...defaultEquipment, colorKey: model.colorKey || defaultEquipment.colorKey }, model),
+      ...getRowPlacement(row, index),
+      id: createId("equipment"),
+      label: `${row.label || "Row"}-${String(index + 1).padStart(2, "0")}`,
+      frontFace: "transparent",
+      rearFace: "transparent",
+      mountedIn: null,
+      rackStart: null,
+      rowId: row.id,
+      rowIndex: index,
+    };
+  }
+
+  function addRow() {
+    const model = findById(cabinetModels, rowDraft.modelId) || cabinetModels[0];
+    if (!model) return;
+    const { modelId, count, ...draft } = rowDraft;
+    const row = { ...draft, id: createId("row"), modelId: model.id };
+    const cabinets = Array.from({ length: count }, (_, index) => createRowCabinet(row, model, index));
+    commitModel(`Add ${row.label || "row"}`, (current) => ({ ...current, rows: [...current.rows, row], equipment: [...current.equipment, ...cabinets] }));
+    setRowDraft((current) => ({ ...current, label: `Row ${String.fromCharCode(65 + ((rows.length + 1) % 26))}` }));
+    setSelectedTarget({ kind: "row", id: row.id });
+  }
+
+  function addCabinetToRow(row) {
+    const model = findById(cabinetModels, row.modelId) || cabinetModels[0];
+    if (!model) return;
+    const cabinet = createRowCabinet(row, model, getNextRowIndex(equipment, row.id));
+    setEquipment((current) => [...current, cabinet], `Add ${cabinet.label} to ${row.label || "row"}`);
+  }
+
+  function addRowContainment(row) {
+    const containment = getRowContainment(row, getRowCabinets(equipment, row.id), room.aisleClearance || defaultRow.pitch * 2);
+    if (!containment) return;
+    const next = { ...containment, id: createId("containment"), label: `${row.label || "Row"} ${CONTAINMENT_TYPES[containment.type]}` };
+    setContainments((current) => [...current, next], `Add ${next.label}`);
+    setSelectedTarget({ kind: "containment", id: next.id });
+  }
+
+  // Setting a tile back to solid drops its record.
+  function setTile() {
+    const address = normalizeTileAddress(tileDraft.address);
+    if (!address) return;
+    const existing = tiles.find((tile) => tile.address === address);
+    const next = { id: existing?.id || createId("tile"), address, type: tileDraft.type, openPercent: tileDraft.type === "perforated" ? clamp(tileDraft.openPercent, 1, 100) : null };
+    setTiles((current) => (next.type === "solid" ? current.filter((tile) => tile.address !== address) : existing ? current.map((tile) => (tile.id === existing.id ? next : tile)) : [...current, next]), `Set tile ${address} ${TILE_TYPES[next.type].toLowerCase()}`);
+    if (next.type !== "solid") setSelectedTarget({ kind: "tile", id: next.id });
+  }
+
+  function updateTileType(type) {
+    if (type === "solid") {
+      removeTile(selectedTarget.id);
+      return;
+    }
+    setTiles((current) => current.map((item) => (item.id === selectedTarget.id ? { ...item, type, openPercent: type === "perforated" ? item.openPercent || defaultTile.openPercent : null } : item)), `Set tile ${selectedItem.address} ${TILE_TYPES[type].toLowerCase()}`);
+  }
+
+  function removeTile(id) {
+    setTiles((current) => current.filter((item) => item.id !== id), `Reset tile ${findById(tiles, id)?.address || ""} to solid`);
+    clearSelectionOf("tile", new Set([id]));
+  }
+
+  function addUnderfloor() {
+    const { x, y, endX, endY, ...draft } = underfloorDraft;
+    const object = { ...draft, id: createId("underfloor"), points: draft.type === "pedestal" ? [{ x, y }] : [{ x, y }, { x: endX, y: endY }] };
+    setUnderfloor((current) => [...current, object], `Add ${object.label || "underfloor object"}`);
+    setUnderfloorDraft((current) => ({ ...current, label: `${UNDERFLOOR_TYPES[current.type]} ${underfloor.length + 2}` }));
+  }
+
+  function removeUnderfloor(id) {
+    setUnderfloor((current) => current.filter((item) => item.id !== id), `Remove ${findById(underfloor, id)?.label || "underfloor object"}`);
+    clearSelectionOf("underfloor", new Set([id]));
+  }
+
+  function updateUnderfloorPoint(index, point) {
+    const points = selectedItem.points;
+    updateSelectedField("points", point ? points.map((entry, entryIndex) => (entryIndex === index ? point : entry)) : points.filter((_, entryIndex) => entryIndex !== index));
+  }
+
+  // Equipment and rows are placed with their front on the tile; runs move by
+  // their first point and everything else is centred on the tile.
+  function getAssetTile(kind, item) {
+    if (kind === "equipment") return getEquipmentTile(room, item);
+    if (kind === "row") {
+      const [cabinet] = getRowCabinets(equipment, item.id);
+      return cabinet ? getEquipmentTile(room, cabinet) : getTileAt(room, item);
+    }
+    if (kind === "tray" || kind === "underfloor") return getTileAt(room, item.points[0]);
+    return getTileAt(room, item);
+  }
+
+  function moveSelectedToTile(cell) {
+    const { kind, id } = selectedTarget;
+    const collection = { equipment: "equipment", row: "rows", tray: "trays", underfloor: "underfloor", fitting: "fittings", containment: "containments", passThrough: "passThroughs" }[kind];
+    const label = `Move ${selectedItem.label || kind} to ${getTileAddress(cell)}`;
+    commitModel(label, (model) => {
+      const item = findById(model[collection], id);
+      if (!item) return model;
+      if (kind === "row") {
+        const [cabinet] = getRowCabinets(model.equipment, id);
+        const target = cabinet ? placeOnTile(room, cabinet, cell) : getTileCenter(room, cell);
+        const from = cabinet || item;
+        const moved = { ...item, x: item.x + target.x - from.x, y: item.y + target.y - from.y };
+        const nextEquipment = layoutRow(model.equipment, moved);
+        if (entersDoorSwing(model.room, model.openings, model.equipment, nextEquipment)) return model;
+        return { ...model, rows: model.rows.map((entry) => (entry.id === id ? moved : entry)), equipment: nextEquipment };
+      }
+      let moved;
+      if (kind === "equipment") {
+        moved = { ...item, ...placeOnTile(room, item, cell) };
+      } else if (kind === "tray" || kind === "underfloor") {
+        const center = getTileCenter(room, cell);
+        const dx = center.x - item.points[0].x;
+        const dy = center.y - item.points[0].y;
+        moved = { ...item, points: item.points.map((point) => ({ x: point.x + dx, y: point.y + dy })) };
+      } else {
+        moved = { ...item, ...getTileCenter(room, cell) };
+      }
+      if (kind === "equipment" && entersDoorSwing(model.room, model.openings, [item], [moved])) return model;
+      return { ...model, [collection]: model[collection].map((entry) => (entry.id === id ? moved : entry)) };
+    });
+  }
+
+  // Distance measurements start over on the third click; chains and areas
+  // grow until they are cleared or saved. A double-click lands the same point
+  // twice, so repeats are dropped.
+  function addMeasurePoint(point) {
+    const next = { x: Math.round(point.x), y: Math.round(point.y), z: Math.round(point.z || 0) };
+    setMeasurePoints((current) => {
+      const last = current[current.length - 1];
+      if (last && getDistance(last, next) < 1) return current;
+      return measureMode === "distance" && current.length >= 2 ? [next] : [...current, next];
+    });
+  }
+
+  function toggleMeasuring() {
+    setMeasuring((current) => !current);
+    setMeasurePoints([]);
+  }
+
+  function saveMeasurement() {
+    const annotation = {
+      id: createId("annotation"),
+      label: `${MEASURE_MODES[measureMode]} ${annotations.length + 1}`,
+      type: measureMode,
+      anchors: measurePoints.map((point) => createAnchor(equipment, point)),
+    };
+    setAnnotations((current) => [...current, annotation], `Add ${annotation.label}`);
+    setMeasurePoints([]);
+    setSelectedTarget({ kind: "annotation", id: annotation.id });
   }
 
-  function addTray() {
-    setTrays((current) => [...current, { ...trayDraft }]);
+  function removeAnnotation(id) {
+    setAnnotations((current) => current.filter((item) => item.id !== id), `Remove ${findById(annotations, id)?.label || "dimension"}`);
+    clearSelectionOf("annotation", new Set([id]));
+  }
+
+  function removeContainment(id) {
+    setContainments((current) => current.filter((item) => item.id !== id), `Remove ${findById(containments, id)?.label || "containment"}`);
+    clearSelectionOf("containment", new Set([id]));
+  }
+
+  // Tray runs are drawn on the plan: each click adds a point and a double-click
+  // or Finish Run ends the run.
+  function finishTrayRun() {
+    const points = (trayRun || []).filter((point, index, all) => index === 0 || point.x !== all[index - 1].x || point.y !== all[index - 1].y);
+    setTrayRun(null);
+    if (points.length < 2) return;
+    const tray = { ...trayDraft, id: createId("tray"), points };
+    setTrays((current) => [...current, tray], `Add ${trayDraft.label || "tray"}`);
     setTrayDraft((current) => ({ ...current, label: `Tray ${trays.length + 2}` }));
+    setSelectedTarget({ kind: "tray", id: tray.id });
+  }
+
+  function updateTrayPoint(index, point) {
+    const points = selectedItem.points;
+    updateSelectedField("points", point ? points.map((entry, entryIndex) => (entryIndex === index ? point : entry)) : points.filter((_, entryIndex) => entryIndex !== index));
+  }
+
+  function addFitting() {
+    const { topZ, cabinetId, ...draft } = fittingDraft;
+    const fitting = { ...draft, id: createId("fitting") };
+    if (draft.type === "riser") fitting.topZ = Math.max(topZ, draft.z + 50);
+    if (draft.type === "drop") {
+      const cabinet = findById(equipment, cabinetId);
+      if (!cabinet) return;
+      fitting.cabinetId = cabinet.id;
+    }
+    setFittings((current) => [...current, fitting], `Add ${fitting.label || "fitting"}`);
+    setFittingDraft((current) => ({ ...current, label: `Fitting ${fittings.length + 2}` }));
+  }
+
+  // Adds tees and crosses wherever runs at one elevation meet without one.
+  function addJunctionFittings() {
+    const found = findTrayJunctions(trays, fittings);
+    if (found.length === 0) return;
+    setFittings((current) => [
+      ...current,
+      ...found.map((junction, index) => ({ ...junction, id: createId("fitting"), label: `${FITTING_TYPES[junction.type]} ${current.length + index + 1}` })),
+    ], `Add ${found.length} fitting(s)`);
+  }
+
+  function removeFitting(id) {
+    setFittings((current) => current.filter((item) => item.id !== id), `Remove ${findById(fittings, id)?.label || "fitting"}`);
+    clearSelectionOf("fitting", new Set([id]));
+  }
+
+  function addCircuit() {
+    const circuit = { ...circuitDraft, id: createId("circuit"), sourceId: circuitDraft.sourceId || null };
+    setCircuits((current) => [...current, circuit], `Add ${circuit.label || "circuit"}`);
+    setCircuitDraft((current) => ({ ...current, label: `Circuit ${circuits.length + 2}` }));
+  }
+
+  // Equipment wired to a removed circuit is left without an input feed.
+  function removeCircuit(id) {
+    commitModel(`Remove ${findById(circuits, id)?.label || "circuit"}`, (model) => ({
+      ...model,
+      circuits: model.circuits.filter((item) => item.id !== id),
+      equipment: model.equipment.map((item) => (item.circuitId === id ? { ...item, circuitId: null } : item)),
+    }));
+    clearSelectionOf("circuit", new Set([id]));
+  }
+
+  function addPassThrough() {
+    const { linkTarget, ...draft } = passThroughDraft;
+    const point = { ...draft, id: createId("passThrough") };
+    // Link targets are encoded as "<roomId>:<passThroughId>".
+    const [toRoomId, toPassThroughId] = linkTarget ? linkTarget.split(":") : [];
+    const roomId = activeRecord.id;
+    commitProject(`Add ${point.label || "pass-through"}`, (current) => {
+      const next = updateRoomRecord(current, roomId, (model) => ({ ...model, passThroughs: [...model.passThroughs, point] }));
+      if (!toPassThroughId) return next;
+      const link = { id: createId("link"), label: point.label, fromRoomId: roomId, fromPassThroughId: point.id, toRoomId, toPassThroughId };
+      return { ...next, links: [...next.links, link] };
+    });
+    setPassThroughDraft((current) => ({ ...current, label: `Pass-Through ${passThroughs.length + 2}`, linkTarget: "" }));
+  }
+
+  function removePassThrough(id) {
+    const roomId = activeRecord.id;
+    commitProject(`Remove ${findById(passThroughs, id)?.label || "pass-through"}`, (current) =>
+      pruneLinks(updateRoomRecord(current, roomId, (model) => ({
+        ...model,
+        passThroughs: model.passThroughs.filter((item) => item.id !== id),
+        connections: model.connections.filter(
+          (item) => !(item.fromKind === "passThrough" && item.fromId === id) && !(item.toKind === "passThrough" && item.toId === id)
+        ),
+      })))
+    );
+    clearSelectionOf("passThrough", new Set([id]));
+  }
+
+  function addNode(collection, parentId) {
+    const { project, id } = addHierarchyNode(projectState, collection, parentId);
+    commitProject(`Add ${collection.slice(0, -1)}`, () => project);
+    if (collection === "rooms") activateRoom(id);
+  }
+
+  function renameNode(collection, id, name) {
+    commitProject(`Rename ${collection.slice(0, -1)}`, (current) => renameHierarchyNode(current, collection, id, name), `${collection}:${id}:name`);
+  }
+
+  function removeNode(collection, id) {
+    commitProject(`Remove ${collection.slice(0, -1)}`, (current) => removeHierarchyNode(current, collection, id));
   }
 
   function addConnection() {
     const fromRef = parseRef(connectionDraft.fromRef);
     const toRef = parseRef(connectionDraft.toRef);
     if (!fromRef || !toRef) return;
-    if (fromRef.kind === toRef.kind && fromRef.index === toRef.index) return;
-    const fromAnchor = getConnectionAnchor(fromRef, equipment, trays);
-    const toAnchor = getConnectionAnchor(toRef, equipment, trays);
+    if (fromRef.kind === toRef.kind && fromRef.id === toRef.id) return;
+    const fromAnchor = getConnectionAnchor(fromRef, roomModel);
+    const toAnchor = getConnectionAnchor(toRef, roomModel);
     if (!fromAnchor || !toAnchor) return;
-    setConnections((current) => [
-      ...current,
-      {
-        ...connectionDraft,
-        fromKind: fromRef.kind,
-        fromIndex: fromRef.index,
-        toKind: toRef.kind,
-        toIndex: toRef.index,
-        controlX: toAnchor.x,
-        controlY: fromAnchor.y,
-      },
-    ]);
-    setConnectionDraft((current) => ({ ...current, label: `Cable ${connections.length + 2}` }));
+    const { fromRef: _fromRef, toRef: _toRef, fromPort, toPort, ...draft } = connectionDraft;
+    // Devices with ports take cables on a port, not on the chassis.
+    const unassigned = [[fromRef, fromPort], [toRef, toPort]].find(([ref, value]) => !value && getEndpointPorts(ref.kind, ref.id, equipment).length > 0);
+    if (unassigned) {
+      setConnectionMessage(`Choose a port on ${getEndpointLabel(unassigned[0].kind, unassigned[0].id, roomModel)}.`);
+      return;
+    }
+    const from = parsePortValue(fromPort);
+    const to = parsePortValue(toPort);
+    const connection = {
+      ...draft,
+      id: createId("connection"),
+      fromKind: fromRef.kind,
+      fromId: fromRef.id,
+      toKind: toRef.kind,
+      toId: toRef.id,
+      fromPort: from.port,
+      fromOutlet: from.outlet,
+      toPort: to.port,
+      toOutlet: to.outlet,
+      waypoints: [],
+    };
+    const issue = getConnectionPortIssue(connection, equipment, connections);
+    if (issue) {
+      setConnectionMessage(`Cannot connect: ${issue}.`);
+      return;
+    }
+    setConnections((current) => [...current, connection], `Add ${connectionDraft.label || "cable"}`);
+    setConnectionDraft((current) => ({ ...current, label: `Cable ${connections.length + 2}`, fromPort: "", toPort: "" }));
+    setConnectionMessage(null);
   }
 
-  function removeEquipment(index) {
-    const removedIndexes = new Set([index]);
-    const item = equipment[index];
-    if (item?.type === "cabinet") {
-      equipment.forEach((equipmentItem, equipmentIndex) => {
-        if (equipmentItem.mountedIn === index) {
-          removedIndexes.add(equipmentIndex);
-        }
-      });
+  function updateConnectionPort(end, value) {
+    const connection = findById(connections, selectedTarget?.id);
+    if (!connection) return;
+    const { port, outlet } = parsePortValue(value);
+    const next = { ...connection, [`${end}Port`]: port, [`${end}Outlet`]: outlet };
+    const issue = getConnectionPortIssue(next, equipment, connections);
+    if (issue) {
+      setConnectionMessage(`Cannot change ${connection.label || "cable"}: ${issue}.`);
+      return;
     }
-    setEquipment((current) =>
-      current
-        .filter((_, itemIndex) => !removedIndexes.has(itemIndex))
-        .map((equipmentItem) => {
-          if (equipmentItem.mountedIn === null || equipmentItem.mountedIn === undefined) {
-            return equipmentItem;
-          }
-          if (removedIndexes.has(equipmentItem.mountedIn)) {
-            return { ...equipmentItem, mountedIn: null, rackStart: null };
-          }
-          const removedBeforeMount = [...removedIndexes].filter((removedIndex) => removedIndex < equipmentItem.mountedIn).length;
-          return removedBeforeMount > 0
-            ? { ...equipmentItem, mountedIn: equipmentItem.mountedIn - removedBeforeMount }
-            : equipmentItem;
-        })
-    );
-    setConnections((current) =>
-      current
-        .map((connectionItem) => normalizeConnection(connectionItem))
-        .filter(
-          (connectionItem) =>
-            !(connectionItem.fromKind === "equipment" && removedIndexes.has(connectionItem.fromIndex)) &&
-            !(connectionItem.toKind === "equipment" && removedIndexes.has(connectionItem.toIndex))
-        )
-        .map((connectionItem) => ({
-          ...connectionItem,
-          fromIndex:
-            connectionItem.fromKind === "equipment"
-              ? connectionItem.fromIndex - [...removedIndexes].filter((removedIndex) => removedIndex < connectionItem.fromIndex).length
-              : connectionItem.fromIndex,
-          toIndex:
-            connectionItem.toKind === "equipment"
-              ? connectionItem.toIndex - [...removedIndexes].filter((removedIndex) => removedIndex < connectionItem.toIndex).length
-              : connectionItem.toIndex,
-        }))
-    );
-    setSelectedTarget((current) => {
-      if (!current || current.kind !== "equipment") return current;
-      if (removedIndexes.has(current.index)) return null;
-      const removedBefore = [...removedIndexes].filter((removedIndex) => removedIndex < current.index).length;
-      return removedBefore > 0 ? { ...current, index: current.index - removedBefore } : current;
-    });
+    setConnectionMessage(null);
+    setConnections((current) => current.map((item) => (item.id === connection.id ? next : item)), `Edit ${connection.label || "cable"} ${end} port`);
   }
 
-  function removeTray(index) {
-    setTrays((current) => current.filter((_, itemIndex) => itemIndex !== index));
-    setConnections((current) => current
-      .map((item) => normalizeConnection(item))
-      .filter((item) => !(item.fromKind === "tray" && item.fromIndex === index) && !(item.toKind === "tray" && item.toIndex === index))
-      .map((item) => ({
-        ...item,
-        fromIndex: item.fromKind === "tray" && item.fromIndex > index ? item.fromIndex - 1 : item.fromIndex,
-        toIndex: item.toKind === "tray" && item.toIndex > index ? item.toIndex - 1 : item.toIndex,
-      })));
-    setSelectedTarget((current) => {
-      if (!current || current.kind !== "tray") return current;
-      if (current.index === index) return null;
-      return current.index > index ? { ...current, index: current.index - 1 } : current;
-    });
+  function placeInRack(itemId, cabinetId, rackStart, mountFace) {
+    const item = findById(equipment, itemId);
+    const cabinet = findById(equipment, cabinetId);
+    setDraggedEquipmentId(null);
+    if (!item || !cabinet || item.id === cabinet.id) return;
+    if (!getCategory(item.type).mountable) {
+      setRackMessage(`${getEquipmentName(catalog, item)} cannot be rack mounted.`);
+      return;
+    }
+    const issue = getRackPlacementIssue(equipment, cabinet, { ...item, mountFace }, rackStart);
+    if (issue) {
+      setRackMessage(`Cannot place ${item.label || "device"}: ${issue}.`);
+      return;
+    }
+    const verb = item.mountedIn === cabinet.id ? "Move" : "Mount";
+    setEquipment((current) => current.map((entry) => (entry.id === item.id ? mountInRack(entry, cabinet, rackStart, mountFace) : entry)), `${verb} ${item.label || "device"} to RU ${rackStart} ${mountFace}`);
+    setRackMessage(null);
+    setSelectedTarget({ kind: "equipment", id: item.id });
   }
 
-  function removeOpening(index) {
-    setOpenings((current) => current.filter((_, itemIndex) => itemIndex !== index));
-    setSelectedTarget((current) => {
-      if (!current || current.kind !== "opening") return current;
-      if (current.index === index) return null;
-      return current.index > index ? { ...current, index: current.index - 1 } : current;
-    });
+  // Face and depth changes re-run the occupancy check so a device cannot be
+  // swung onto a rail that is already taken.
+  function updateRackMount(field, value) {
+    const item = findById(equipment, selectedTarget?.id);
+    const cabinet = getMountedCabinet(equipment, item);
+    if (!item || !cabinet) return;
+    const changed = { ...item, [field]: value };
+    const next = isZeroU(item) ? mountInChannel(changed, cabinet, changed.sideChannel) : mountInRack(changed, cabinet, item.rackStart || 1);
+    const issue = isZeroU(item) ? getChannelIssue(equipment, cabinet, next, next.sideChannel) : getRackPlacementIssue(equipment, cabinet, next, next.rackStart);
+    if (issue) {
+      setRackMessage(`Cannot change ${item.label || "device"}: ${issue}.`);
+      return;
+    }
+    setRackMessage(null);
+    // Cables landing on outlets that a shorter strip no longer has fall back to the strip itself.
+    commitModel(`Edit ${item.label || "device"} ${field}`, (model) => {
+      const nextEquipment = model.equipment.map((entry) => (entry.id === item.id ? next : entry));
+      return { ...model, equipment: nextEquipment, connections: pruneConnectionPorts(model.connections, nextEquipment) };
+    }, `equipment:${item.id}:${field}`);
+  }
+
+  function placeInChannel(itemId, cabinetId, sideChannel) {
+    const item = findById(equipment, itemId);
+    const cabinet = findById(equipment, cabinetId);
+    setDraggedEquipmentId(null);
+    if (!item || !cabinet || item.id === cabinet.id) return;
+    const issue = getChannelIssue(equipment, cabinet, item, sideChannel);
+    if (issue) {
+      setRackMessage(`Cannot place ${item.label || "device"}: ${issue}.`);
+      return;
+    }
+    setEquipment((current) => current.map((entry) => (entry.id === item.id ? mountInChannel(entry, cabinet, sideChannel) : entry)), `Mount ${item.label || "device"} in ${sideChannel} channel`);
+    setRackMessage(null);
+    setSelectedTarget({ kind: "equipment", id: item.id });
+  }
+
+  function clearSelectionOf(kind, removedIds) {
+    setSelectedTarget((current) => (current?.kind === kind && removedIds.has(current.id) ? null : current));
   }
 
-  function removeConnection(index) {
-    setConnections((current) => current.filter((_, itemIndex) => itemIndex !== index));
-    setSelectedTarget((current) => {
-      if (!current || current.kind !== "connection") return current;
-      if (current.index === index) return null;
-      return current.index > index ? { ...current, index: current.index - 1 } : current;
+  // Removing a cabinet takes the devices mounted in it along.
+  function getRemovedEquipmentIds(ids) {
+    const removedIds = new Set(ids);
+    equipment.forEach((equipmentItem) => {
+      if (removedIds.has(equipmentItem.mountedIn)) {
+        removedIds.add(equipmentItem.id);
+      }
     });
+    return removedIds;
   }
 
-  const floorArea = Math.round((room.width * room.length) / 1000000);
-  const totalRackUnits = equipment
-    .filter((item) => item.type === "cabinet")
-    .reduce((sum, item) => sum + Math.round(item.height / RU_HEIGHT), 0);
+  function removeEquipment(id) {
+    const removedIds = getRemovedEquipmentIds([id]);
+    commitModel(`Remove ${findById(equipment, id)?.label || "equipment"}`, (model) => withoutEquipment(model, removedIds));
+    clearSelectionOf("equipment", removedIds);
+  }
+
+  function removeRow(id) {
+    const removedIds = getRemovedEquipmentIds(equipment.filter((item) => item.rowId === id).map((item) => item.id));
+    commitModel(`Remove ${findById(rows, id)?.label || "row"}`, (model) => ({ ...withoutEquipment(model, removedIds), rows: model.rows.filter((item) => item.id !== id) }));
+    clearSelectionOf("row", new Set([id]));
+    clearSelectionOf("equipment", removedIds);
+  }
+
+  function withoutEquipment(model, removedIds) {
+    return {
+      ...model,
+      equipment: model.equipment.filter((equipmentItem) => !removedIds.has(equipmentItem.id)),
+      fittings: model.fittings.filter((fitting) => !(fitting.type === "drop" && removedIds.has(fitting.cabinetId))),
+      circuits: pruneCircuitSources(model.circuits, model.equipment.filter((equipmentItem) => !removedIds.has(equipmentItem.id))),
+      annotations: model.annotations.filter((annotation) => !annotation.anchors.some((anchor) => removedIds.has(anchor.equipmentId))),
+      connections: model.connections.filter(
+        (connectionItem) =>
+          !(connectionItem.fromKind === "equipment" && removedIds.has(connectionItem.fromId)) &&
+          !(connectionItem.toKind === "equipment" && removedIds.has(connectionItem.toId))
+      ),
+    };
+  }
+
+  function removeTray(id) {
+    commitModel(`Remove ${findById(trays, id)?.label || "tray"}`, (model) => ({
+      ...model,
+      trays: model.trays.filter((item) => item.id !== id),
+      connections: model.connections.filter((item) => !(item.fromKind === "tray" && item.fromId === id) && !(item.toKind === "tray" && item.toId === id)),
+    }));
+    clearSelectionOf("tray", new Set([id]));
+  }
+
+  function removeOpening(id) {
+    setOpenings((current) => current.filter((item) => item.id !== id), `Remove ${findById(openings, id)?.label || "opening"}`);
+    clearSelectionOf("opening", new Set([id]));
+  }
+
+  function removeConnection(id) {
+    setConnections((current) => current.filter((item) => item.id !== id), `Remove ${findById(connections, id)?.label || "cable"}`);
+    clearSelectionOf("connection", new Set([id]));
+  }
+
+  const walls = getWallSegments(room);
+  const floorArea = Math.round(getPolygonArea(getRoomFootprint(room)) / 1000000);
+  const tileLabel = (kind, item) => getTileAddress(getAssetTile(kind, item)) || "off grid";
   const assetRows = [
     ...equipment.map((item, index) => ({
       kind: "equipment",
-      index,
-      title: item.label || `${index + 1}. ${EQUIPMENT_PRESETS[item.type].label}`,
+      id: item.id,
+      rackMountable: getCategory(item.type).mountable,
+      title: item.label || `${index + 1}. ${getEquipmentName(catalog, item)}`,
       detail:
         item.mountedIn !== null && item.mountedIn !== undefined
-          ? `${equipment[item.mountedIn]?.label || `Cabinet ${item.mountedIn + 1}`} | RU ${item.rackStart || 1}`
-          : `${item.x}, ${item.y}`,
+          ? `${getEndpointLabel("equipment", item.mountedIn, roomModel)} | ${isZeroU(item) ? `0U ${item.sideChannel}` : `RU ${item.rackStart || 1}`}`
+          : `${tileLabel("equipment", item)} | ${item.x}, ${item.y}`,
     })),
     ...trays.map((item, index) => ({
       kind: "tray",
-      index,
+      id: item.id,
       title: item.label || `${index + 1}. Cable Tray`,
-      detail: `${item.x}, ${item.y}, z${item.z}`,
+      detail: `${tileLabel("tray", item)} | ${item.points[0].x}, ${item.points[0].y}, z${item.z}`,
+    })),
+    ...fittings.map((item, index) => ({
+      kind: "fitting",
+      id: item.id,
+      title: item.label || `${index + 1}. ${FITTING_TYPES[item.type]}`,
+      detail: `${FITTING_TYPES[item.type]} ${tileLabel("fitting", item)} | ${item.x}, ${item.y}, z${item.z}`,
+    })),
+    ...circuits.map((item, index) => ({
+      kind: "circuit",
+      id: item.id,
+      title: item.label || `${index + 1}. Circuit`,
+      detail: `Feed ${item.feed}, ${item.ratingAmps} A`,
+    })),
+    ...rows.map((item, index) => ({
+      kind: "row",
+      id: item.id,
+      title: item.label || `${index + 1}. Row`,
+      detail: `${getRowCabinets(equipment, item.id).length} cabinet(s) from ${tileLabel("row", item)} | ${item.x}, ${item.y}`,
+    })),
+    ...containments.map((item, index) => ({
+      kind: "containment",
+      id: item.id,
+      title: item.label || `${index + 1}. ${CONTAINMENT_TYPES[item.type]}`,
+      detail: `${CONTAINMENT_TYPES[item.type]} ${tileLabel("containment", item)} | ${item.x}, ${item.y}`,
+    })),
+    ...underfloor.map((item, index) => ({
+      kind: "underfloor",
+      id: item.id,
+      title: item.label || `${index + 1}. ${UNDERFLOOR_TYPES[item.type]}`,
+      detail: `${UNDERFLOOR_TYPES[item.type]} ${tileLabel("underfloor", item)} | ${item.points[0].x}, ${item.points[0].y}, z${item.z}`,
+    })),
+    ...tiles.map((item) => ({
+      kind: "tile",
+      id: item.id,
+      title: `Tile ${item.address}`,
+      detail: item.type === "perforated" ? `${TILE_TYPES[item.type]} ${item.openPercent}% open` : TILE_TYPES[item.type],
+    })),
+    ...annotations.map((item, index) => ({
+      kind: "annotation",
+      id: item.id,
+      title: item.label || `${index + 1}. ${MEASURE_MODES[item.type]}`,
+      detail: resolveAnnotation(equipment, item) ? describeMeasurement(item.type, resolveAnnotation(equipment, item)) : "Detached",
     })),
     ...openings.map((item, index) => ({
       kind: "opening",
-      index,
+      id: item.id,
       title: item.label || `${index + 1}. ${item.type === "door" ? "Door" : "Window"}`,
-      detail: ["South", "East", "North", "West"][item.wall],
+      detail: wallLabel(item.wall),
+    })),
+    ...connections.map((item, index) => ({
+      kind: "connection",
+      id: item.id,
+      title: item.label || `${index + 1}. Cable Link`,
+      detail: getConnectionLabel(item, roomModel),
+    })),
+    ...passThroughs.map((item, index) => ({
+      kind: "passThrough",
+      id: item.id,
+      title: item.label || `${index + 1}. Pass-Through`,
+      detail: `${tileLabel("passThrough", item)} | ${item.x}, ${item.y}, z${item.z}`,
     })),
-    ...connections.map((item, index) => {
-      const normalized = normalizeConnection(item);
-      return {
-        kind: "connection",
-        index,
-        title: item.label || `${index + 1}. Cable Link`,
-        detail: `${normalized.fromKind}:${normalized.fromIndex + 1} -> ${normalized.toKind}:${normalized.toIndex + 1}`,
-      };
-    }),
   ];
   const filteredAssets = assetRows.filter((row) =>
     `${row.title} ${row.detail}`.toLowerCase().includes(assetQuery.toLowerCase())
   );
-  const selectedItem = selectedTarget ? ({ equipment, tray: trays, opening: openings, connection: connections }[selectedTarget.kind] || [])[selectedTarget.index] : null;
+  const selectedItem = selectedTarget ? findById({ equipment, tray: trays, fitting: fittings, circuit: circuits, row: rows, containment: containments, tile: tiles, underfloor, annotation: annotations, opening: openings, connection: connections, wall: walls, passThrough: passThroughs }[selectedTarget.kind] || [], selectedTarget.id) : null;
+  const selectedPorts = selectedTarget?.kind === "equipment" ? getEndpointPorts("equipment", selectedTarget.id, equipment) : [];
+  const selectedLanded = selectedTarget?.kind === "equipment" ? getPortConnections(connections, selectedTarget.id) : new Map();
+  const selectedPower = selectedTarget?.kind === "circuit"
+    ? powerBudget.circuits.find((entry) => entry.circuit.id === selectedTarget.id)
+    : powerBudget.devices.find((entry) => selectedTarget?.kind === "equipment" && entry.item.id === selectedTarget.id);
+  const selectedCircuitEquipment = selectedTarget?.kind === "circuit" ? equipment.filter((item) => item.circuitId === selectedTarget.id) : [];
+  const selectedRow = selectedTarget?.kind === "row" ? selectedItem : selectedTarget?.kind === "equipment" && selectedItem?.rowId ? findById(rows, selectedItem.rowId) : null;
+  const selectedRowCabinets = selectedRow ? getRowCabinets(equipment, selectedRow.id) : [];
+  const circuit = traceStart ? traceCircuit(equipment, connections, traceStart.itemId, traceStart.value) : [];
+  const tracedIds = new Set(circuit.filter((step) => step.connection).map((step) => step.connection.id));
+
+  const selectedRoute = selectedTarget?.kind === "connection" && selectedItem ? getConnectionRoute(selectedItem, roomModel, trayNetwork) : null;
+  const currentMeasurement = getMeasurement(measureMode, measurePoints);
+  const measureLines = [
+    ...annotations
+      .map((annotation) => ({
+        points: resolveAnnotation(equipment, annotation),
+        loop: annotation.type === "area",
+        color: selectedTarget?.kind === "annotation" && selectedTarget.id === annotation.id ? "#f08b00" : "#3f3424",
+      }))
+      .filter((line) => line.points),
+    ...(measurePoints.length > 0 ? [{ points: measurePoints, loop: measureMode === "area", color: "#f08b00" }] : []),
+  ];
+  const selectedCable = selectedRoute ? cableLengths.find((entry) => entry.connection.id === selectedItem.id) : null;
+
+  function updateWaypoint(index, point) {
+    const waypoints = selectedItem.waypoints || [];
+    updateSelectedField("waypoints", point ? waypoints.map((entry, entryIndex) => (entryIndex === index ? point : entry)) : waypoints.filter((_, entryIndex) => entryIndex !== index));
+  }
+
+  // New waypoints start midway between the last stop and the far end.
+  function addWaypoint() {
+    const waypoints = selectedItem.waypoints || [];
+    const last = waypoints[waypoints.length - 1] || selectedRoute.from;
+    const point = { x: Math.round((last.x + selectedRoute.to.x) / 100) * 50, y: Math.round((last.y + selectedRoute.to.y) / 100) * 50 };
+    updateSelectedField("waypoints", [...waypoints, point]);
+  }
+
+  function traceConnection(connection) {
+    const end = getPortValue(connection, "from") ? "from" : "to";
+    setTraceStart({ itemId: connection[`${end}Id`], value: getPortValue(connection, end) });
+  }
+  const elevationCabinet = selectedTarget?.kind === "equipment" ? getMountedCabinet(equipment, selectedItem) : null;
+
+  useEffect(() => {
+    setRackMessage(null);
+  }, [elevationCabinet?.id]);
+
+  useEffect(() => {
+    setConnectionMessage(null);
+  }, [selectedTarget?.id]);
+  const selectedLink = selectedTarget?.kind === "passThrough" ? getLinkedPassThrough(projectState, activeRecord.id, selectedTarget.id) : null;
+  const linkTargetOptions = projectState.rooms
+    .filter((record) => record.id !== activeRecord.id)
+    .flatMap((record) => record.passThroughs.map((point) => ({ value: `${record.id}:${point.id}`, label: `${record.name} / ${point.label || "Pass-Through"}` })));
 
   function updateSelectedField(field, value) {
     if (!selectedTarget) return;
+    const label = `Edit ${selectedItem?.label || selectedTarget.kind} ${field}`;
+    const mergeKey = `${selectedTarget.kind}:${selectedTarget.id}:${field}`;
     if (selectedTarget.kind === "equipment") {
-      setEquipment((current) =>
-        current.map((item, index) => {
-          if (index !== selectedTarget.index) {
+      commitModel(label, (model) => {
+        const current = model.equipment;
+        const nextEquipment = current.map((item) => {
+          if (item.id !== selectedTarget.id) {
             return item;
           }
 
-          const nextItem = { ...item, [field]: value };
-          if (field === "type") {
-            const preset = EQUIPMENT_PRESETS[value];
-            nextItem.width = preset.width;
-            nextItem.depth = preset.depth;
-            nextItem.height = preset.height;
-            nextItem.rackUnits = preset.rackUnits || 0;
+          let nextItem = { ...item, [field]: value };
+          if (field === "modelId") {
+            const spec = findById(catalog, value);
+            const category = getCategory(spec.category);
+            nextItem = applyModel(item, spec);
 
-            if (value === "cabinet") {
+            if (spec.category !== "cabinet") {
+              nextItem.rowId = null;
+              nextItem.rowIndex = null;
+            }
+            if (spec.category === "cabinet") {
               nextItem.mountedIn = null;
               nextItem.rackStart = null;
               nextItem.installMode = "floor";
               nextItem.mountTarget = "";
               nextItem.frontFace = nextItem.frontFace || "transparent";
               nextItem.rearFace = nextItem.rearFace || "transparent";
-            } else if (!preset.mountable) {
+            } else if (!category.mountable) {
+              nextItem.mountedIn = null;
+              nextItem.rackStart = null;
+              nextItem.installMode = "floor";
+              nextItem.mountTarget = "";
+            } else if (isZeroU(item)) {
+              // A strip that changes to a type without a 0U form drops back to the floor beside its cabinet.
+              const cabinet = findById(current, item.mountedIn);
+              if (category.zeroU && cabinet?.type === "cabinet") {
+                return mountInChannel(nextItem, cabinet, item.sideChannel);
+              }
               nextItem.mountedIn = null;
               nextItem.rackStart = null;
               nextItem.installMode = "floor";
               nextItem.mountTarget = "";
+              nextItem.sideChannel = null;
             } else if (item.mountedIn !== null && item.mountedIn !== undefined) {
-              const cabinet = current[item.mountedIn];
-              const rackUnits = preset.rackUnits || Math.max(1, Math.round(preset.height / RU_HEIGHT));
+              const cabinet = findById(current, item.mountedIn);
+              const rackUnits = spec.rackUnits || Math.max(1, Math.round(spec.height / RU_HEIGHT));
               nextItem.rackUnits = rackUnits;
               nextItem.height = rackUnits * RU_HEIGHT;
               if (cabinet?.type === "cabinet") {
                 nextItem.width = Math.max(Math.min(cabinet.width - 120, 482), 200);
-                nextItem.depth = Math.max(Math.min(cabinet.depth - 180, preset.depth), 180);
+                nextItem.depth = Math.max(Math.min(cabinet.depth - 180, spec.depth), 180);
                 nextItem.x = cabinet.x;
                 nextItem.y = cabinet.y;
                 nextItem.rotationDeg = cabinet.rotationDeg;
@@ -851,26 +2184,74 @@ export default function App() {
           }
 
           if (field === "rotationDeg" && item.mountedIn !== null && item.mountedIn !== undefined) {
-            const cabinet = current[item.mountedIn];
+            const cabinet = findById(current, item.mountedIn);
             if (cabinet?.type === "cabinet") {
               nextItem.rotationDeg = cabinet.rotationDeg;
             }
           }
 
           return nextItem;
-        })
-      );
+        });
+        if (entersDoorSwing(model.room, model.openings, current, nextEquipment)) return model;
+        // A different model may not have the ports existing cables land on.
+        return {
+          ...model,
+          equipment: nextEquipment,
+          circuits: field === "modelId" ? pruneCircuitSources(model.circuits, nextEquipment) : model.circuits,
+          connections: field === "modelId" ? pruneConnectionPorts(model.connections, nextEquipment) : model.connections,
+        };
+      }, mergeKey);
       return;
     }
     if (selectedTarget.kind === "tray") {
-      setTrays((current) => current.map((item, index) => (index === selectedTarget.index ? { ...item, [field]: value } : item)));
+      setTrays((current) => current.map((item) => (item.id === selectedTarget.id ? { ...item, [field]: value } : item)), label, mergeKey);
+      return;
+    }
+    if (selectedTarget.kind === "fitting") {
+      setFittings((current) => current.map((item) => (item.id === selectedTarget.id ? { ...item, [field]: value } : item)), label, mergeKey);
+      return;
+    }
+    if (selectedTarget.kind === "circuit") {
+      setCircuits((current) => current.map((item) => (item.id === selectedTarget.id ? { ...item, [field]: value } : item)), label, mergeKey);
+      return;
+    }
+    if (selectedTarget.kind === "row") {
+      // Moving, turning or respacing a row carries its cabinets with it.
+      commitModel(label, (model) => {
+        const nextRows = model.rows.map((item) => (item.id === selectedTarget.id ? { ...item, [field]: value } : item));
+        const row = findById(nextRows, selectedTarget.id);
+        const nextEquipment = row ? layoutRow(model.equipment, row) : model.equipment;
+        if (entersDoorSwing(model.room, model.openings, model.equipment, nextEquipment)) return model;
+        return { ...model, rows: nextRows, equipment: nextEquipment };
+      }, mergeKey);
+      return;
+    }
+    if (selectedTarget.kind === "tile") {
+      setTiles((current) => current.map((item) => (item.id === selectedTarget.id ? { ...item, [field]: value } : item)), label, mergeKey);
+      return;
+    }
+    if (selectedTarget.kind === "annotation") {
+      setAnnotations((current) => current.map((item) => (item.id === selectedTarget.id ? { ...item, [field]: value } : item)), label, mergeKey);
+      return;
+    }
+    if (selectedTarget.kind === "underfloor") {
+      setUnderfloor((current) => current.map((item) => (item.id === selectedTarget.id ? { ...item, [field]: value } : item)), label, mergeKey);
+      return;
+    }
+    if (selectedTarget.kind === "containment") {
+      setContainments((current) => current.map((item) => (item.id === selectedTarget.id ? { ...item, [field]: value } : item)), label, mergeKey);
+      return;
+    }
+    if (selectedTarget.kind === "passThrough") {
+      setPassThroughs((current) => current.map((item) => (item.id === selectedTarget.id ? { ...item, [field]: value } : item)), label, mergeKey);
       return;
     }
     if (selectedTarget.kind === "connection") {
-      setConnections((current) => current.map((item, index) => (index === selectedTarget.index ? { ...normalizeConnection(item), [field]: value } : item)));
+      setConnections((current) => current.map((item) => (item.id === selectedTarget.id ? { ...item, [field]: value } : item)), label, mergeKey);
       return;
     }
-    setOpenings((current) => current.map((item, index) => (index === selectedTarget.index ? { ...item, [field]: value } : item)));
+    // A window turned into a door picks up the default leaf settings.
+    setOpenings((current) => current.map((item) => (item.id === selectedTarget.id ? { ...DOOR_DEFAULTS, ...item, [field]: value } : item)), label, mergeKey);
   }
 
   return (
@@ -881,9 +2262,9 @@ export default function App() {
           <h2>DCIM Operations Console</h2>
         </div>
         <nav className="nav-strip">
-          <span className="nav-item active-nav">Dashboard</span>
-          <span className="nav-item">Visualization</span>
-          <span className="nav-item">Capacity</span>
+          <span className="nav-item">Dashboard</span>
+          <button type="button" className={`nav-item${workspace === "visualization" ? " active-nav" : ""}`} onClick={() => setWorkspace("visualization")}>Visualization</button>
+          <button type="button" className={`nav-item${workspace === "capacity" ? " active-nav" : ""}`} onClick={() => setWorkspace("capacity")}>Capacity</button>
           <span className="nav-item">Assets</span>
           <span className="nav-item">Connectivity</span>
           <span className="nav-item">Change</span>
@@ -899,6 +2280,16 @@ export default function App() {
           <p className="intro">React + Vite foundation now. The layout is shifted toward a DCIM operator console with floor-map style controls and monitoring context.</p>
         </div>
 
+        <SiteNavigator
+          projectState={projectState}
+          activeRoomId={activeRecord.id}
+          roomPath={getRoomPath(projectState, activeRecord.id)}
+          onActivateRoom={activateRoom}
+          onAdd={addNode}
+          onRename={renameNode}
+          onRemove={removeNode}
+        />
+
         <section className="card compact-card">
           <div className="status-strip">
             <div className="status-chip">
@@ -924,12 +2315,70 @@ export default function App() {
               <strong>{trays.length}</strong>
             </div>
             <div className="status-chip">
-              <span className="status-label">Rack U</span>
-              <strong>{totalRackUnits}</strong>
+              <span className="status-label">Rack U Used</span>
+              <strong>{`${capacity.room.space.used} / ${capacity.room.space.total}`}</strong>
             </div>
           </div>
         </section>
 
+        <section className="card">
+          <div className="section-head">
+            <h2>Project</h2>
+            <span className="section-meta">Schema v{PROJECT_SCHEMA_VERSION}</span>
+          </div>
+          <div className="field-grid single-column">
+            <TextField label="Project Name" value={projectName} onChange={setProjectName} />
+          </div>
+          <div className="button-row">
+            <button className="action-button" type="button" onClick={exportProject}>Export JSON</button>
+            <button className="action-button" type="button" onClick={() => importInputRef.current?.click()}>Import JSON</button>
+          </div>
+          <input ref={importInputRef} type="file" accept=".json,application/json" hidden onChange={importProject} />
+          {importReport ? (
+            <div className="import-report">
+              {importReport.error ? (
+                <strong>{`Import of ${importReport.fileName} failed: ${importReport.error}`}</strong>
+              ) : (
+                <>
+                  <strong>{`Imported ${importReport.fileName}`}</strong>
+                  {importReport.migratedFrom < PROJECT_SCHEMA_VERSION ? <span>{`Upgraded from schema v${importReport.migratedFrom}.`}</span> : null}
+                  <span>{importReport.rejected.length === 0 ? "All records were accepted." : `${importReport.rejected.length} record(s) rejected:`}</span>
+                  {importReport.rejected.length > 0 ? (
+                    <ul className="item-list">
+                      {importReport.rejected.map((entry) => (
+                        <li key={`${entry.room || ""}-${entry.collection}-${entry.index}`}>{`${entry.room ? `${entry.room}: ` : ""}${entry.collection} #${entry.index + 1} (${entry.label}): ${entry.reason}`}</li>
+                      ))}
+                    </ul>
+                  ) : null}
+                </>
+              )}
+            </div>
+          ) : null}
+        </section>
+
+        <section className="card">
+          <div className="section-head">
+            <h2>History</h2>
+            <span className="section-meta">{`${history.past.length} / ${history.past.length + history.future.length} steps`}</span>
+          </div>
+          <div className="button-row">
+            <button className="action-button" type="button" onClick={() => setHistory(undoHistory)} disabled={history.past.length === 0} title="Ctrl+Z">Undo</button>
+            <button className="action-button" type="button" onClick={() => setHistory(redoHistory)} disabled={history.future.length === 0} title="Ctrl+Shift+Z">Redo</button>
+          </div>
+          <ol className="item-list history-list">
+            {["Initial state", ...history.past.map((step) => step.label)].map((label, stepCount) => (
+              <li key={`past-${stepCount}`} className={stepCount === history.past.length ? "selected-list-item" : ""}>
+                <span role="button" tabIndex={0} className="list-label" onClick={() => setHistory((current) => jumpHistory(current, stepCount))}>{label}</span>
+              </li>
+            ))}
+            {history.future.map((step, index) => (
+              <li key={`future-${index}`} className="future-step">
+                <span role="button" tabIndex={0} className="list-label" onClick={() => setHistory((current) => jumpHistory(current, history.past.length + index + 1))}>{step.label}</span>
+              </li>
+            ))}
+          </ol>
+        </section>
+
         <section className="card">
           <div className="section-head">
             <h2>Asset Browser</h2>
@@ -947,10 +2396,16 @@ export default function App() {
           <div className="asset-list">
             {filteredAssets.map((row) => (
               <button
-                key={`${row.kind}-${row.index}`}
+                key={`${row.kind}-${row.id}`}
                 type="button"
-                className={`asset-row${selectedTarget?.kind === row.kind && selectedTarget?.index === row.index ? " selected-row" : ""}`}
-                onClick={() => setSelectedTarget({ kind: row.kind, index: row.index })}
+                className={`asset-row${selectedTarget?.kind === row.kind && selectedTarget?.id === row.id ? " selected-row" : ""}`}
+                onClick={() => setSelectedTarget({ kind: row.kind, id: row.id })}
+                draggable={row.rackMountable}
+                onDragStart={(event) => {
+                  event.dataTransfer.setData("text/plain", row.id);
+                  setDraggedEquipmentId(row.id);
+                }}
+                onDragEnd={() => setDraggedEquipmentId(null)}
               >
                 <span className="asset-name">{row.title}</span>
                 <span className="asset-coords">{row.detail}</span>
@@ -963,14 +2418,89 @@ export default function App() {
         <section className="card">
           <h2>Room</h2>
           <div className="field-grid">
-            <NumberField label="Width (mm)" type="number" min="1000" step="100" value={room.width} onChange={(value) => setRoom((current) => ({ ...current, width: Math.max(value, 1000) }))} />
-            <NumberField label="Length (mm)" type="number" min="1000" step="100" value={room.length} onChange={(value) => setRoom((current) => ({ ...current, length: Math.max(value, 1000) }))} />
-            <NumberField label="Height (mm)" type="number" min="2200" step="100" value={room.height} onChange={(value) => setRoom((current) => ({ ...current, height: Math.max(value, 2200) }))} />
-            <NumberField label="Floor Elevation (mm)" type="number" min="0" step="50" value={room.floorElevation} onChange={(value) => setRoom((current) => ({ ...current, floorElevation: Math.max(value, 0) }))} />
-            <NumberField label="Tile Size (mm)" type="number" min="100" step="50" value={room.floorTileSize} onChange={(value) => setRoom((current) => ({ ...current, floorTileSize: Math.max(value, 100) }))} />
-            <NumberField label="South Wall Tilt (deg)" type="number" min="-20" max="20" step="0.5" value={room.southTiltDeg} onChange={(value) => setRoom((current) => ({ ...current, southTiltDeg: clamp(value, -20, 20) }))} />
-            <NumberField label="East Wall Tilt (deg)" type="number" min="-20" max="20" step="0.5" value={room.eastTiltDeg} onChange={(value) => setRoom((current) => ({ ...current, eastTiltDeg: clamp(value, -20, 20) }))} />
+            <NumberField label="Height (mm)" type="number" min="2200" step="100" value={room.height} onChange={(value) => updateRoomField("height", Math.max(value, 2200))} />
+            <NumberField label="Floor Elevation (mm)" type="number" min="0" step="50" value={room.floorElevation} onChange={(value) => updateRoomField("floorElevation", Math.max(value, 0))} />
+            <NumberField label="Tile Size (mm)" type="number" min="100" step="50" value={room.floorTileSize} onChange={(value) => updateRoomField("floorTileSize", Math.max(value, 100))} />
+            <NumberField label="Grid Origin X (mm)" type="number" step="50" value={getGridOrigin(room).x} onChange={(value) => updateRoomField("gridOrigin", { ...getGridOrigin(room), x: value })} />
+            <NumberField label="Grid Origin Y (mm)" type="number" step="50" value={getGridOrigin(room).y} onChange={(value) => updateRoomField("gridOrigin", { ...getGridOrigin(room), y: value })} />
+            <NumberField label="Aisle Clearance (mm)" type="number" min="0" step="100" value={room.aisleClearance} onChange={(value) => updateRoomField("aisleClearance", Math.max(value, 0))} />
+            <NumberField label="Rear Service Clearance (mm)" type="number" min="0" step="100" value={room.serviceClearance} onChange={(value) => updateRoomField("serviceClearance", Math.max(value, 0))} />
+            <NumberField label="Floor Loading (kg/m2)" type="number" min="0" step="50" value={room.floorLoading} onChange={(value) => updateRoomField("floorLoading", Math.max(value, 0))} />
+          </div>
+          <p className="section-note">Drag corner handles on the plan to reshape the room. Double-click a wall to insert a vertex. Tile A01 starts at the grid origin. Typed tiles stay in place when the origin or tile size changes; any left before the origin are removed.</p>
+          <ul className="item-list">
+            {walls.map((wall) => (
+              <li key={wall.id} className={selectedTarget?.kind === "wall" && selectedTarget.id === wall.id ? "selected-list-item" : ""}>
+                <span role="button" tabIndex={0} className="list-label" onClick={() => setSelectedTarget({ kind: "wall", id: wall.id })}>
+                  {`${wallLabel(wall.index)}: ${Math.round(wall.length)} mm at ${Math.round((wall.angle * 180) / Math.PI)} deg`}
+                </span>
+                <button type="button" onClick={() => updateOutline(`Split ${wallLabel(wall.index)}`, (outline, currentOpenings) => splitWall(outline, currentOpenings, wall.index, wall.length / 2))}>Split</button>
+              </li>
+            ))}
+          </ul>
+        </section>
+
+        <section className="card">
+          <div className="section-head">
+            <h2>Measure</h2>
+            <span className="section-meta">{measuring ? "Picking points" : "Off"}</span>
+          </div>
+          <div className="field-grid">
+            <SelectField label="Mode" value={measureMode} onChange={(value) => { setMeasureMode(value); setMeasurePoints([]); }}>
+              {Object.entries(MEASURE_MODES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </SelectField>
+          </div>
+          <p className="section-note">{measuring ? "Click points on the 2D plan or on surfaces in the 3D view." : "Turn on Measure in either view's toolbar to pick points."} Saved dimensions attach to the equipment under their points and follow it when it moves.</p>
+          {measurePoints.length > 0 ? (
+            <div className="mount-info">
+              <strong>{describeMeasurement(measureMode, measurePoints)}</strong>
+              {currentMeasurement.legs.length > 1 ? currentMeasurement.legs.map((leg, index) => <span key={index}>{`Leg ${index + 1}: ${Math.round(leg)} mm`}</span>) : null}
+            </div>
+          ) : null}
+          <div className="button-row">
+            <button className="action-button" type="button" onClick={toggleMeasuring}>{measuring ? "Stop Measuring" : "Start Measuring"}</button>
+            <button className="action-button" type="button" onClick={() => setMeasurePoints([])} disabled={measurePoints.length === 0}>Clear</button>
+          </div>
+          <button className="action-button" type="button" onClick={saveMeasurement} disabled={measurePoints.length < getMinimumPoints(measureMode)}>Save As Dimension</button>
+          <List items={annotations} labelForItem={(item, index) => `${item.label || `${index + 1}. ${MEASURE_MODES[item.type]}`}: ${resolveAnnotation(equipment, item) ? describeMeasurement(item.type, resolveAnnotation(equipment, item)) : "detached"}`} onRemove={removeAnnotation} selected={selectedTarget} kind="annotation" onSelect={setSelectedTarget} />
+        </section>
+
+        <section className="card">
+          <h2>Raised Floor</h2>
+          <div className="field-grid">
+            <TextField label="Tile" value={tileDraft.address} placeholder="C07" onChange={(value) => setTileDraft((current) => ({ ...current, address: value }))} />
+            <SelectField label="Tile Type" value={tileDraft.type} onChange={(value) => setTileDraft((current) => ({ ...current, type: value }))}>
+              {Object.entries(TILE_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </SelectField>
+            {tileDraft.type === "perforated" ? (
+              <NumberField label="Open Area (%)" type="number" min="1" max="100" step="5" value={tileDraft.openPercent} onChange={(value) => setTileDraft((current) => ({ ...current, openPercent: value }))} />
+            ) : null}
+          </div>
+          <p className="section-note">{`Tiles are ${getTileSize(room)} mm, lettered along X and numbered along Y from the grid origin. Click the floor map to pick a tile.`}</p>
+          <button className="action-button" type="button" onClick={setTile} disabled={!normalizeTileAddress(tileDraft.address)}>Set Tile</button>
+          <List items={tiles} labelForItem={(item) => `${item.address}: ${TILE_TYPES[item.type]}${item.type === "perforated" ? ` ${item.openPercent}% open` : ""}`} onRemove={removeTile} selected={selectedTarget} kind="tile" onSelect={setSelectedTarget} />
+          <div className="section-head">
+            <h2>Underfloor</h2>
+            <span className="section-meta">{`${room.floorElevation} mm plenum`}</span>
+          </div>
+          <div className="field-grid">
+            <SelectField label="Type" value={underfloorDraft.type} onChange={(value) => setUnderfloorDraft((current) => ({ ...current, type: value, label: `${UNDERFLOOR_TYPES[value]} ${underfloor.length + 1}`, ...UNDERFLOOR_DEFAULTS[value] }))}>
+              {Object.entries(UNDERFLOOR_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </SelectField>
+            <TextField label="Label" value={underfloorDraft.label} onChange={(value) => setUnderfloorDraft((current) => ({ ...current, label: value }))} />
+            <NumberField label={underfloorDraft.type === "pedestal" ? "X (mm)" : "Start X (mm)"} type="number" step="50" value={underfloorDraft.x} onChange={(value) => setUnderfloorDraft((current) => ({ ...current, x: value }))} />
+            <NumberField label={underfloorDraft.type === "pedestal" ? "Y (mm)" : "Start Y (mm)"} type="number" step="50" value={underfloorDraft.y} onChange={(value) => setUnderfloorDraft((current) => ({ ...current, y: value }))} />
+            {underfloorDraft.type === "pedestal" ? null : (
+              <>
+                <NumberField label="End X (mm)" type="number" step="50" value={underfloorDraft.endX} onChange={(value) => setUnderfloorDraft((current) => ({ ...current, endX: value }))} />
+                <NumberField label="End Y (mm)" type="number" step="50" value={underfloorDraft.endY} onChange={(value) => setUnderfloorDraft((current) => ({ ...current, endY: value }))} />
+                <NumberField label="Height Above Slab (mm)" type="number" min="0" step="10" value={underfloorDraft.z} onChange={(value) => setUnderfloorDraft((current) => ({ ...current, z: value }))} />
+              </>
+            )}
+            <NumberField label={underfloorDraft.type === "basket" ? "Width (mm)" : underfloorDraft.type === "pedestal" ? "Section (mm)" : "Diameter (mm)"} type="number" min="1" step="5" value={underfloorDraft.size} onChange={(value) => setUnderfloorDraft((current) => ({ ...current, size: value }))} />
           </div>
+          <button className="action-button" type="button" onClick={addUnderfloor} disabled={!(underfloorDraft.size > 0)}>Add Underfloor Object</button>
+          <List items={underfloor} labelForItem={(item, index) => `${item.label || `${index + 1}. ${UNDERFLOOR_TYPES[item.type]}`}: ${UNDERFLOOR_TYPES[item.type]}${item.type === "pedestal" ? "" : ` at z${item.z}`}`} onRemove={removeUnderfloor} selected={selectedTarget} kind="underfloor" onSelect={setSelectedTarget} />
         </section>
 
         <section className="card">
@@ -978,33 +2508,51 @@ export default function App() {
           <div className="field-grid">
             <TextField label="Label" value={openingDraft.label} onChange={(value) => setOpeningDraft((current) => ({ ...current, label: value }))} />
             <SelectField label="Type" value={openingDraft.type} onChange={(value) => setOpeningDraft((current) => ({ ...current, type: value }))}><option value="door">Door</option><option value="window">Window</option></SelectField>
-            <SelectField label="Wall" value={String(openingDraft.wall)} onChange={(value) => setOpeningDraft((current) => ({ ...current, wall: Number(value) }))}><option value="0">South</option><option value="1">East</option><option value="2">North</option><option value="3">West</option></SelectField>
+            <SelectField label="Wall" value={String(openingDraft.wall)} onChange={(value) => setOpeningDraft((current) => ({ ...current, wall: Number(value) }))}>
+              {walls.map((wall) => <option key={wall.id} value={wall.index}>{wallLabel(wall.index)}</option>)}
+            </SelectField>
             <NumberField label="Offset From Wall Start (mm)" type="number" min="0" step="50" value={openingDraft.offset} onChange={(value) => setOpeningDraft((current) => ({ ...current, offset: value }))} />
             <NumberField label="Width (mm)" type="number" min="300" step="50" value={openingDraft.width} onChange={(value) => setOpeningDraft((current) => ({ ...current, width: value }))} />
             <NumberField label="Height (mm)" type="number" min="300" step="50" value={openingDraft.height} onChange={(value) => setOpeningDraft((current) => ({ ...current, height: value }))} />
             <NumberField label="Sill Height (mm)" type="number" min="0" step="50" value={openingDraft.sillHeight} onChange={(value) => setOpeningDraft((current) => ({ ...current, sillHeight: value }))} />
+            {openingDraft.type === "door" ? (
+              <>
+                <SelectField label="Door Style" value={openingDraft.doorStyle} onChange={(value) => setOpeningDraft((current) => ({ ...current, doorStyle: value }))}>
+                  {Object.entries(DOOR_STYLES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                </SelectField>
+                <SelectField label={openingDraft.doorStyle === "sliding" ? "Slides To" : "Hinge Side"} value={openingDraft.hinge} onChange={(value) => setOpeningDraft((current) => ({ ...current, hinge: value }))}>
+                  <option value="left">Left (from inside)</option>
+                  <option value="right">Right (from inside)</option>
+                </SelectField>
+                <SelectField label="Swing" value={openingDraft.swing} onChange={(value) => setOpeningDraft((current) => ({ ...current, swing: value }))}>
+                  <option value="in">Into the room</option>
+                  <option value="out">Out of the room</option>
+                </SelectField>
+              </>
+            ) : null}
           </div>
           <button className="action-button" type="button" onClick={addOpening}>Add Opening</button>
-          <List items={openings} labelForItem={(item, index) => `${item.label || `${index + 1}. ${item.type}`} on ${["South", "East", "North", "West"][item.wall]}`} onRemove={removeOpening} selected={selectedTarget} kind="opening" onSelect={setSelectedTarget} />
+          <List items={openings} labelForItem={(item, index) => `${item.label || `${index + 1}. ${item.type}`} on ${wallLabel(item.wall)}`} onRemove={removeOpening} selected={selectedTarget} kind="opening" onSelect={setSelectedTarget} />
         </section>
 
         <section className="card">
           <h2>Network Hardware</h2>
           <div className="field-grid">
-            <SelectField label="Type" value={equipmentDraft.type} onChange={(value) => setEquipmentDraft((current) => ({ ...current, type: value }))}>
-              {Object.entries(EQUIPMENT_PRESETS).map(([key, preset]) => <option key={key} value={key}>{preset.label}</option>)}
+            <SelectField label="Model" value={draftModel?.id || ""} onChange={(value) => setEquipmentDraft((current) => ({ ...current, modelId: value }))}>
+              {catalog.map((entry) => <option key={entry.id} value={entry.id}>{`${getModelLabel(entry)} (${getCategory(entry.category).label})`}</option>)}
             </SelectField>
             <TextField label="Label" value={equipmentDraft.label} onChange={(value) => setEquipmentDraft((current) => ({ ...current, label: value }))} />
             <SelectField label="Color" value={equipmentDraft.colorKey} onChange={(value) => setEquipmentDraft((current) => ({ ...current, colorKey: value }))}>
               {Object.entries(HARDWARE_COLORS).map(([key, color]) => <option key={key} value={key}>{color.label}</option>)}
             </SelectField>
-            {EQUIPMENT_PRESETS[equipmentDraft.type].mountable ? (
-              <SelectField label="Install Mode" value={equipmentDraft.installMode} onChange={(value) => setEquipmentDraft((current) => ({ ...current, installMode: value, mountTarget: value === "rack" ? current.mountTarget : "" }))}>
+            {draftCategory.mountable ? (
+              <SelectField label="Install Mode" value={equipmentDraft.installMode} onChange={(value) => setEquipmentDraft((current) => ({ ...current, installMode: value, mountTarget: value === "floor" ? "" : current.mountTarget }))}>
                 <option value="floor">Floor Standing</option>
                 <option value="rack">Mount In Rack</option>
+                {draftCategory.zeroU ? <option value="zeroU">0U Side Channel</option> : null}
               </SelectField>
             ) : null}
-            {EQUIPMENT_PRESETS[equipmentDraft.type].mountable && equipmentDraft.installMode === "rack" ? (
+            {draftInCabinet ? (
               <SelectField label="Rack Cabinet" value={equipmentDraft.mountTarget} onChange={(value) => setEquipmentDraft((current) => ({ ...current, mountTarget: value }))} disabled={cabinetOptions.length === 0}>
                 {cabinetOptions.length === 0 ? <option value="">Add cabinet first</option> : <>
                   <option value="">Select Rack</option>
@@ -1012,7 +2560,22 @@ export default function App() {
                 </>}
               </SelectField>
             ) : null}
-            {!(EQUIPMENT_PRESETS[equipmentDraft.type].mountable && equipmentDraft.installMode === "rack") ? (
+            {draftInCabinet && equipmentDraft.installMode === "rack" ? (
+              <>
+                <SelectField label="Mounting Face" value={equipmentDraft.mountFace} onChange={(value) => setEquipmentDraft((current) => ({ ...current, mountFace: value }))}>
+                  <option value="front">Front Rail</option>
+                  <option value="rear">Rear Rail</option>
+                </SelectField>
+                <NumberField label="Depth (mm)" type="number" min="180" step="10" value={equipmentDraft.depth} onChange={(value) => setEquipmentDraft((current) => ({ ...current, depth: value }))} />
+              </>
+            ) : null}
+            {draftInCabinet && equipmentDraft.installMode === "zeroU" ? (
+              <SelectField label="Side Channel" value={equipmentDraft.sideChannel} onChange={(value) => setEquipmentDraft((current) => ({ ...current, sideChannel: value }))}>
+                <option value="left">Left Rear Channel</option>
+                <option value="right">Right Rear Channel</option>
+              </SelectField>
+            ) : null}
+            {!draftInCabinet ? (
               <>
                 <NumberField label="X Position (mm)" type="number" step="50" value={equipmentDraft.x} onChange={(value) => setEquipmentDraft((current) => ({ ...current, x: value }))} />
                 <NumberField label="Y Position (mm)" type="number" step="50" value={equipmentDraft.y} onChange={(value) => setEquipmentDraft((current) => ({ ...current, y: value }))} />
@@ -1023,8 +2586,8 @@ export default function App() {
               </>
             ) : (
               <div className="mount-info">
-                <strong>Rack Mounted</strong>
-                <span>Size and position will be taken from the selected cabinet.</span>
+                <strong>{equipmentDraft.installMode === "zeroU" ? "0U Mounted" : "Rack Mounted"}</strong>
+                <span>{equipmentDraft.installMode === "zeroU" ? "Runs the full cabinet height and uses no rack units." : "Width and position will be taken from the selected cabinet."}</span>
               </div>
             )}
           </div>
@@ -1032,61 +2595,221 @@ export default function App() {
             className="action-button"
             type="button"
             onClick={addEquipment}
-            disabled={
-              EQUIPMENT_PRESETS[equipmentDraft.type].mountable &&
-              equipmentDraft.installMode === "rack" &&
-              equipmentDraft.mountTarget === ""
-            }
+            disabled={draftInCabinet && equipmentDraft.mountTarget === ""}
           >
             Add Hardware
           </button>
+          {placementMessage ? <p className="section-note rack-message">{placementMessage}</p> : null}
           <List items={equipment} labelForItem={(item, index) => `${item.label || `${index + 1}. ${item.type}`} at (${item.x}, ${item.y})`} onRemove={removeEquipment} selected={selectedTarget} kind="equipment" onSelect={setSelectedTarget} />
         </section>
 
+        <section className="card">
+          <h2>Cabinet Rows</h2>
+          <div className="field-grid">
+            <TextField label="Label" value={rowDraft.label} onChange={(value) => setRowDraft((current) => ({ ...current, label: value }))} />
+            <SelectField label="Cabinet Model" value={findById(cabinetModels, rowDraft.modelId)?.id || cabinetModels[0]?.id || ""} onChange={(value) => setRowDraft((current) => ({ ...current, modelId: value, pitch: findById(cabinetModels, value)?.width || current.pitch }))} disabled={cabinetModels.length === 0}>
+              {cabinetModels.length === 0 ? <option value="">Add a cabinet model first</option> : cabinetModels.map((entry) => <option key={entry.id} value={entry.id}>{getModelLabel(entry)}</option>)}
+            </SelectField>
+            <NumberField label="Cabinets" type="number" min="1" max="40" step="1" value={rowDraft.count} onChange={(value) => setRowDraft((current) => ({ ...current, count: clamp(Math.round(value), 1, 40) }))} />
+            <NumberField label="Pitch (mm)" type="number" min="100" step="50" value={rowDraft.pitch} onChange={(value) => setRowDraft((current) => ({ ...current, pitch: value }))} />
+            <NumberField label="First Cabinet X (mm)" type="number" step="50" value={rowDraft.x} onChange={(value) => setRowDraft((current) => ({ ...current, x: value }))} />
+            <NumberField label="First Cabinet Y (mm)" type="number" step="50" value={rowDraft.y} onChange={(value) => setRowDraft((current) => ({ ...current, y: value }))} />
+            <NumberField label="Facing (deg)" type="number" step="90" value={rowDraft.rotationDeg} onChange={(value) => setRowDraft((current) => ({ ...current, rotationDeg: value }))} />
+            <SelectField label="Aisle Side" value={rowDraft.aisleSide} onChange={(value) => setRowDraft((current) => ({ ...current, aisleSide: value }))}>
+              {Object.entries(AISLE_SIDES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </SelectField>
+          </div>
+          <p className="section-note">Facing is the cabinets' rotation; the row runs across their width. Drag any cabinet in a row to move the whole row.</p>
+          <button className="action-button" type="button" onClick={addRow} disabled={cabinetModels.length === 0 || !(rowDraft.count >= 1 && rowDraft.pitch > 0)}>Add Row</button>
+          <List items={rows} labelForItem={(item, index) => `${item.label || `${index + 1}. Row`}: ${getRowCabinets(equipment, item.id).length} cabinet(s), ${AISLE_SIDES[item.aisleSide].toLowerCase()}`} onRemove={removeRow} selected={selectedTarget} kind="row" onSelect={setSelectedTarget} />
+          <div className="section-head">
+            <h2>Containment</h2>
+            <span className="section-meta">{`${containments.length} aisle(s)`}</span>
+          </div>
+          {containments.length === 0 ? <p className="section-note">Select a row and contain the aisle on its aisle side.</p> : null}
+          <List items={containments} labelForItem={(item, index) => `${item.label || `${index + 1}. Containment`}: ${CONTAINMENT_TYPES[item.type]}, ${item.length} x ${item.width} mm`} onRemove={removeContainment} selected={selectedTarget} kind="containment" onSelect={setSelectedTarget} />
+        </section>
+
+        <EquipmentCatalog
+          catalog={catalog}
+          equipment={projectState.rooms.flatMap((record) => record.equipment)}
+          colors={HARDWARE_COLORS}
+          onCommit={(label, recipe, mergeKey) => commitProject(label, (current) => ({ ...current, catalog: recipe(current.catalog) }), mergeKey)}
+        />
+
         <section className="card">
           <h2>Cable Tray</h2>
           <div className="field-grid">
             <TextField label="Label" value={trayDraft.label} onChange={(value) => setTrayDraft((current) => ({ ...current, label: value }))} />
-            <NumberField label="Start X (mm)" type="number" step="50" value={trayDraft.x} onChange={(value) => setTrayDraft((current) => ({ ...current, x: value }))} />
-            <NumberField label="Start Y (mm)" type="number" step="50" value={trayDraft.y} onChange={(value) => setTrayDraft((current) => ({ ...current, y: value }))} />
             <NumberField label="Elevation Z (mm)" type="number" step="50" value={trayDraft.z} onChange={(value) => setTrayDraft((current) => ({ ...current, z: value }))} />
             <NumberField label="Width (mm)" type="number" min="50" step="25" value={trayDraft.width} onChange={(value) => setTrayDraft((current) => ({ ...current, width: value }))} />
             <NumberField label="Depth (mm)" type="number" min="25" step="25" value={trayDraft.depth} onChange={(value) => setTrayDraft((current) => ({ ...current, depth: value }))} />
-            <NumberField label="Primary Length (mm)" type="number" min="100" step="50" value={trayDraft.lengthA} onChange={(value) => setTrayDraft((current) => ({ ...current, lengthA: value }))} />
-            <SelectField label="Primary Direction" value={trayDraft.primaryDirection} onChange={(value) => setTrayDraft((current) => ({ ...current, primaryDirection: value }))}><option value="x+">+X</option><option value="x-">-X</option><option value="y+">+Y</option><option value="y-">-Y</option></SelectField>
-            <SelectField label="90 Degree Turn" value={trayDraft.turn} onChange={(value) => setTrayDraft((current) => ({ ...current, turn: value }))}><option value="none">Straight Only</option><option value="left">Left Turn</option><option value="right">Right Turn</option></SelectField>
-            <NumberField label="Secondary Length (mm)" type="number" min="0" step="50" value={trayDraft.lengthB} onChange={(value) => setTrayDraft((current) => ({ ...current, lengthB: value }))} />
           </div>
-          <button className="action-button" type="button" onClick={addTray}>Add Tray</button>
-          <List items={trays} labelForItem={(item, index) => `${item.label || `${index + 1}. tray`} from (${item.x}, ${item.y}, ${item.z}) ${item.primaryDirection}`} onRemove={removeTray} selected={selectedTarget} kind="tray" onSelect={setSelectedTarget} />
+          {trayRun ? (
+            <>
+              <p className="section-note">{`Click the floor map to add points (${trayRun.length} so far); double-click or Finish Run to end.`}</p>
+              <div className="button-row">
+                <button className="action-button" type="button" onClick={finishTrayRun} disabled={trayRun.length < 2}>Finish Run</button>
+                <button className="action-button" type="button" onClick={() => setTrayRun(null)}>Cancel</button>
+              </div>
+            </>
+          ) : (
+            <button className="action-button" type="button" onClick={() => { setPlanMode("room"); setTrayRun([]); }}>Draw Tray Run</button>
+          )}
+          <List items={trays} labelForItem={(item, index) => `${item.label || `${index + 1}. tray`} at z${item.z}, ${item.points.length - 1} segment(s)`} onRemove={removeTray} selected={selectedTarget} kind="tray" onSelect={setSelectedTarget} />
+          <div className="field-grid single-column">
+            <NumberField
+              label="Fill Limit (% of tray cross-section)"
+              type="number"
+              min="1"
+              max="100"
+              step="5"
+              value={cabling.fillThreshold}
+              onChange={(value) => commitProject("Edit tray fill limit", (current) => ({ ...current, cabling: { ...current.cabling, fillThreshold: clamp(value, 1, 100) } }), "cabling:fillThreshold")}
+            />
+          </div>
+          {overfilled.length > 0 ? (
+            <ul className="item-list rack-message">
+              {overfilled.map((segment) => (
+                <li key={`${segment.trayId}-${segment.segmentIndex}`}>{`${findById(trays, segment.trayId)?.label || "Tray"} segment ${segment.segmentIndex + 1}: ${segment.percent.toFixed(1)}% fill, over the ${cabling.fillThreshold}% limit`}</li>
+              ))}
+            </ul>
+          ) : null}
+        </section>
+
+        <section className="card">
+          <h2>Tray Fittings</h2>
+          <div className="field-grid">
+            <SelectField label="Type" value={fittingDraft.type} onChange={(value) => setFittingDraft((current) => ({ ...current, type: value }))}>
+              {Object.entries(FITTING_TYPES).map(([key, label]) => <option key={key} value={key}>{label}</option>)}
+            </SelectField>
+            <TextField label="Label" value={fittingDraft.label} onChange={(value) => setFittingDraft((current) => ({ ...current, label: value }))} />
+            <NumberField label="X (mm)" type="number" step="50" value={fittingDraft.x} onChange={(value) => setFittingDraft((current) => ({ ...current, x: value }))} />
+            <NumberField label="Y (mm)" type="number" step="50" value={fittingDraft.y} onChange={(value) => setFittingDraft((current) => ({ ...current, y: value }))} />
+            <NumberField label={fittingDraft.type === "riser" ? "Base Z (mm)" : "Tray Z (mm)"} type="number" step="50" value={fittingDraft.z} onChange={(value) => setFittingDraft((current) => ({ ...current, z: value }))} />
+            {fittingDraft.type === "riser" ? (
+              <NumberField label="Top Z (mm)" type="number" step="50" value={fittingDraft.topZ} onChange={(value) => setFittingDraft((current) => ({ ...current, topZ: value }))} />
+            ) : null}
+            {fittingDraft.type === "drop" ? (
+              <SelectField label="Into Cabinet" value={fittingDraft.cabinetId} onChange={(value) => setFittingDraft((current) => ({ ...current, cabinetId: value }))}>
+                <option value="">Select cabinet</option>
+                {cabinetOptions.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+              </SelectField>
+            ) : null}
+          </div>
+          <p className="section-note">Runs join where their points meet and at fittings. Risers link two elevations; cables to a cabinet with a waterfall drop leave the trays there.</p>
+          <div className="button-row">
+            <button className="action-button" type="button" onClick={addFitting} disabled={fittingDraft.type === "drop" && !findById(equipment, fittingDraft.cabinetId)}>Add Fitting</button>
+            <button className="action-button" type="button" onClick={addJunctionFittings} disabled={trays.length < 2}>Fit Tees and Crosses</button>
+          </div>
+          <List items={fittings} labelForItem={(item, index) => `${item.label || `${index + 1}. fitting`}: ${FITTING_TYPES[item.type]} at (${item.x}, ${item.y}, ${item.z})`} onRemove={removeFitting} selected={selectedTarget} kind="fitting" onSelect={setSelectedTarget} />
+        </section>
+
+        <section className="card">
+          <h2>Pass-Through Points</h2>
+          <p className="section-note">Where cables leave this room. Link a point to one in another room to carry routes between them.</p>
+          <div className="field-grid">
+            <TextField label="Label" value={passThroughDraft.label} onChange={(value) => setPassThroughDraft((current) => ({ ...current, label: value }))} />
+            <NumberField label="X Position (mm)" type="number" step="50" value={passThroughDraft.x} onChange={(value) => setPassThroughDraft((current) => ({ ...current, x: value }))} />
+            <NumberField label="Y Position (mm)" type="number" step="50" value={passThroughDraft.y} onChange={(value) => setPassThroughDraft((current) => ({ ...current, y: value }))} />
+            <NumberField label="Elevation Z (mm)" type="number" min="0" step="50" value={passThroughDraft.z} onChange={(value) => setPassThroughDraft((current) => ({ ...current, z: value }))} />
+            <SelectField label="Link To" value={passThroughDraft.linkTarget} onChange={(value) => setPassThroughDraft((current) => ({ ...current, linkTarget: value }))}>
+              <option value="">Not linked</option>
+              {linkTargetOptions.map((item) => <option key={item.value} value={item.value}>{item.label}</option>)}
+            </SelectField>
+          </div>
+          <button className="action-button" type="button" onClick={addPassThrough}>Add Pass-Through</button>
+          <List
+            items={passThroughs}
+            labelForItem={(item, index) => {
+              const linked = getLinkedPassThrough(projectState, activeRecord.id, item.id);
+              return `${item.label || `${index + 1}. pass-through`} at (${item.x}, ${item.y}, ${item.z})${linked ? ` -> ${linked.room.name}` : ""}`;
+            }}
+            onRemove={removePassThrough}
+            selected={selectedTarget}
+            kind="passThrough"
+            onSelect={setSelectedTarget}
+          />
         </section>
 
         <section className="card">
           <h2>Wire Connections</h2>
           <div className="field-grid">
             <TextField label="Label" value={connectionDraft.label} onChange={(value) => setConnectionDraft((current) => ({ ...current, label: value }))} />
-            <SelectField label="From Component" value={connectionDraft.fromRef} onChange={(value) => setConnectionDraft((current) => ({ ...current, fromRef: value }))} disabled={connectableOptions.length === 0}>
+            <SelectField label="From Component" value={connectionDraft.fromRef} onChange={(value) => setConnectionDraft((current) => ({ ...current, fromRef: value, fromPort: "" }))} disabled={connectableOptions.length === 0}>
               {connectableOptions.length === 0 ? <option value="">Add components first</option> : connectableOptions.map((item) => <option key={`from-${item.value}`} value={item.value}>{item.label}</option>)}
             </SelectField>
-            <SelectField label="To Component" value={connectionDraft.toRef} onChange={(value) => setConnectionDraft((current) => ({ ...current, toRef: value }))} disabled={connectableOptions.length === 0}>
+            {draftFromPorts.length > 0 ? (
+              <SelectField label="From Port" value={connectionDraft.fromPort} onChange={(value) => setConnectionDraft((current) => ({ ...current, fromPort: value }))}>
+                <option value="">Select port</option>
+                {draftFromPorts.map((port) => <option key={port.value} value={port.value} disabled={draftFromUsed.has(port.value)}>{`${port.label}${draftFromUsed.has(port.value) ? " - in use" : ""}`}</option>)}
+              </SelectField>
+            ) : null}
+            <SelectField label="To Component" value={connectionDraft.toRef} onChange={(value) => setConnectionDraft((current) => ({ ...current, toRef: value, toPort: "" }))} disabled={connectableOptions.length === 0}>
               {connectableOptions.length === 0 ? <option value="">Add components first</option> : connectableOptions.map((item) => <option key={`to-${item.value}`} value={item.value}>{item.label}</option>)}
             </SelectField>
-            <SelectField label="Cable Color" value={connectionDraft.color} onChange={(value) => setConnectionDraft((current) => ({ ...current, color: value }))}><option value="#d24444">Red</option><option value="#2a7bc9">Blue</option><option value="#d19a1f">Amber</option><option value="#3c8a4d">Green</option></SelectField>
+            {draftToPorts.length > 0 ? (
+              <SelectField label="To Port" value={connectionDraft.toPort} onChange={(value) => setConnectionDraft((current) => ({ ...current, toPort: value }))}>
+                <option value="">Select port</option>
+                {draftToPorts.map((port) => <option key={port.value} value={port.value} disabled={draftToUsed.has(port.value)}>{`${port.label}${draftToUsed.has(port.value) ? " - in use" : ""}`}</option>)}
+              </SelectField>
+            ) : null}
+            <SelectField label="Cable Color" value={connectionDraft.color} onChange={(value) => setConnectionDraft((current) => ({ ...current, color: value }))}>
+              {Object.entries(CABLE_COLORS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+            </SelectField>
             <NumberField label="Route Height (mm)" type="number" min="0" step="50" value={connectionDraft.routeHeight} onChange={(value) => setConnectionDraft((current) => ({ ...current, routeHeight: value }))} />
           </div>
           <button className="action-button" type="button" onClick={addConnection} disabled={connectableOptions.length < 2}>Add Connection</button>
+          {connectionMessage ? <p className="section-note rack-message">{connectionMessage}</p> : null}
           <List
             items={connections}
-            labelForItem={(item, index) => {
-              const normalized = normalizeConnection(item);
-              return `${item.label || `${index + 1}. Cable`} ${normalized.fromKind}:${normalized.fromIndex + 1} -> ${normalized.toKind}:${normalized.toIndex + 1}`;
-            }}
+            labelForItem={(item, index) =>
+              `${item.label || `${index + 1}. Cable`} ${getConnectionLabel(item, roomModel)}`
+            }
             onRemove={removeConnection}
             selected={selectedTarget}
             kind="connection"
             onSelect={setSelectedTarget}
           />
         </section>
+
+        <section className="card">
+          <h2>Power Circuits</h2>
+          <div className="field-grid">
+            <TextField label="Label" value={circuitDraft.label} onChange={(value) => setCircuitDraft((current) => ({ ...current, label: value }))} />
+            <SelectField label="Fed From" value={circuitDraft.sourceId} onChange={(value) => setCircuitDraft((current) => ({ ...current, sourceId: value }))}>
+              <option value="">Utility</option>
+              {upsOptions.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+            </SelectField>
+            {circuitDraft.sourceId ? null : (
+              <SelectField label="Feed" value={circuitDraft.feed} onChange={(value) => setCircuitDraft((current) => ({ ...current, feed: value }))}>
+                {POWER_FEEDS.map((feed) => <option key={feed} value={feed}>{`Feed ${feed}`}</option>)}
+              </SelectField>
+            )}
+            <NumberField label="Breaker Rating (A)" type="number" min="1" step="1" value={circuitDraft.ratingAmps} onChange={(value) => setCircuitDraft((current) => ({ ...current, ratingAmps: value }))} />
+            <NumberField label="Voltage (V)" type="number" min="1" step="10" value={circuitDraft.voltage} onChange={(value) => setCircuitDraft((current) => ({ ...current, voltage: value }))} />
+          </div>
+          <p className="section-note">PDUs, UPSs and hard-wired units take their input from a circuit. Devices are fed by power cords from PDU or UPS outlets to their inlets.</p>
+          <button className="action-button" type="button" onClick={addCircuit} disabled={!(circuitDraft.ratingAmps > 0 && circuitDraft.voltage > 0)}>Add Circuit</button>
+          <List
+            items={circuits}
+            labelForItem={(item, index) => {
+              const entry = powerBudget.circuits.find((candidate) => candidate.circuit.id === item.id);
+              return `${item.label || `${index + 1}. Circuit`}: feed ${entry.feeds.join("+") || "-"}, ${item.ratingAmps} A, ${entry.percent.toFixed(0)}% load`;
+            }}
+            onRemove={removeCircuit}
+            selected={selectedTarget}
+            kind="circuit"
+            onSelect={setSelectedTarget}
+          />
+        </section>
+
+        <CableBom
+          lengths={cableLengths}
+          cabling={cabling}
+          fileName={projectName.trim().replace(/[^a-z0-9-_]+/gi, "-") || "room-project"}
+          onChangeCabling={(label, next, mergeKey) => commitProject(label, (current) => ({ ...current, cabling: next }), mergeKey)}
+        />
         </aside>
 
         <main className="viewport-panel">
@@ -1096,67 +2819,96 @@ export default function App() {
             <h2>Floor Map Console</h2>
           </div>
           <div className="workspace-tools">
-            <span className="tool-pill active-pill">Visualization</span>
-            <span className="tool-pill">Capacity</span>
+            <button type="button" className={`tool-pill${workspace === "visualization" ? " active-pill" : ""}`} onClick={() => setWorkspace("visualization")}>Visualization</button>
+            <button type="button" className={`tool-pill${workspace === "capacity" ? " active-pill" : ""}`} onClick={() => setWorkspace("capacity")}>Capacity</button>
             <span className="tool-pill">Connectivity</span>
             <span className="tool-pill">Changes</span>
           </div>
         </section>
 
-        <section className="view-card">
-          <div className="view-head">
-            <h2>2D Plan</h2>
-            <p>Top-down footprint, openings, hardware, trays, and wire routes.</p>
-          </div>
-          <div className="viewport-toolbar">
-            <span className="toolbar-pill active-pill">Floor Map</span>
-            <span className="toolbar-pill">Search</span>
-            <span className="toolbar-pill">Measure</span>
-            <span className="toolbar-pill">Connectivity</span>
-            <span className="toolbar-pill">Layers</span>
-          </div>
-          <canvas ref={planRef} className="viewport-canvas" />
-        </section>
-        <section className="view-card">
-          <div className="view-head">
-            <h2>3D View</h2>
-            <p>Orbit, pan, and zoom with real `react-three-fiber` controls.</p>
-          </div>
-          <div className="viewport-toolbar">
-            <span className="toolbar-pill active-pill">3D</span>
-            <span className="toolbar-pill">Isolate</span>
-            <span className="toolbar-pill">Thermal Map</span>
-            <span className="toolbar-pill">Reports</span>
-            <span className="toolbar-pill">Settings</span>
-          </div>
-          <div className="viewport-canvas viewport-3d">
-            <SceneErrorBoundary>
-              <Scene3D
-                room={room}
-                openings={openings}
-                equipment={equipment}
-                trays={trays}
-                connections={connections}
-                selectedTarget={selectedTarget}
-              />
-            </SceneErrorBoundary>
-          </div>
-        </section>
+        {workspace === "capacity" ? (
+          <CapacityDashboard
+            capacity={capacity}
+            getName={(item) => getEquipmentName(catalog, item)}
+            selectedId={selectedTarget?.kind === "equipment" ? selectedTarget.id : null}
+            onSelectCabinet={(id) => setSelectedTarget({ kind: "equipment", id })}
+          />
+        ) : (
+          <>
+            <section className="view-card">
+              <div className="view-head">
+                <h2>2D Plan</h2>
+                <p>{planMode === "floor" ? "Every room on this floor. Click a room to edit it, drag to reposition it." : "Top-down footprint, openings, hardware, trays, and wire routes."}</p>
+              </div>
+              <div className="viewport-toolbar">
+                <button type="button" className={`toolbar-pill${planMode === "room" ? " active-pill" : ""}`} onClick={() => setPlanMode("room")}>Room</button>
+                <button type="button" className={`toolbar-pill${planMode === "floor" ? " active-pill" : ""}`} onClick={() => setPlanMode("floor")}>Floor Map</button>
+                <button type="button" className={`toolbar-pill${tileSnap ? " active-pill" : ""}`} onClick={() => setTileSnap((current) => !current)}>Tile Snap</button>
+                <button type="button" className={`toolbar-pill${showDimensions ? " active-pill" : ""}`} onClick={() => setShowDimensions((current) => !current)}>Dimensions</button>
+                <span className="toolbar-pill">Search</span>
+                <button type="button" className={`toolbar-pill${measuring ? " active-pill" : ""}`} onClick={toggleMeasuring}>Measure</button>
+                <span className="toolbar-pill">Connectivity</span>
+                <span className="toolbar-pill">Layers</span>
+              </div>
+              <canvas ref={planRef} className="viewport-canvas" />
+            </section>
+            <section className="view-card">
+              <div className="view-head">
+                <h2>3D View</h2>
+                <p>Orbit, pan, and zoom with real `react-three-fiber` controls.</p>
+              </div>
+              <div className="viewport-toolbar">
+                <span className="toolbar-pill active-pill">3D</span>
+                <button type="button" className={`toolbar-pill${measuring ? " active-pill" : ""}`} onClick={toggleMeasuring}>Measure</button>
+                <span className="toolbar-pill">Isolate</span>
+                <button type="button" className={`toolbar-pill${thermalMap ? " active-pill" : ""}`} onClick={() => setThermalMap((current) => !current)}>Thermal Map</button>
+                <button type="button" className={`toolbar-pill${showFloorTiles ? " active-pill" : ""}`} onClick={() => setShowFloorTiles((current) => !current)}>Floor Tiles</button>
+                <span className="toolbar-pill">Reports</span>
+                <span className="toolbar-pill">Settings</span>
+              </div>
+              <div className="viewport-canvas viewport-3d">
+                <SceneErrorBoundary>
+                  <Scene3D
+                    room={room}
+                    openings={openings}
+                    equipment={equipment}
+                    trays={trays}
+                    fittings={fittings}
+                    connections={connections}
+                    passThroughs={passThroughs}
+                    containments={containments}
+                    tiles={tiles}
+                    underfloor={underfloor}
+                    showFloorTiles={showFloorTiles}
+                    measureLines={measureLines}
+                    onMeasurePoint={measuring ? addMeasurePoint : null}
+                    selectedTarget={selectedTarget}
+                    tracedIds={tracedIds}
+                    conflictIds={getViolationIds(violations)}
+                    trayFill={trayFill}
+                    fillThreshold={cabling.fillThreshold}
+                    thermalField={thermalField}
+                  />
+                </SceneErrorBoundary>
+              </div>
+            </section>
+          </>
+        )}
         </main>
 
         <aside className="properties-panel">
           <section className="view-card properties-card">
             <div className="view-head">
               <h2>Properties</h2>
-              <p>{selectedTarget ? `Editing ${selectedTarget.kind} ${selectedTarget.index + 1}` : "Select an asset from the floor map or asset browser."}</p>
+              <p>{selectedItem ? `Editing ${selectedTarget.kind} ${selectedItem.label || selectedItem.id}` : "Select an asset from the floor map or asset browser."}</p>
             </div>
             {selectedItem ? (
               <div className="field-grid single-column">
                 {selectedTarget.kind === "equipment" ? (
                   <>
                     <TextField label="Label" value={selectedItem.label || ""} onChange={(value) => updateSelectedField("label", value)} />
-                    <SelectField label="Asset Type" value={selectedItem.type} onChange={(value) => updateSelectedField("type", value)}>
-                      {Object.entries(EQUIPMENT_PRESETS).map(([key, preset]) => <option key={key} value={key}>{preset.label}</option>)}
+                    <SelectField label="Asset Type" value={findModel(catalog, selectedItem)?.id || ""} onChange={(value) => updateSelectedField("modelId", value)}>
+                      {catalog.map((entry) => <option key={entry.id} value={entry.id}>{`${getModelLabel(entry)} (${getCategory(entry.category).label})`}</option>)}
                     </SelectField>
                     <SelectField label="Color" value={selectedItem.colorKey || "red"} onChange={(value) => updateSelectedField("colorKey", value)}>
                       {Object.entries(HARDWARE_COLORS).map(([key, color]) => <option key={key} value={key}>{color.label}</option>)}
@@ -1176,34 +2928,283 @@ export default function App() {
                     {selectedItem.mountedIn !== null && selectedItem.mountedIn !== undefined ? (
                       <div className="mount-info">
                         <strong>Mounted In Rack</strong>
-                        <span>{equipment[selectedItem.mountedIn]?.label || `Cabinet ${selectedItem.mountedIn + 1}`}</span>
-                        <span>{`RU ${selectedItem.rackStart} - ${(selectedItem.rackStart || 1) + (selectedItem.rackUnits || 1) - 1}`}</span>
+                        <span>{getEndpointLabel("equipment", selectedItem.mountedIn, roomModel)}</span>
+                        <span>
+                          {isZeroU(selectedItem)
+                            ? `0U, ${selectedItem.sideChannel} rear channel, ${selectedItem.outletCount} outlets`
+                            : `RU ${selectedItem.rackStart} - ${(selectedItem.rackStart || 1) + getDeviceRackUnits(selectedItem) - 1}, ${getMountFace(selectedItem)} rail`}
+                        </span>
                         <span>{`${selectedItem.width}W x ${selectedItem.depth}D x ${selectedItem.height}H mm`}</span>
                       </div>
                     ) : null}
+                    {isZeroU(selectedItem) ? (
+                      <>
+                        <SelectField label="Side Channel" value={selectedItem.sideChannel} onChange={(value) => updateRackMount("sideChannel", value)}>
+                          <option value="left">Left Rear Channel</option>
+                          <option value="right">Right Rear Channel</option>
+                        </SelectField>
+                        <NumberField label="Outlets" type="number" min="1" max="48" step="1" value={selectedItem.outletCount} onChange={(value) => updateRackMount("outletCount", clamp(Math.round(value), 1, 48))} />
+                      </>
+                    ) : null}
+                    {selectedItem.mountedIn !== null && selectedItem.mountedIn !== undefined && !isZeroU(selectedItem) ? (
+                      <>
+                        <SelectField label="Mounting Face" value={getMountFace(selectedItem)} onChange={(value) => updateRackMount("mountFace", value)}>
+                          <option value="front">Front Rail</option>
+                          <option value="rear">Rear Rail</option>
+                        </SelectField>
+                        <NumberField label="Depth (mm)" type="number" min="180" step="10" value={selectedItem.depth} onChange={(value) => updateRackMount("depth", value)} />
+                      </>
+                    ) : null}
+                    {selectedPorts.length > 0 ? (
+                      <div className="mount-info">
+                        <strong>{`Ports (${selectedPorts.filter((port) => selectedLanded.has(port.value)).length} / ${selectedPorts.length} connected)`}</strong>
+                        <ul className="item-list port-list">
+                          {selectedPorts.map((port) => {
+                            const landed = selectedLanded.get(port.value);
+                            const other = landed?.end === "from" ? "to" : "from";
+                            return (
+                              <li key={port.value}>
+                                <span>{port.label}</span>
+                                {landed ? (
+                                  <span className="list-label port-target" onClick={() => setSelectedTarget({ kind: "connection", id: landed.connection.id })}>
+                                    {getEndpointLabel(landed.connection[`${other}Kind`], landed.connection[`${other}Id`], roomModel, landed.connection[`${other}Port`], landed.connection[`${other}Outlet`])}
+                                  </span>
+                                ) : <span>Free</span>}
+                                <button type="button" onClick={() => setTraceStart({ itemId: selectedItem.id, value: port.value })} disabled={!landed && !getPortPair(selectedItem, port.port)}>Trace</button>
+                              </li>
+                            );
+                          })}
+                        </ul>
+                      </div>
+                    ) : null}
+                    {selectedRow ? (
+                      <div className="mount-info">
+                        <strong>{`In ${selectedRow.label || "Row"}`}</strong>
+                        <span>{`Position ${selectedItem.rowIndex + 1} of ${selectedRowCabinets.length} at ${getTileAddress(getAssetTile("equipment", selectedItem)) || "no tile"}; moves and turns with the row.`}</span>
+                        <button className="mini-button" type="button" onClick={() => setSelectedTarget({ kind: "row", id: selectedRow.id })}>Select Row</button>
+                      </div>
+                    ) : null}
                     {selectedItem.mountedIn === null || selectedItem.mountedIn === undefined ? (
                       <>
-                        <NumberField label="X Position (mm)" type="number" step="50" value={selectedItem.x} onChange={(value) => updateSelectedField("x", value)} />
-                        <NumberField label="Y Position (mm)" type="number" step="50" value={selectedItem.y} onChange={(value) => updateSelectedField("y", value)} />
+                        {selectedRow ? null : (
+                          <>
+                            <NumberField label="X Position (mm)" type="number" step="50" value={selectedItem.x} onChange={(value) => updateSelectedField("x", value)} />
+                            <NumberField label="Y Position (mm)" type="number" step="50" value={selectedItem.y} onChange={(value) => updateSelectedField("y", value)} />
+                            <TileField cell={getAssetTile("equipment", selectedItem)} onChange={moveSelectedToTile} />
+                          </>
+                        )}
                         <NumberField label="Width (mm)" type="number" min="200" step="50" value={selectedItem.width} onChange={(value) => updateSelectedField("width", value)} />
                         <NumberField label="Depth (mm)" type="number" min="200" step="50" value={selectedItem.depth} onChange={(value) => updateSelectedField("depth", value)} />
                         <NumberField label="Height (mm)" type="number" min="200" step="50" value={selectedItem.height} onChange={(value) => updateSelectedField("height", value)} />
-                        <NumberField label="Rotation (deg)" type="number" step="5" value={selectedItem.rotationDeg} onChange={(value) => updateSelectedField("rotationDeg", value)} />
+                        {selectedRow ? null : <NumberField label="Rotation (deg)" type="number" step="5" value={selectedItem.rotationDeg} onChange={(value) => updateSelectedField("rotationDeg", value)} />}
+                      </>
+                    ) : null}
+                    <NumberField label="Nameplate Power (W)" type="number" min="0" step="10" value={selectedItem.powerWatts || 0} onChange={(value) => updateSelectedField("powerWatts", Math.max(0, value))} />
+                    {selectedItem.type === "crac" ? (
+                      <>
+                        <NumberField label="Cooling Capacity (W)" type="number" min="0" step="500" value={selectedItem.coolingWatts || 0} onChange={(value) => updateSelectedField("coolingWatts", Math.max(0, value))} />
+                        <p className="section-note">Supply air leaves the front of the unit; rotate it to aim the airflow on the thermal map.</p>
                       </>
                     ) : null}
-                    <button className="action-button" type="button" onClick={() => removeEquipment(selectedTarget.index)}>Delete Selected Asset</button>
+                    <label>
+                      Measured Power (W)
+                      <input type="number" min="0" step="10" value={selectedItem.measuredWatts ?? ""} placeholder="Not measured" onChange={(event) => updateSelectedField("measuredWatts", event.target.value === "" ? null : Math.max(0, Number(event.target.value)))} />
+                    </label>
+                    <SelectField label="Input Circuit" value={selectedItem.circuitId || ""} onChange={(value) => updateSelectedField("circuitId", value || null)}>
+                      <option value="">Not wired to a circuit</option>
+                      {circuits.map((item, index) => <option key={item.id} value={item.id}>{`${item.label || `${index + 1}. Circuit`} (feed ${item.feed})`}</option>)}
+                    </SelectField>
+                    {getDeviceDraw(selectedItem) > 0 || powerBudget.getLoad("equipment", selectedItem.id) > 0 ? (
+                      <div className="mount-info">
+                        <strong>Power</strong>
+                        <span>{`Carries ${Math.round(powerBudget.getLoad("equipment", selectedItem.id))} W, of which ${Math.round(getDeviceDraw(selectedItem))} W is its own draw`}</span>
+                        {selectedPower && selectedPower.feeds.length === 0 ? <span className="rack-message">Not fed from any circuit</span> : null}
+                        {selectedPower && selectedPower.feeds.length > 0 ? (
+                          <span className={selectedPower.exposed.length > 0 ? "rack-message" : undefined}>
+                            {selectedPower.exposed.length > 0 ? `Feed ${selectedPower.feeds.join("+")}, lost if feed ${selectedPower.exposed.join(" or ")} fails` : `Feeds ${selectedPower.feeds.join("+")}, redundant`}
+                          </span>
+                        ) : null}
+                      </div>
+                    ) : null}
+                    <button className="action-button" type="button" onClick={() => removeEquipment(selectedTarget.id)}>Delete Selected Asset</button>
                   </>
                 ) : null}
                 {selectedTarget.kind === "tray" ? (
                   <>
                     <TextField label="Label" value={selectedItem.label || ""} onChange={(value) => updateSelectedField("label", value)} />
-                    <NumberField label="Start X (mm)" type="number" step="50" value={selectedItem.x} onChange={(value) => updateSelectedField("x", value)} />
-                    <NumberField label="Start Y (mm)" type="number" step="50" value={selectedItem.y} onChange={(value) => updateSelectedField("y", value)} />
                     <NumberField label="Elevation Z (mm)" type="number" step="50" value={selectedItem.z} onChange={(value) => updateSelectedField("z", value)} />
                     <NumberField label="Width (mm)" type="number" min="50" step="25" value={selectedItem.width} onChange={(value) => updateSelectedField("width", value)} />
                     <NumberField label="Depth (mm)" type="number" min="25" step="25" value={selectedItem.depth} onChange={(value) => updateSelectedField("depth", value)} />
-                    <NumberField label="Primary Length (mm)" type="number" min="100" step="50" value={selectedItem.lengthA} onChange={(value) => updateSelectedField("lengthA", value)} />
-                    <button className="action-button" type="button" onClick={() => removeTray(selectedTarget.index)}>Delete Selected Tray</button>
+                    <TileField label="Start Tile" cell={getAssetTile("tray", selectedItem)} onChange={moveSelectedToTile} />
+                    {selectedItem.points.map((point, index) => (
+                      <div className="waypoint-row" key={index}>
+                        <NumberField label={`Point ${index + 1} X`} type="number" step="50" value={point.x} onChange={(value) => updateTrayPoint(index, { ...point, x: value })} />
+                        <NumberField label={`Point ${index + 1} Y`} type="number" step="50" value={point.y} onChange={(value) => updateTrayPoint(index, { ...point, y: value })} />
+                        <button type="button" onClick={() => updateTrayPoint(index, null)} disabled={selectedItem.points.length <= 2}>Remove</button>
+                      </div>
+                    ))}
+                    <div className="mount-info">
+                      <strong>Shape</strong>
+                      <span>Drag the square handles on the floor map to reshape the run; double-click the tray to add a point.</span>
+                    </div>
+                    <div className="mount-info">
+                      <strong>Tray Fill</strong>
+                      {getTraySegments(selectedItem).map((_, segmentIndex) => {
+                        const segment = trayFill.get(`${selectedItem.id}:${segmentIndex}`);
+                        return (
+                          <span key={segmentIndex} className={segment?.over ? "rack-message" : undefined}>
+                            {`Segment ${segmentIndex + 1}: ${segment?.cables.length || 0} cable(s), ${(segment?.percent || 0).toFixed(1)}% fill${segment?.over ? ` (over ${cabling.fillThreshold}%)` : ""}`}
+                          </span>
+                        );
+                      })}
+                    </div>
+                    <button className="action-button" type="button" onClick={() => removeTray(selectedTarget.id)}>Delete Selected Tray</button>
+                  </>
+                ) : null}
+                {selectedTarget.kind === "fitting" ? (
+                  <>
+                    <TextField label="Label" value={selectedItem.label || ""} onChange={(value) => updateSelectedField("label", value)} />
+                    <NumberField label="X Position (mm)" type="number" step="50" value={selectedItem.x} onChange={(value) => updateSelectedField("x", value)} />
+                    <NumberField label="Y Position (mm)" type="number" step="50" value={selectedItem.y} onChange={(value) => updateSelectedField("y", value)} />
+                    <TileField cell={getAssetTile("fitting", selectedItem)} onChange={moveSelectedToTile} />
+                    <NumberField label={selectedItem.type === "riser" ? "Base Z (mm)" : "Tray Z (mm)"} type="number" step="50" value={selectedItem.z} onChange={(value) => updateSelectedField("z", value)} />
+                    {selectedItem.type === "riser" ? (
+                      <NumberField label="Top Z (mm)" type="number" step="50" value={selectedItem.topZ} onChange={(value) => updateSelectedField("topZ", Math.max(value, selectedItem.z + 50))} />
+                    ) : null}
+                    {selectedItem.type === "drop" ? (
+                      <SelectField label="Into Cabinet" value={selectedItem.cabinetId} onChange={(value) => updateSelectedField("cabinetId", value)}>
+                        {cabinetOptions.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+                      </SelectField>
+                    ) : null}
+                    <div className="mount-info">
+                      <strong>{FITTING_TYPES[selectedItem.type]}</strong>
+                      <span>{selectedItem.type === "riser" ? `Joins trays at ${selectedItem.z} mm and ${selectedItem.topZ} mm.` : selectedItem.type === "drop" ? "Cables to this cabinet leave the trays here." : "Joins every run passing within 200 mm at this elevation."}</span>
+                    </div>
+                    <button className="action-button" type="button" onClick={() => removeFitting(selectedTarget.id)}>Delete Selected Fitting</button>
+                  </>
+                ) : null}
+                {selectedTarget.kind === "circuit" ? (
+                  <>
+                    <TextField label="Label" value={selectedItem.label || ""} onChange={(value) => updateSelectedField("label", value)} />
+                    <SelectField label="Fed From" value={selectedItem.sourceId || ""} onChange={(value) => updateSelectedField("sourceId", value || null)}>
+                      <option value="">Utility</option>
+                      {upsOptions.map((option) => <option key={option.value} value={option.value}>{option.label}</option>)}
+                    </SelectField>
+                    {selectedItem.sourceId ? null : (
+                      <SelectField label="Feed" value={selectedItem.feed} onChange={(value) => updateSelectedField("feed", value)}>
+                        {POWER_FEEDS.map((feed) => <option key={feed} value={feed}>{`Feed ${feed}`}</option>)}
+                      </SelectField>
+                    )}
+                    <NumberField label="Breaker Rating (A)" type="number" min="1" step="1" value={selectedItem.ratingAmps} onChange={(value) => updateSelectedField("ratingAmps", Math.max(1, value))} />
+                    <NumberField label="Voltage (V)" type="number" min="1" step="10" value={selectedItem.voltage} onChange={(value) => updateSelectedField("voltage", Math.max(1, value))} />
+                    <div className="mount-info">
+                      <strong>Load</strong>
+                      <span className={selectedPower.over ? "rack-message" : undefined}>{`${Math.round(selectedPower.load)} W of ${Math.round(selectedPower.capacity)} W (${selectedPower.percent.toFixed(0)}%, limit ${CIRCUIT_LOAD_LIMIT}%)`}</span>
+                      <span>{selectedCircuitEquipment.length > 0 ? `Feeds ${selectedCircuitEquipment.map((item) => item.label || item.type).join(", ")}` : "Nothing wired to this circuit yet."}</span>
+                    </div>
+                    <button className="action-button" type="button" onClick={() => removeCircuit(selectedTarget.id)}>Delete Selected Circuit</button>
+                  </>
+                ) : null}
+                {selectedTarget.kind === "row" ? (
+                  <>
+                    <TextField label="Label" value={selectedItem.label || ""} onChange={(value) => updateSelectedField("label", value)} />
+                    <NumberField label="First Cabinet X (mm)" type="number" step="50" value={selectedItem.x} onChange={(value) => updateSelectedField("x", value)} />
+                    <NumberField label="First Cabinet Y (mm)" type="number" step="50" value={selectedItem.y} onChange={(value) => updateSelectedField("y", value)} />
+                    <TileField label="First Cabinet Tile" cell={getAssetTile("row", selectedItem)} onChange={moveSelectedToTile} />
+                    <NumberField label="Facing (deg)" type="number" step="90" value={selectedItem.rotationDeg} onChange={(value) => updateSelectedField("rotationDeg", value)} />
+                    <NumberField label="Pitch (mm)" type="number" min="100" step="50" value={selectedItem.pitch} onChange={(value) => updateSelectedField("pitch", Math.max(100, value))} />
+                    <SelectField label="Aisle Side" value={selectedItem.aisleSide} onChange={(value) => updateSelectedField("aisleSide", value)}>
+                      {Object.entries(AISLE_SIDES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </SelectField>
+                    <div className="mount-info">
+                      <strong>{`${selectedRowCabinets.length} cabinet(s)`}</strong>
+                      <span>{selectedRowCabinets.length > 0 ? selectedRowCabinets.map((item) => item.label || item.type).join(", ") : "Every cabinet in this row has been removed."}</span>
+                    </div>
+                    <div className="button-row">
+                      <button className="action-button" type="button" onClick={() => addCabinetToRow(selectedItem)} disabled={cabinetModels.length === 0}>Add Cabinet</button>
+                      <button className="action-button" type="button" onClick={() => addRowContainment(selectedItem)} disabled={selectedRowCabinets.length === 0}>{`Contain ${CONTAINMENT_TYPES[selectedItem.aisleSide === "rear" ? "hot" : "cold"]}`}</button>
+                    </div>
+                    <button className="action-button" type="button" onClick={() => removeRow(selectedTarget.id)}>Delete Selected Row</button>
+                  </>
+                ) : null}
+                {selectedTarget.kind === "annotation" ? (
+                  <>
+                    <TextField label="Label" value={selectedItem.label || ""} onChange={(value) => updateSelectedField("label", value)} />
+                    <div className="mount-info">
+                      <strong>{`${MEASURE_MODES[selectedItem.type]}: ${resolveAnnotation(equipment, selectedItem) ? describeMeasurement(selectedItem.type, resolveAnnotation(equipment, selectedItem)) : "detached"}`}</strong>
+                      {selectedItem.anchors.map((anchor, index) => {
+                        const point = resolveAnchor(equipment, anchor);
+                        const host = anchor.equipmentId ? findById(equipment, anchor.equipmentId) : null;
+                        const position = point ? `${Math.round(point.x)}, ${Math.round(point.y)}, z${point.z}` : "missing";
+                        return <span key={index}>{`Point ${index + 1}: ${host ? `on ${host.label || getEquipmentName(catalog, host)} at ` : ""}${position}`}</span>;
+                      })}
+                    </div>
+                    <button className="action-button" type="button" onClick={() => removeAnnotation(selectedTarget.id)}>Delete Selected Dimension</button>
+                  </>
+                ) : null}
+                {selectedTarget.kind === "tile" ? (
+                  <>
+                    <div className="mount-info">
+                      <strong>{`Tile ${selectedItem.address}`}</strong>
+                      <span>{`${getTileSize(room)} mm square, centre at (${getTileCenter(room, parseTileAddress(selectedItem.address)).x}, ${getTileCenter(room, parseTileAddress(selectedItem.address)).y})`}</span>
+                    </div>
+                    <SelectField label="Tile Type" value={selectedItem.type} onChange={updateTileType}>
+                      {Object.entries(TILE_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </SelectField>
+                    {selectedItem.type === "perforated" ? (
+                      <NumberField label="Open Area (%)" type="number" min="1" max="100" step="5" value={selectedItem.openPercent} onChange={(value) => updateSelectedField("openPercent", clamp(value, 1, 100))} />
+                    ) : null}
+                    <button className="action-button" type="button" onClick={() => removeTile(selectedTarget.id)}>Reset To Solid</button>
+                  </>
+                ) : null}
+                {selectedTarget.kind === "underfloor" ? (
+                  <>
+                    <div className="mount-info">
+                      <strong>{UNDERFLOOR_TYPES[selectedItem.type]}</strong>
+                      <span>{selectedItem.type === "pedestal" ? `Carries the floor ${room.floorElevation} mm above the slab.` : `Runs ${selectedItem.points.length - 1} segment(s) in the ${room.floorElevation} mm plenum.`}</span>
+                    </div>
+                    <TextField label="Label" value={selectedItem.label || ""} onChange={(value) => updateSelectedField("label", value)} />
+                    {selectedItem.type === "pedestal" ? null : (
+                      <NumberField label="Height Above Slab (mm)" type="number" min="0" step="10" value={selectedItem.z} onChange={(value) => updateSelectedField("z", Math.max(0, value))} />
+                    )}
+                    <NumberField label={selectedItem.type === "basket" ? "Width (mm)" : selectedItem.type === "pedestal" ? "Section (mm)" : "Diameter (mm)"} type="number" min="1" step="5" value={selectedItem.size} onChange={(value) => updateSelectedField("size", Math.max(1, value))} />
+                    <TileField label={selectedItem.type === "pedestal" ? "Floor Tile" : "Start Tile"} cell={getAssetTile("underfloor", selectedItem)} onChange={moveSelectedToTile} />
+                    {selectedItem.points.map((point, index) => (
+                      <div className="waypoint-row" key={index}>
+                        <NumberField label={`Point ${index + 1} X`} type="number" step="50" value={point.x} onChange={(value) => updateUnderfloorPoint(index, { ...point, x: value })} />
+                        <NumberField label={`Point ${index + 1} Y`} type="number" step="50" value={point.y} onChange={(value) => updateUnderfloorPoint(index, { ...point, y: value })} />
+                        <button type="button" onClick={() => updateUnderfloorPoint(index, null)} disabled={selectedItem.points.length <= 2}>Remove</button>
+                      </div>
+                    ))}
+                    {selectedItem.type === "pedestal" ? null : (
+                      <button className="action-button" type="button" onClick={() => updateSelectedField("points", [...selectedItem.points, { x: selectedItem.points[selectedItem.points.length - 1].x + 600, y: selectedItem.points[selectedItem.points.length - 1].y }])}>Add Point</button>
+                    )}
+                    <button className="action-button" type="button" onClick={() => removeUnderfloor(selectedTarget.id)}>Delete Selected Object</button>
+                  </>
+                ) : null}
+                {selectedTarget.kind === "containment" ? (
+                  <>
+                    <TextField label="Label" value={selectedItem.label || ""} onChange={(value) => updateSelectedField("label", value)} />
+                    <SelectField label="Type" value={selectedItem.type} onChange={(value) => updateSelectedField("type", value)}>
+                      {Object.entries(CONTAINMENT_TYPES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                    </SelectField>
+                    <NumberField label="Center X (mm)" type="number" step="50" value={selectedItem.x} onChange={(value) => updateSelectedField("x", value)} />
+                    <NumberField label="Center Y (mm)" type="number" step="50" value={selectedItem.y} onChange={(value) => updateSelectedField("y", value)} />
+                    <TileField label="Center Tile" cell={getAssetTile("containment", selectedItem)} onChange={moveSelectedToTile} />
+                    <NumberField label="Rotation (deg)" type="number" step="90" value={selectedItem.rotationDeg} onChange={(value) => updateSelectedField("rotationDeg", value)} />
+                    <NumberField label="Length (mm)" type="number" min="100" step="50" value={selectedItem.length} onChange={(value) => updateSelectedField("length", Math.max(100, value))} />
+                    <NumberField label="Aisle Width (mm)" type="number" min="100" step="50" value={selectedItem.width} onChange={(value) => updateSelectedField("width", Math.max(100, value))} />
+                    <NumberField label="Height (mm)" type="number" min="200" step="50" value={selectedItem.height} onChange={(value) => updateSelectedField("height", Math.max(200, value))} />
+                    <SelectField label="End Doors" value={selectedItem.endDoors ? "yes" : "no"} onChange={(value) => updateSelectedField("endDoors", value === "yes")}>
+                      <option value="yes">Fitted</option>
+                      <option value="no">Open ends</option>
+                    </SelectField>
+                    <SelectField label="Roof Panels" value={selectedItem.roof ? "yes" : "no"} onChange={(value) => updateSelectedField("roof", value === "yes")}>
+                      <option value="yes">Fitted</option>
+                      <option value="no">Open top</option>
+                    </SelectField>
+                    <p className="section-note">Cabinets should face a cold aisle with their fronts and a hot aisle with their rears; Layout Checks flags any that do not.</p>
+                    <button className="action-button" type="button" onClick={() => removeContainment(selectedTarget.id)}>Delete Selected Containment</button>
                   </>
                 ) : null}
                 {selectedTarget.kind === "opening" ? (
@@ -1214,31 +3215,101 @@ export default function App() {
                       <option value="window">Window</option>
                     </SelectField>
                     <SelectField label="Wall" value={String(selectedItem.wall)} onChange={(value) => updateSelectedField("wall", Number(value))}>
-                      <option value="0">South</option>
-                      <option value="1">East</option>
-                      <option value="2">North</option>
-                      <option value="3">West</option>
+                      {walls.map((wall) => <option key={wall.id} value={wall.index}>{wallLabel(wall.index)}</option>)}
                     </SelectField>
                     <NumberField label="Offset From Wall Start (mm)" type="number" min="0" step="50" value={selectedItem.offset} onChange={(value) => updateSelectedField("offset", value)} />
                     <NumberField label="Width (mm)" type="number" min="300" step="50" value={selectedItem.width} onChange={(value) => updateSelectedField("width", value)} />
                     <NumberField label="Height (mm)" type="number" min="300" step="50" value={selectedItem.height} onChange={(value) => updateSelectedField("height", value)} />
                     <NumberField label="Sill Height (mm)" type="number" min="0" step="50" value={selectedItem.sillHeight} onChange={(value) => updateSelectedField("sillHeight", value)} />
-                    <button className="action-button" type="button" onClick={() => removeOpening(selectedTarget.index)}>Delete Selected Opening</button>
+                    {selectedItem.type === "door" ? (
+                      <>
+                        <SelectField label="Door Style" value={selectedItem.doorStyle} onChange={(value) => updateSelectedField("doorStyle", value)}>
+                          {Object.entries(DOOR_STYLES).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                        </SelectField>
+                        <SelectField label={selectedItem.doorStyle === "sliding" ? "Slides To" : "Hinge Side"} value={selectedItem.hinge} onChange={(value) => updateSelectedField("hinge", value)}>
+                          <option value="left">Left (from inside)</option>
+                          <option value="right">Right (from inside)</option>
+                        </SelectField>
+                        <SelectField label="Swing" value={selectedItem.swing} onChange={(value) => updateSelectedField("swing", value)}>
+                          <option value="in">Into the room</option>
+                          <option value="out">Out of the room</option>
+                        </SelectField>
+                      </>
+                    ) : null}
+                    <button className="action-button" type="button" onClick={() => removeOpening(selectedTarget.id)}>Delete Selected Opening</button>
+                  </>
+                ) : null}
+                {selectedTarget.kind === "wall" ? (
+                  <>
+                    <div className="mount-info">
+                      <strong>{wallLabel(selectedItem.index)}</strong>
+                      <span>{`From (${Math.round(selectedItem.start.x)}, ${Math.round(selectedItem.start.y)}) to (${Math.round(selectedItem.end.x)}, ${Math.round(selectedItem.end.y)})`}</span>
+                    </div>
+                    <NumberField label="Length (mm)" type="number" min="100" step="50" value={Math.round(selectedItem.length)} onChange={(value) => updateOutline(`Edit ${wallLabel(selectedItem.index)} length`, (outline, currentOpenings) => ({ outline: setWallLength(outline, selectedItem.index, value), openings: currentOpenings }), `wall:${selectedItem.id}:length`)} />
+                    <NumberField label="Angle (deg)" type="number" step="1" value={Math.round((selectedItem.angle * 180) / Math.PI)} onChange={(value) => updateOutline(`Edit ${wallLabel(selectedItem.index)} angle`, (outline, currentOpenings) => ({ outline: setWallAngle(outline, selectedItem.index, value), openings: currentOpenings }), `wall:${selectedItem.id}:angle`)} />
+                    <NumberField label="Start X (mm)" type="number" step="50" value={selectedItem.start.x} onChange={(value) => updateOutline("Move room vertex", (outline, currentOpenings) => ({ outline: outline.map((vertex) => (vertex.id === selectedItem.id ? { ...vertex, x: value } : vertex)), openings: currentOpenings }), `vertex:${selectedItem.id}:x`)} />
+                    <NumberField label="Start Y (mm)" type="number" step="50" value={selectedItem.start.y} onChange={(value) => updateOutline("Move room vertex", (outline, currentOpenings) => ({ outline: outline.map((vertex) => (vertex.id === selectedItem.id ? { ...vertex, y: value } : vertex)), openings: currentOpenings }), `vertex:${selectedItem.id}:y`)} />
+                    <button className="action-button" type="button" onClick={() => updateOutline(`Split ${wallLabel(selectedItem.index)}`, (outline, currentOpenings) => splitWall(outline, currentOpenings, selectedItem.index, selectedItem.length / 2))}>Insert Vertex At Midpoint</button>
+                    <button className="action-button" type="button" disabled={walls.length <= 3} onClick={() => updateOutline("Delete room vertex", (outline, currentOpenings) => removeOutlineVertex(outline, currentOpenings, selectedItem.index))}>Delete Start Vertex</button>
+                  </>
+                ) : null}
+                {selectedTarget.kind === "passThrough" ? (
+                  <>
+                    <TextField label="Label" value={selectedItem.label || ""} onChange={(value) => updateSelectedField("label", value)} />
+                    <NumberField label="X Position (mm)" type="number" step="50" value={selectedItem.x} onChange={(value) => updateSelectedField("x", value)} />
+                    <NumberField label="Y Position (mm)" type="number" step="50" value={selectedItem.y} onChange={(value) => updateSelectedField("y", value)} />
+                    <TileField cell={getAssetTile("passThrough", selectedItem)} onChange={moveSelectedToTile} />
+                    <NumberField label="Elevation Z (mm)" type="number" min="0" step="50" value={selectedItem.z} onChange={(value) => updateSelectedField("z", value)} />
+                    <div className="mount-info">
+                      <strong>Linked Room</strong>
+                      <span>{selectedLink ? `${getRoomPath(projectState, selectedLink.room.id)} / ${selectedLink.passThrough.label}` : "Not linked"}</span>
+                    </div>
+                    {selectedLink ? <button className="action-button" type="button" onClick={() => activateRoom(selectedLink.room.id)}>Open Linked Room</button> : null}
+                    <button className="action-button" type="button" onClick={() => removePassThrough(selectedTarget.id)}>Delete Selected Pass-Through</button>
                   </>
                 ) : null}
                 {selectedTarget.kind === "connection" ? (
                   <>
-                    <TextField label="Label" value={normalizeConnection(selectedItem).label || ""} onChange={(value) => updateSelectedField("label", value)} />
-                    <SelectField label="Cable Color" value={normalizeConnection(selectedItem).color} onChange={(value) => updateSelectedField("color", value)}>
-                      <option value="#d24444">Red</option>
-                      <option value="#2a7bc9">Blue</option>
-                      <option value="#d19a1f">Amber</option>
-                      <option value="#3c8a4d">Green</option>
+                    <TextField label="Label" value={selectedItem.label || ""} onChange={(value) => updateSelectedField("label", value)} />
+                    <SelectField label="Cable Color" value={selectedItem.color} onChange={(value) => updateSelectedField("color", value)}>
+                      {Object.entries(CABLE_COLORS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
                     </SelectField>
-                    <NumberField label="Route Height (mm)" type="number" min="0" step="50" value={normalizeConnection(selectedItem).routeHeight} onChange={(value) => updateSelectedField("routeHeight", value)} />
-                    <NumberField label="Control X (mm)" type="number" step="50" value={normalizeConnection(selectedItem).controlX ?? 0} onChange={(value) => updateSelectedField("controlX", value)} />
-                    <NumberField label="Control Y (mm)" type="number" step="50" value={normalizeConnection(selectedItem).controlY ?? 0} onChange={(value) => updateSelectedField("controlY", value)} />
-                    <button className="action-button" type="button" onClick={() => removeConnection(selectedTarget.index)}>Delete Selected Cable</button>
+                    {["from", "to"].map((end) => {
+                      const ports = getEndpointPorts(selectedItem[`${end}Kind`], selectedItem[`${end}Id`], equipment);
+                      if (ports.length === 0) return null;
+                      const landed = getPortConnections(connections, selectedItem[`${end}Id`]);
+                      return (
+                        <SelectField key={end} label={end === "from" ? "From Port" : "To Port"} value={getPortValue(selectedItem, end)} onChange={(value) => updateConnectionPort(end, value)}>
+                          <option value="">Unassigned</option>
+                          {ports.map((port) => {
+                            const other = landed.get(port.value)?.connection;
+                            const taken = other && other.id !== selectedItem.id;
+                            return <option key={port.value} value={port.value} disabled={taken}>{`${port.label}${taken ? ` - ${other.label || "in use"}` : ""}`}</option>;
+                          })}
+                        </SelectField>
+                      );
+                    })}
+                    {connectionMessage ? <p className="section-note rack-message">{connectionMessage}</p> : null}
+                    <NumberField label="Route Height (mm)" type="number" min="0" step="50" value={selectedItem.routeHeight} onChange={(value) => updateSelectedField("routeHeight", value)} />
+                    <div className="mount-info">
+                      <strong>Routing</strong>
+                      <span>{selectedRoute ? `${ROUTE_MODES[selectedRoute.mode]}, ${(getRouteLength(selectedRoute.points) / 1000).toFixed(2)} m routed` : "Endpoint missing"}</span>
+                      {selectedCable?.stock ? <span>{`${selectedCable.media}, order ${selectedCable.stock.metres} m${selectedCable.stock.custom ? " cut to length" : ""} (includes ${cabling.slack} mm slack)`}</span> : null}
+                      <span>Drag the cable on the floor map to add a waypoint; waypoints override tray routing.</span>
+                    </div>
+                    {(selectedItem.waypoints || []).map((point, index) => (
+                      <div className="waypoint-row" key={index}>
+                        <NumberField label={`Waypoint ${index + 1} X`} type="number" step="50" value={point.x} onChange={(value) => updateWaypoint(index, { ...point, x: value })} />
+                        <NumberField label="Y" type="number" step="50" value={point.y} onChange={(value) => updateWaypoint(index, { ...point, y: value })} />
+                        <button className="mini-button" type="button" onClick={() => updateWaypoint(index, null)} title="Remove waypoint">x</button>
+                      </div>
+                    ))}
+                    <div className="button-row">
+                      <button className="action-button" type="button" onClick={addWaypoint} disabled={!selectedRoute}>Add Waypoint</button>
+                      <button className="action-button" type="button" onClick={() => updateSelectedField("waypoints", [])} disabled={(selectedItem.waypoints || []).length === 0}>Auto Route</button>
+                    </div>
+                    <button className="action-button" type="button" onClick={() => traceConnection(selectedItem)} disabled={!getPortValue(selectedItem, "from") && !getPortValue(selectedItem, "to")}>Trace Circuit</button>
+                    <button className="action-button" type="button" onClick={() => removeConnection(selectedTarget.id)}>Delete Selected Cable</button>
                   </>
                 ) : null}
               </div>
@@ -1249,6 +3320,101 @@ export default function App() {
               </div>
             )}
           </section>
+          <section className="view-card">
+            <div className="section-head">
+              <h2>Layout Checks</h2>
+              <span className="section-meta">{violations.length === 0 ? "Clear" : `${violations.length} issue(s)`}</span>
+            </div>
+            {violations.length === 0 ? (
+              <p className="section-note">No overlaps, wall or tray clashes, blocked clearances or airflow problems in this room.</p>
+            ) : (
+              <ul className="item-list">
+                {violations.map((violation) => (
+                  <li key={violation.id} className="rack-message">
+                    <span role="button" tabIndex={0} className="list-label" onClick={() => setSelectedTarget(violation.targets[violation.targets.length - 1])}>
+                      {`${LAYOUT_CHECKS[violation.type]}: ${violation.message}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+          <section className="view-card">
+            <div className="section-head">
+              <h2>Power Budget</h2>
+              <span className="section-meta">{`${(powerBudget.total / 1000).toFixed(1)} kW`}</span>
+            </div>
+            {powerBudget.circuits.length > 0 ? (
+              <ul className="item-list">
+                {powerBudget.circuits.map(({ circuit, feeds, load, capacity, percent, over }) => (
+                  <li key={circuit.id} className={over ? "rack-message" : undefined}>
+                    <span role="button" tabIndex={0} className="list-label" onClick={() => setSelectedTarget({ kind: "circuit", id: circuit.id })}>
+                      {`${circuit.label || "Circuit"} (feed ${feeds.join("+") || "-"}): ${Math.round(load)} / ${Math.round(capacity)} W, ${percent.toFixed(0)}%`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            ) : (
+              <p className="section-note">Add circuits to see how load spreads across feeds.</p>
+            )}
+            {powerBudget.warnings.length === 0 ? (
+              <p className="section-note">{`Every circuit is under ${CIRCUIT_LOAD_LIMIT}% and every powered device survives the loss of one feed.`}</p>
+            ) : (
+              <ul className="item-list">
+                {powerBudget.warnings.map((warning) => (
+                  <li key={warning.id} className="rack-message">
+                    <span role="button" tabIndex={0} className="list-label" onClick={() => setSelectedTarget(warning.target)}>{warning.message}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+          </section>
+          {traceStart ? (
+            <section className="view-card">
+              <div className="section-head">
+                <h2>Circuit Trace</h2>
+                <button className="mini-button" type="button" onClick={() => setTraceStart(null)}>Clear</button>
+              </div>
+              {circuit.length === 0 ? (
+                <p className="section-note">The traced port no longer exists.</p>
+              ) : (
+                <>
+                  <p className="section-note">{`${tracedIds.size} cable(s), highlighted on the floor map and in 3D.`}</p>
+                  <ol className="item-list circuit-list">
+                    {circuit.map((step, index) =>
+                      step.connection ? (
+                        <li key={`cable-${step.connection.id}`} className="circuit-cable">
+                          <span className="list-label" onClick={() => setSelectedTarget({ kind: "connection", id: step.connection.id })}>{`via ${step.connection.label || "cable"}`}</span>
+                        </li>
+                      ) : (
+                        <li key={`endpoint-${index}`}>
+                          <span className="list-label" onClick={() => setSelectedTarget({ kind: step.endpoint.kind, id: step.endpoint.id })}>
+                            {getEndpointLabel(step.endpoint.kind, step.endpoint.id, roomModel, step.endpoint.port, step.endpoint.outlet)}
+                          </span>
+                        </li>
+                      )
+                    )}
+                  </ol>
+                </>
+              )}
+            </section>
+          ) : null}
+          {elevationCabinet ? (
+            <RackElevation
+              cabinet={elevationCabinet}
+              equipment={equipment}
+              catalog={catalog}
+              colors={HARDWARE_COLORS}
+              selectedId={selectedTarget.id}
+              draggedId={draggedEquipmentId}
+              message={rackMessage}
+              onSelect={(id) => setSelectedTarget({ kind: "equipment", id })}
+              onDragStart={setDraggedEquipmentId}
+              onDragEnd={() => setDraggedEquipmentId(null)}
+              onDrop={(id, rackStart, mountFace) => placeInRack(id, elevationCabinet.id, rackStart, mountFace)}
+              onDropChannel={(id, sideChannel) => placeInChannel(id, elevationCabinet.id, sideChannel)}
+            />
+          ) : null}
         </aside>
       </div>
     </div>
@@ -1259,19 +3425,19 @@ function List({ items, labelForItem, onRemove, selected, kind, onSelect }) {
   return (
     <ul className="item-list">
       {items.map((item, index) => (
-        <li key={index} className={selected?.kind === kind && selected?.index === index ? "selected-list-item" : ""}>
+        <li key={item.id} className={selected?.kind === kind && selected?.id === item.id ? "selected-list-item" : ""}>
           <span
             role={onSelect ? "button" : undefined}
             tabIndex={onSelect ? 0 : undefined}
             className="list-label"
-            onClick={() => onSelect?.({ kind, index })}
+            onClick={() => onSelect?.({ kind, id: item.id })}
             onKeyDown={(event) => {
-              if ((event.key === "Enter" || event.key === " ") && onSelect) onSelect({ kind, index });
+              if ((event.key === "Enter" || event.key === " ") && onSelect) onSelect({ kind, id: item.id });
             }}
           >
             {labelForItem(item, index)}
           </span>
-          <button type="button" onClick={() => onRemove(index)}>Remove</button>
+          <button type="button" onClick={() => onRemove(item.id)}>Remove</button>
         </li>
       ))}
     </ul>
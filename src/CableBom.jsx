@@ -0,0 +1,73 @@
+import { useState } from "react";
+import { getBillOfMaterials, parseStockLengths, serializeBomCsv } from "./cabling.js";
+
+export default function CableBom({ lengths, cabling, fileName, onChangeCabling }) {
+  const [stockText, setStockText] = useState(null);
+  const groups = getBillOfMaterials(lengths);
+  const unrouted = lengths.filter((entry) => !entry.stock).length;
+  const totalMetres = groups.reduce((sum, group) => sum + group.metres * group.quantity, 0);
+
+  function exportCsv() {
+    const url = URL.createObjectURL(new Blob([serializeBomCsv(groups)], { type: "text/csv" }));
+    const link = window.document.createElement("a");
+    link.href = url;
+    link.download = `${fileName}-cable-bom.csv`;
+    link.click();
+    URL.revokeObjectURL(url);
+  }
+
+  function commitStockLengths() {
+    if (stockText === null) return;
+    const stockLengths = parseStockLengths(stockText);
+    if (stockLengths.length > 0) onChangeCabling("Edit stock lengths", { ...cabling, stockLengths });
+    setStockText(null);
+  }
+
+  return (
+    <section className="card">
+      <div className="section-head">
+        <h2>Cable Bill of Materials</h2>
+        <span className="section-meta">{`${lengths.length - unrouted} cables, ${totalMetres.toFixed(1)} m`}</span>
+      </div>
+      <div className="field-grid">
+        <label>
+          Slack Per Cable (mm)
+          <input type="number" min="0" step="100" value={cabling.slack} onChange={(event) => onChangeCabling("Edit cable slack", { ...cabling, slack: Math.max(0, Number(event.target.value)) }, "cabling:slack")} />
+        </label>
+        <label>
+          Stock Lengths (m)
+          <input value={stockText ?? cabling.stockLengths.join(", ")} onChange={(event) => setStockText(event.target.value)} onBlur={commitStockLengths} />
+        </label>
+      </div>
+      <p className="section-note">Lengths follow each cable's route in every room, plus slack, rounded up to the next stock length.</p>
+      {groups.length === 0 ? (
+        <p className="section-note">No routed cables yet.</p>
+      ) : (
+        <table className="bom-table">
+          <thead>
+            <tr>
+              <th>Media</th>
+              <th>Colour</th>
+              <th>Length</th>
+              <th>Qty</th>
+            </tr>
+          </thead>
+          <tbody>
+            {groups.map((group) => (
+              <tr key={`${group.media}-${group.color}-${group.metres}`} title={group.labels.join(", ")}>
+                <td>{group.media}</td>
+                <td>{group.color}</td>
+                <td>{`${group.metres} m${group.custom ? " (cut)" : ""}`}</td>
+                <td>{group.quantity}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      {unrouted > 0 ? <p className="section-note rack-message">{`${unrouted} cable(s) have a missing endpoint and are not counted.`}</p> : null}
+      <div className="button-row">
+        <button className="action-button" type="button" onClick={exportCsv} disabled={groups.length === 0}>Export CSV</button>
+      </div>
+    </section>
+  );
+}
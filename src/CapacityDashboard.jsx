@@ -0,0 +1,79 @@
+import { useState } from "react";
+import { CAPACITY_METRICS } from "./capacity.js";
+import { getFillColor } from "./cabling.js";
+import { CIRCUIT_LOAD_LIMIT } from "./power.js";
+
+function formatValue(value, unit) {
+  if (unit === "W") return `${(value / 1000).toFixed(1)} kW`;
+  if (unit === "m2") return `${value.toFixed(1)} m2`;
+  return `${Math.round(value)} ${unit}`;
+}
+
+function getPercent({ used, total }) {
+  return total > 0 ? (used / total) * 100 : null;
+}
+
+function Meter({ figure }) {
+  const percent = getPercent(figure);
+  return (
+    <div className="meter">
+      {percent === null ? null : <div className="meter-fill" style={{ width: `${Math.min(percent, 100)}%`, background: getFillColor(percent, CIRCUIT_LOAD_LIMIT) }} />}
+    </div>
+  );
+}
+
+function describeFigure(figure, unit) {
+  const percent = getPercent(figure);
+  const amounts = `${formatValue(figure.used, unit)} of ${figure.total > 0 ? formatValue(figure.total, unit) : "none set"}`;
+  return percent === null ? amounts : `${amounts} (${percent.toFixed(0)}%)`;
+}
+
+export default function CapacityDashboard({ capacity, getName, selectedId, onSelectCabinet }) {
+  const [metric, setMetric] = useState("space");
+  const { unit, label } = CAPACITY_METRICS[metric];
+
+  return (
+    <section className="view-card capacity-view">
+      <div className="view-head">
+        <h2>Capacity</h2>
+        <p>Used against available for this room. Choose a figure to compare cabinets.</p>
+      </div>
+      <div className="capacity-grid">
+        {Object.entries(CAPACITY_METRICS).map(([key, entry]) => (
+          <button key={key} type="button" className={`capacity-tile${key === metric ? " active-tile" : ""}`} onClick={() => setMetric(key)}>
+            <span className="status-label">{entry.label}</span>
+            <strong>{describeFigure(capacity.room[key], entry.unit)}</strong>
+            <Meter figure={capacity.room[key]} />
+          </button>
+        ))}
+      </div>
+      <p className="section-note">Power is derated to the circuit load limit and counts the smaller of the A and B feeds. Cooling compares heat from every device with the capacity of the cooling units. Floor loading is weight per square metre of footprint.</p>
+      <div className="section-head">
+        <h2>{`${label} by Cabinet`}</h2>
+        <span className="section-meta">{`${capacity.cabinets.length} cabinet(s)`}</span>
+      </div>
+      {capacity.cabinets.length === 0 ? (
+        <p className="section-note">No cabinets in this room yet.</p>
+      ) : (
+        <table className="bom-table capacity-table">
+          <thead>
+            <tr>
+              <th>Cabinet</th>
+              <th>Used</th>
+              <th>Load</th>
+            </tr>
+          </thead>
+          <tbody>
+            {capacity.cabinets.map((entry) => (
+              <tr key={entry.cabinet.id} className={entry.cabinet.id === selectedId ? "active-row" : undefined} onClick={() => onSelectCabinet(entry.cabinet.id)}>
+                <td>{getName(entry.cabinet)}</td>
+                <td>{describeFigure(entry[metric], unit)}</td>
+                <td><Meter figure={entry[metric]} /></td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,174 @@
+import { useRef, useState } from "react";
+import {
+  EQUIPMENT_CATEGORIES,
+  findModel,
+  formatPorts,
+  getModelLabel,
+  mergeCatalog,
+  parseCatalog,
+  parsePorts,
+  serializeCatalogCsv,
+  serializeCatalogJson,
+  validateCatalogEntry,
+} from "./catalog.js";
+import { createId, findById } from "./modeling.js";
+
+const SPEC_FIELDS = [
+  ["rackUnits", "Rack Units", "1"],
+  ["width", "Width (mm)", "10"],
+  ["depth", "Depth (mm)", "10"],
+  ["height", "Height (mm)", "1"],
+  ["weight", "Weight (kg)", "0.5"],
+  ["powerWatts", "Nameplate Power (W)", "10"],
+  ["coolingWatts", "Cooling Capacity (W)", "500"],
+  ["outlets", "Outlets", "1"],
+];
+
+function download(fileName, text, type) {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = window.document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+export default function EquipmentCatalog({ catalog, equipment, colors, onCommit }) {
+  const [selectedId, setSelectedId] = useState(catalog[0]?.id || null);
+  const [portsText, setPortsText] = useState(null);
+  const [report, setReport] = useState(null);
+  const importRef = useRef(null);
+  // Undo or an import can remove the model being edited.
+  const selected = findById(catalog, selectedId) || catalog[0];
+  const usage = new Map();
+  equipment.forEach((item) => {
+    const model = findModel(catalog, item);
+    if (model) usage.set(model.id, (usage.get(model.id) || 0) + 1);
+  });
+  const inUse = selected ? usage.get(selected.id) || 0 : 0;
+  const issue = selected ? validateCatalogEntry(selected) : null;
+
+  function select(id) {
+    setSelectedId(id);
+    setPortsText(null);
+  }
+
+  function updateField(field, value) {
+    const id = selected.id;
+    onCommit(`Edit ${getModelLabel(selected)} ${field}`, (current) => current.map((entry) => (entry.id === id ? { ...entry, [field]: value } : entry)), `catalog:${id}:${field}`);
+  }
+
+  function addEntry(template) {
+    const entry = template
+      ? { ...template, id: createId("model"), model: `${template.model} copy`, ports: template.ports.map((port) => ({ ...port })) }
+      : { id: createId("model"), manufacturer: "", model: "New Model", category: "server", rackUnits: 1, width: 440, depth: 600, height: 44.45, weight: 10, powerWatts: 300, coolingWatts: 0, outlets: 0, ports: [], frontImage: "", colorKey: "blue" };
+    onCommit(`Add ${getModelLabel(entry)}`, (current) => [...current, entry]);
+    select(entry.id);
+  }
+
+  function removeEntry() {
+    if (!selected || inUse > 0 || catalog.length === 1) return;
+    const id = selected.id;
+    onCommit(`Remove ${getModelLabel(selected)}`, (current) => current.filter((entry) => entry.id !== id));
+    select(catalog.find((entry) => entry.id !== id)?.id || null);
+  }
+
+  function importCatalog(event) {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        const { entries, rejected } = parseCatalog(text, file.name);
+        // Models already placed in the project must keep their category.
+        const locked = entries.filter((entry) => usage.get(entry.id) && findById(catalog, entry.id)?.category !== entry.category);
+        const accepted = entries.filter((entry) => !locked.includes(entry));
+        const skipped = locked.map((entry) => ({ collection: "catalog", index: entries.indexOf(entry), label: entry.model, reason: "category differs from a model in use" }));
+        if (accepted.length > 0) onCommit(`Import ${file.name}`, (current) => mergeCatalog(current, accepted));
+        setReport({ fileName: file.name, imported: accepted.length, rejected: [...rejected, ...skipped], error: null });
+      } catch (error) {
+        setReport({ fileName: file.name, imported: 0, rejected: [], error: error.message });
+      }
+    });
+  }
+
+  return (
+    <section className="card">
+      <div className="section-head">
+        <h2>Equipment Catalog</h2>
+        <span className="section-meta">{`${catalog.length} models`}</span>
+      </div>
+      <div className="field-grid single-column">
+        <label>
+          Model
+          <select value={selected?.id || ""} onChange={(event) => select(event.target.value)}>
+            {catalog.map((entry) => <option key={entry.id} value={entry.id}>{`${getModelLabel(entry)}${usage.get(entry.id) ? ` (${usage.get(entry.id)} placed)` : ""}`}</option>)}
+          </select>
+        </label>
+      </div>
+      <div className="button-row">
+        <button className="action-button" type="button" onClick={() => addEntry(null)}>New Model</button>
+        <button className="action-button" type="button" onClick={() => addEntry(selected)} disabled={!selected}>Duplicate</button>
+        <button className="action-button" type="button" onClick={removeEntry} disabled={!selected || inUse > 0 || catalog.length === 1}>Remove</button>
+      </div>
+      {selected ? (
+        <div className="field-grid">
+          <label>Manufacturer<input value={selected.manufacturer} onChange={(event) => updateField("manufacturer", event.target.value)} /></label>
+          <label>Model Name<input value={selected.model} onChange={(event) => updateField("model", event.target.value)} /></label>
+          <label>
+            Category
+            <select value={selected.category} onChange={(event) => updateField("category", event.target.value)} disabled={inUse > 0} title={inUse > 0 ? "Placed models keep their category" : undefined}>
+              {Object.entries(EQUIPMENT_CATEGORIES).map(([key, category]) => <option key={key} value={key}>{category.label}</option>)}
+            </select>
+          </label>
+          <label>
+            Color
+            <select value={selected.colorKey} onChange={(event) => updateField("colorKey", event.target.value)}>
+              {Object.entries(colors).map(([key, color]) => <option key={key} value={key}>{color.label}</option>)}
+            </select>
+          </label>
+          {SPEC_FIELDS.map(([field, label, step]) => (
+            <label key={field}>{label}<input type="number" min="0" step={step} value={selected[field]} onChange={(event) => updateField(field, Number(event.target.value))} /></label>
+          ))}
+          <label className="wide-field">
+            Ports (name:type=pair; ...)
+            <input
+              value={portsText ?? formatPorts(selected.ports)}
+              onChange={(event) => setPortsText(event.target.value)}
+              onBlur={() => {
+                if (portsText === null) return;
+                updateField("ports", parsePorts(portsText));
+                setPortsText(null);
+              }}
+            />
+          </label>
+          <label className="wide-field">Front Image URL<input value={selected.frontImage} onChange={(event) => updateField("frontImage", event.target.value.trim())} /></label>
+        </div>
+      ) : null}
+      {issue ? <p className="section-note rack-message">{`This model will not export cleanly: ${issue}.`}</p> : null}
+      {inUse > 0 ? <p className="section-note">{`Placed devices keep the specification they were added with; change their Asset Type to pick up edits.`}</p> : null}
+      <div className="button-row">
+        <button className="action-button" type="button" onClick={() => download("equipment-catalog.json", serializeCatalogJson(catalog), "application/json")}>Export JSON</button>
+        <button className="action-button" type="button" onClick={() => download("equipment-catalog.csv", serializeCatalogCsv(catalog), "text/csv")}>Export CSV</button>
+        <button className="action-button" type="button" onClick={() => importRef.current?.click()}>Import</button>
+      </div>
+      <input ref={importRef} type="file" accept=".json,.csv,application/json,text/csv" hidden onChange={importCatalog} />
+      {report ? (
+        <div className="import-report">
+          {report.error ? (
+            <strong>{`Import of ${report.fileName} failed: ${report.error}`}</strong>
+          ) : (
+            <>
+              <strong>{`Imported ${report.imported} model(s) from ${report.fileName}`}</strong>
+              {report.rejected.length > 0 ? (
+                <ul className="item-list">
+                  {report.rejected.map((entry) => <li key={`${entry.index}-${entry.reason}`}>{`#${entry.index + 1} (${entry.label}): ${entry.reason}`}</li>)}
+                </ul>
+              ) : null}
+            </>
+          )}
+        </div>
+      ) : null}
+    </section>
+  );
+}
@@ -0,0 +1,160 @@
+import { useState } from "react";
+import { findModel, getCategory, getEquipmentName } from "./catalog.js";
+import { findById } from "./modeling.js";
+import {
+  SIDE_CHANNELS,
+  getChannelDevices,
+  getChannelIssue,
+  getDeviceRackUnits,
+  getRackCapacity,
+  getRackOccupancy,
+  getRackPlacementIssue,
+} from "./rack.js";
+
+const ROW_HEIGHT = 16;
+
+export default function RackElevation({ cabinet, equipment, catalog, colors, selectedId, draggedId, message, onSelect, onDragStart, onDragEnd, onDrop, onDropChannel }) {
+  const [face, setFace] = useState("front");
+  const [hoverU, setHoverU] = useState(null);
+  const [hoverChannel, setHoverChannel] = useState(null);
+  const channelDevices = getChannelDevices(equipment, cabinet.id);
+  const capacity = getRackCapacity(cabinet);
+  const occupancy = getRackOccupancy(equipment, cabinet.id);
+  const usedUnits = occupancy.filter((slot) => slot.face === face).reduce((sum, slot) => sum + slot.end - slot.start + 1, 0);
+  const dragged = findById(equipment, draggedId);
+  const draggedUnits = dragged && getCategory(dragged.type).mountable ? getDeviceRackUnits(dragged) : 0;
+  // Dropping in a view mounts the device on that view's rail.
+  const previewIssue = dragged && hoverU !== null
+    ? (draggedUnits === 0 ? `${dragged.label || "This device"} cannot be rack mounted` : getRackPlacementIssue(equipment, cabinet, { ...dragged, mountFace: face }, hoverU))
+    : dragged && hoverChannel ? getChannelIssue(equipment, cabinet, dragged, hoverChannel) : null;
+  // U1 sits at the bottom of the cabinet, so rows are laid out top-down from the highest U.
+  const rowFor = (unit) => capacity - unit + 1;
+
+  function handleDrop(event, unit) {
+    event.preventDefault();
+    setHoverU(null);
+    if (dragged) onDrop(dragged.id, unit, face);
+  }
+
+  function handleChannelDrop(event, sideChannel) {
+    event.preventDefault();
+    setHoverChannel(null);
+    if (dragged) onDropChannel(dragged.id, sideChannel);
+  }
+
+  function startDrag(event, id) {
+    event.dataTransfer.setData("text/plain", id);
+    event.dataTransfer.effectAllowed = "move";
+    onDragStart(id);
+  }
+
+  function endDrag() {
+    setHoverU(null);
+    setHoverChannel(null);
+    onDragEnd();
+  }
+
+  // The side channels sit by the rear posts, so the rear view shows them mirrored.
+  const channelColumn = (sideChannel) => ((sideChannel === "left") === (face === "front") ? 2 : 4);
+
+  return (
+    <section className="view-card rack-card">
+      <div className="section-head">
+        <h2>Rack Elevation</h2>
+        <span className="section-meta">{`${usedUnits} / ${capacity}U used on ${face}`}</span>
+      </div>
+      <div className="viewport-toolbar">
+        <button type="button" className={`toolbar-pill${face === "front" ? " active-pill" : ""}`} onClick={() => setFace("front")}>Front</button>
+        <button type="button" className={`toolbar-pill${face === "rear" ? " active-pill" : ""}`} onClick={() => setFace("rear")}>Rear</button>
+      </div>
+      <p className="section-note">{`${cabinet.label || "Cabinet"} - ${face} view. Drag devices to a new U, or drop one from the asset browser to mount it.`}</p>
+      <div
+        className={`rack-frame${dragged ? " rack-dragging" : ""}`}
+        style={{ gridTemplateRows: `repeat(${capacity}, ${ROW_HEIGHT}px)` }}
+        onDragLeave={(event) => {
+          if (event.currentTarget.contains(event.relatedTarget)) return;
+          setHoverU(null);
+          setHoverChannel(null);
+        }}
+      >
+        {Array.from({ length: capacity }, (_, index) => capacity - index).map((unit) => {
+          const previewed = dragged && hoverU !== null && unit >= hoverU && unit < hoverU + Math.max(draggedUnits, 1);
+          return (
+            <div
+              key={`slot-${unit}`}
+              className={`rack-slot${previewed ? (previewIssue ? " rack-slot-blocked" : " rack-slot-target") : ""}`}
+              style={{ gridRow: rowFor(unit) }}
+              onDragOver={(event) => {
+                event.preventDefault();
+                if (hoverU !== unit) setHoverU(unit);
+                if (hoverChannel) setHoverChannel(null);
+              }}
+              onDrop={(event) => handleDrop(event, unit)}
+            >
+              <span className="rack-unit">{unit}</span>
+            </div>
+          );
+        })}
+        {occupancy.map((slot) => {
+          const item = findById(equipment, slot.id);
+          const palette = colors[item.colorKey] || colors.red;
+          const frontImage = slot.face === face ? findModel(catalog, item)?.frontImage : "";
+          // Devices on the opposite rail are shown faded behind this face's devices.
+          const behind = slot.face !== face;
+          return (
+            <button
+              key={slot.id}
+              type="button"
+              draggable={!behind}
+              title={`${slot.face} rail, ${slot.depth} mm deep`}
+              className={`rack-device${slot.id === selectedId ? " rack-device-selected" : ""}${behind ? " rack-device-behind" : ""}`}
+              style={{
+                gridRow: `${rowFor(slot.end)} / span ${slot.end - slot.start + 1}`,
+                background: frontImage ? `${palette.color2d} url("${frontImage}") center / 100% 100% no-repeat` : palette.color2d,
+              }}
+              onClick={() => onSelect(slot.id)}
+              onDragStart={(event) => startDrag(event, slot.id)}
+              onDragEnd={endDrag}
+            >
+              {`${getEquipmentName(catalog, item)} (${slot.start === slot.end ? `U${slot.start}` : `U${slot.start}-${slot.end}`}${behind ? `, ${slot.face}` : ""})`}
+            </button>
+          );
+        })}
+        {SIDE_CHANNELS.map((sideChannel) => {
+          const item = channelDevices.find((device) => device.sideChannel === sideChannel);
+          const hovered = dragged && hoverChannel === sideChannel;
+          return (
+            <div
+              key={`channel-${sideChannel}`}
+              className={`rack-channel${hovered ? (previewIssue ? " rack-slot-blocked" : " rack-slot-target") : ""}`}
+              style={{ gridColumn: channelColumn(sideChannel), gridRow: `1 / span ${capacity}` }}
+              title={`${sideChannel} rear channel (0U)`}
+              onDragOver={(event) => {
+                event.preventDefault();
+                if (hoverChannel !== sideChannel) setHoverChannel(sideChannel);
+                if (hoverU !== null) setHoverU(null);
+              }}
+              onDrop={(event) => handleChannelDrop(event, sideChannel)}
+            >
+              {item ? (
+                <button
+                  type="button"
+                  draggable
+                  className={`rack-strip${item.id === selectedId ? " rack-device-selected" : ""}${face === "front" ? " rack-device-behind" : ""}`}
+                  style={{ background: (colors[item.colorKey] || colors.red).color2d }}
+                  title={`${getEquipmentName(catalog, item)}, ${item.outletCount} outlets`}
+                  onClick={() => onSelect(item.id)}
+                  onDragStart={(event) => startDrag(event, item.id)}
+                  onDragEnd={endDrag}
+                >
+                  <span>{getEquipmentName(catalog, item)}</span>
+                </button>
+              ) : null}
+            </div>
+          );
+        })}
+      </div>
+      {previewIssue || message ? <p className="section-note rack-message">{previewIssue || message}</p> : null}
+    </section>
+  );
+}
@@ -5,15 +5,29 @@ import { BufferGeometry, CanvasTexture, DoubleSide, LineBasicMaterial, LineLoop,
 import {
   RACK_BASE_CLEARANCE,
   RU_HEIGHT,
-  getConnectionAnchor,
+  degToRad,
+  findById,
+  getDoorLeaves,
   getOpeningBounds,
+  getPolygonBounds,
   getRoomFootprint,
   getTraySegments,
   getWallSegments,
-  normalizeConnection,
   pointAlongWall,
 } from "./modeling.js";
+import { getFillColor } from "./cabling.js";
+import { getTileCenter, getTileSize, getUnderfloorProfile, parseTileAddress } from "./plenum.js";
+import { getMountOffset, isZeroU } from "./rack.js";
+import { buildTrayNetwork, getConnectionRoute } from "./routing.js";
+import { getTemperatureColor } from "./thermal.js";
 
+const TRACE_COLOR = "#0f9d8a";
+const CONFLICT_COLOR = "#d24444";
+const DOOR_LEAF_THICKNESS = 40;
+const CONTAINMENT_PANEL = 20;
+const CONTAINMENT_COLORS = { cold: "#2a7bc9", hot: "#d24444" };
+const TILE_COLORS = { perforated: "#2a7bc9", grommet: "#6f6146", cutout: "#3a3328" };
+const UNDERFLOOR_COLORS = { pipe: "#4a88b2", basket: "#8f6a1e", pedestal: "#6f6146", whip: "#d19a1f" };
 const HARDWARE_COLORS = {
   red: "#c73a3a",
   blue: "#2e68b7",
@@ -32,18 +46,6 @@ function floorShape(points) {
   return shape;
 }
 
-function getBounds(points) {
-  return points.reduce(
-    (acc, point) => ({
-      minX: Math.min(acc.minX, point.x),
-      maxX: Math.max(acc.maxX, point.x),
-      minY: Math.min(acc.minY, point.y),
-      maxY: Math.max(acc.maxY, point.y),
-    }),
-    { minX: Number.POSITIVE_INFINITY, maxX: Number.NEGATIVE_INFINITY, minY: Number.POSITIVE_INFINITY, maxY: Number.NEGATIVE_INFINITY }
-  );
-}
-
 function createTileTexture(tileSize, width, depth) {
   const size = 128;
   const canvas = document.createElement("canvas");
@@ -61,7 +63,7 @@ function createTileTexture(tileSize, width, depth) {
   return texture;
 }
 
-function RaisedFloor({ shape, footprint, room, tileTexture }) {
+function RaisedFloor({ shape, footprint, room, tileTexture, showTiles }) {
   const points = [...footprint, footprint[0]];
   return (
     <>
@@ -94,14 +96,41 @@ function RaisedFloor({ shape, footprint, room, tileTexture }) {
         })
       ) : null}
 
-      <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, room.floorElevation, 0]}>
-        <shapeGeometry args={[shape]} />
-        <meshStandardMaterial color="#e7d8ba" map={tileTexture} side={DoubleSide} transparent opacity={0.42} />
-      </mesh>
+      {showTiles ? (
+        <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, room.floorElevation, 0]}>
+          <shapeGeometry args={[shape]} />
+          <meshStandardMaterial color="#e7d8ba" map={tileTexture} side={DoubleSide} transparent opacity={0.42} />
+        </mesh>
+      ) : null}
     </>
   );
 }
 
+// One texel per cell of the thermal grid; cells outside the room stay clear.
+function ThermalOverlay({ field, centerOffset, floorElevation }) {
+  const texture = useMemo(() => {
+    const canvas = document.createElement("canvas");
+    canvas.width = field.cols;
+    canvas.height = field.rows;
+    const ctx = canvas.getContext("2d");
+    const image = ctx.createImageData(field.cols, field.rows);
+    field.cells.forEach((temperature, index) => {
+      if (temperature !== null) image.data.set([...getTemperatureColor(temperature), 255], index * 4);
+    });
+    ctx.putImageData(image, 0, 0);
+    return new CanvasTexture(canvas);
+  }, [field]);
+  const width = field.cols * field.cellSize;
+  const depth = field.rows * field.cellSize;
+
+  return (
+    <mesh rotation={[-Math.PI / 2, 0, 0]} position={[field.minX + width / 2 - centerOffset.x, floorElevation + 8, field.minY + depth / 2 - centerOffset.y]}>
+      <planeGeometry args={[width, depth]} />
+      <meshBasicMaterial map={texture} transparent opacity={0.6} depthWrite={false} side={DoubleSide} />
+    </mesh>
+  );
+}
+
 function Polyline3D({ points, color, loop = false }) {
   const object = useMemo(() => {
     const geometry = new BufferGeometry().setFromPoints(
@@ -135,6 +164,23 @@ function OpeningMarker({ wall, opening, room, selected, centerOffset }) {
   const length = Math.hypot(end.x - start.x, end.y - start.y);
   const verticalCenter = room.floorElevation + bounds.sill + (bounds.top - bounds.sill) / 2;
 
+  // Doors are shown by their leaves, swung fully open or slid aside.
+  if (opening.type === "door") {
+    return getDoorLeaves(opening, wall, room).map((leaf, index) => {
+      const [from, to] = leaf.sliding ? leaf.path : [leaf.hinge, leaf.open];
+      return (
+        <mesh
+          key={index}
+          position={[(from.x + to.x) / 2 - centerOffset.x, verticalCenter, (from.y + to.y) / 2 - centerOffset.y]}
+          rotation={[0, -Math.atan2(to.y - from.y, to.x - from.x), 0]}
+        >
+          <boxGeometry args={[Math.max(Math.hypot(to.x - from.x, to.y - from.y), 40), Math.max(bounds.top - bounds.sill, 40), DOOR_LEAF_THICKNESS]} />
+          <meshStandardMaterial color={selected ? "#f08b00" : "#b55d2f"} />
+        </mesh>
+      );
+    });
+  }
+
   return (
     <group position={[center.x - centerOffset.x, verticalCenter, center.y - centerOffset.y]} rotation={[0, -wall.angle, 0]}>
       <mesh>
@@ -156,9 +202,8 @@ function WallMeshes({ room, openings, selectedTarget, centerOffset }) {
     <>
       {walls.map((wall) => {
         const wallOpenings = openings
-          .map((opening, index) => ({ opening, index }))
-          .filter(({ opening }) => opening.wall === wall.index)
-          .map(({ opening, index }) => ({ opening, index, bounds: getOpeningBounds(opening, wall, room) }))
+          .filter((opening) => opening.wall === wall.index)
+          .map((opening) => ({ opening, bounds: getOpeningBounds(opening, wall, room) }))
           .sort((a, b) => a.bounds.start - b.bounds.start);
 
         const sections = [];
@@ -189,13 +234,13 @@ function WallMeshes({ room, openings, selectedTarget, centerOffset }) {
                   </mesh>
                 );
               })}
-            {wallOpenings.map(({ opening, index }) => (
+            {wallOpenings.map(({ opening }) => (
               <OpeningMarker
-                key={`opening-marker-${index}`}
+                key={`opening-marker-${opening.id}`}
                 wall={wall}
                 opening={opening}
                 room={room}
-                selected={selectedTarget?.kind === "opening" && selectedTarget.index === index}
+                selected={selectedTarget?.kind === "opening" && selectedTarget.id === opening.id}
                 centerOffset={centerOffset}
               />
             ))}
@@ -206,10 +251,10 @@ function WallMeshes({ room, openings, selectedTarget, centerOffset }) {
   );
 }
 
-function EquipmentMeshes({ equipment, selectedTarget, centerOffset, floorElevation }) {
-  return equipment.map((item, index) => {
-    const selected = selectedTarget?.kind === "equipment" && selectedTarget.index === index;
-    const color = HARDWARE_COLORS[item.colorKey] || HARDWARE_COLORS.red;
+function EquipmentMeshes({ equipment, conflictIds, selectedTarget, centerOffset, floorElevation }) {
+  return equipment.map((item) => {
+    const selected = selectedTarget?.kind === "equipment" && selectedTarget.id === item.id;
+    const color = conflictIds.has(item.id) ? CONFLICT_COLOR : HARDWARE_COLORS[item.colorKey] || HARDWARE_COLORS.red;
     if (item.type === "cabinet") {
       const wallThickness = 18;
       const innerWidth = Math.max(item.width - wallThickness * 2, 50);
@@ -226,7 +271,7 @@ function EquipmentMeshes({ equipment, selectedTarget, centerOffset, floorElevati
       const rearRemoved = item.rearFace === "removed";
       return (
         <group
-          key={`equipment-${index}`}
+          key={`equipment-${item.id}`}
           position={[item.x - centerOffset.x, floorElevation + item.height / 2, item.y - centerOffset.y]}
           rotation={[0, item.rotationDeg * (Math.PI / 180), 0]}
         >
@@ -263,41 +308,46 @@ function EquipmentMeshes({ equipment, selectedTarget, centerOffset, floorElevati
       );
     }
 
-    const mountedCabinet = item.mountedIn !== null && item.mountedIn !== undefined ? equipment[item.mountedIn] : null;
+    const mountedCabinet = findById(equipment, item.mountedIn);
     const mountedX = mountedCabinet ? mountedCabinet.x : item.x;
     const mountedZ = mountedCabinet ? mountedCabinet.y : item.y;
     const mountedY = mountedCabinet
       ? floorElevation + ((item.rackStart || 1) - 1) * RU_HEIGHT + item.height / 2 + RACK_BASE_CLEARANCE
       : floorElevation + item.height / 2;
-    const drawWidth = mountedCabinet ? Math.min(item.width, mountedCabinet.width - 120) : item.width;
-    const drawDepth = mountedCabinet ? Math.min(item.depth, mountedCabinet.depth - 180) : item.depth;
+    const drawWidth = mountedCabinet && !isZeroU(item) ? Math.min(item.width, mountedCabinet.width - 120) : item.width;
+    const drawDepth = mountedCabinet && !isZeroU(item) ? Math.min(item.depth, mountedCabinet.depth - 180) : item.depth;
+    // Cabinets put their front panel on local -Z, so rear-rail devices sit at +Z
+    // and the right-hand side seen from the front is -X.
+    const mountOffset = mountedCabinet ? getMountOffset(item, mountedCabinet) : { lateral: 0, depth: 0 };
     return (
       <group
-        key={`equipment-${index}`}
+        key={`equipment-${item.id}`}
         position={[mountedX - centerOffset.x, mountedY, mountedZ - centerOffset.y]}
         rotation={[0, (mountedCabinet ? mountedCabinet.rotationDeg : item.rotationDeg) * (Math.PI / 180), 0]}
       >
-        <mesh>
-          <boxGeometry args={[drawWidth, item.height, drawDepth]} />
-          <meshStandardMaterial color={selected ? "#f08b00" : color} />
-        </mesh>
-        {selected ? <SelectionOutline width={drawWidth + 80} depth={drawDepth + 80} y={item.height / 2 + 8} /> : null}
+        <group position={[-mountOffset.lateral, 0, mountOffset.depth]}>
+          <mesh>
+            <boxGeometry args={[drawWidth, item.height, drawDepth]} />
+            <meshStandardMaterial color={selected ? "#f08b00" : color} />
+          </mesh>
+          {selected ? <SelectionOutline width={drawWidth + 80} depth={drawDepth + 80} y={item.height / 2 + 8} /> : null}
+        </group>
       </group>
     );
   });
 }
 
-function TrayMeshes({ trays, selectedTarget, centerOffset, floorElevation }) {
-  return trays.flatMap((tray, trayIndex) =>
+function TrayMeshes({ trays, trayFill, fillThreshold, conflictIds, selectedTarget, centerOffset, floorElevation }) {
+  return trays.flatMap((tray) =>
     getTraySegments(tray).map((segment, segmentIndex) => {
       const dx = segment.end.x - segment.start.x;
       const dy = segment.end.y - segment.start.y;
       const length = Math.hypot(dx, dy);
       if (length <= 0) return null;
-      const selected = selectedTarget?.kind === "tray" && selectedTarget.index === trayIndex;
+      const selected = selectedTarget?.kind === "tray" && selectedTarget.id === tray.id;
       return (
         <group
-          key={`tray-${trayIndex}-${segmentIndex}`}
+          key={`tray-${tray.id}-${segmentIndex}`}
           position={[
             (segment.start.x + segment.end.x) / 2 - centerOffset.x,
             floorElevation + tray.z,
@@ -307,7 +357,9 @@ function TrayMeshes({ trays, selectedTarget, centerOffset, floorElevation }) {
         >
           <mesh>
             <boxGeometry args={[length, tray.depth, tray.width]} />
-            <meshStandardMaterial color={selected ? "#f08b00" : "#c88f22"} />
+            <meshStandardMaterial
+              color={selected ? "#f08b00" : conflictIds.has(tray.id) ? CONFLICT_COLOR : getFillColor(trayFill.get(`${tray.id}:${segmentIndex}`)?.percent || 0, fillThreshold)}
+            />
           </mesh>
         </group>
       );
@@ -315,34 +367,190 @@ function TrayMeshes({ trays, selectedTarget, centerOffset, floorElevation }) {
   );
 }
 
-function ConnectionLines({ connections, equipment, trays, selectedTarget, centerOffset, floorElevation }) {
-  return connections.map((connection, index) => {
-    const normalized = normalizeConnection(connection);
-    const from = getConnectionAnchor({ kind: normalized.fromKind, index: normalized.fromIndex }, equipment, trays);
-    const to = getConnectionAnchor({ kind: normalized.toKind, index: normalized.toIndex }, equipment, trays);
-    if (!from || !to) return null;
-    const routeHeight = floorElevation + Math.max(normalized.routeHeight, from.z, to.z);
-    const controlX = normalized.controlX ?? to.x;
-    const controlY = normalized.controlY ?? from.y;
-    const selected = selectedTarget?.kind === "connection" && selectedTarget.index === index;
+// Fittings are drawn as a plate or a vertical chute the width of a typical
+// tray.
+const FITTING_SIZE = 300;
+
+function FittingMeshes({ fittings, equipment, selectedTarget, centerOffset, floorElevation }) {
+  return fittings.map((fitting) => {
+    const selected = selectedTarget?.kind === "fitting" && selectedTarget.id === fitting.id;
+    const color = selected ? "#f08b00" : "#8f6a1e";
+    const x = fitting.x - centerOffset.x;
+    const y = fitting.y - centerOffset.y;
+    if (fitting.type === "riser" || fitting.type === "drop") {
+      const cabinet = findById(equipment, fitting.cabinetId);
+      const bottom = fitting.type === "riser" ? fitting.z : Math.min(cabinet?.height ?? fitting.z, fitting.z);
+      const top = fitting.type === "riser" ? fitting.topZ : fitting.z;
+      const height = Math.max(top - bottom, 10);
+      return (
+        <mesh key={`fitting-${fitting.id}`} position={[x, floorElevation + bottom + height / 2, y]}>
+          <boxGeometry args={[FITTING_SIZE, height, fitting.type === "riser" ? 100 : 40]} />
+          <meshStandardMaterial color={color} />
+        </mesh>
+      );
+    }
+    return (
+      <mesh key={`fitting-${fitting.id}`} position={[x, floorElevation + fitting.z, y]}>
+        <boxGeometry args={[FITTING_SIZE, 60, FITTING_SIZE]} />
+        <meshStandardMaterial color={color} />
+      </mesh>
+    );
+  });
+}
+
+// Roof panels span the aisle at the containment height and end doors close
+// its two ends; both are translucent so the cabinets stay visible.
+function ContainmentMeshes({ containments, conflictIds, selectedTarget, centerOffset, floorElevation }) {
+  return containments.map((containment) => {
+    const selected = selectedTarget?.kind === "containment" && selectedTarget.id === containment.id;
+    const color = selected ? "#f08b00" : conflictIds.has(containment.id) ? CONFLICT_COLOR : CONTAINMENT_COLORS[containment.type];
+    return (
+      <group
+        key={`containment-${containment.id}`}
+        position={[containment.x - centerOffset.x, floorElevation, containment.y - centerOffset.y]}
+        rotation={[0, -degToRad(containment.rotationDeg || 0), 0]}
+      >
+        {containment.roof ? (
+          <mesh position={[0, containment.height + CONTAINMENT_PANEL / 2, 0]}>
+            <boxGeometry args={[containment.length, CONTAINMENT_PANEL, containment.width]} />
+            <meshStandardMaterial color={color} transparent opacity={0.3} depthWrite={false} />
+          </mesh>
+        ) : null}
+        {containment.endDoors
+          ? [-1, 1].map((side) => (
+              <mesh key={side} position={[(side * (containment.length - CONTAINMENT_PANEL)) / 2, containment.height / 2, 0]}>
+                <boxGeometry args={[CONTAINMENT_PANEL, containment.height, containment.width]} />
+                <meshStandardMaterial color={color} transparent opacity={0.35} depthWrite={false} />
+              </mesh>
+            ))
+          : null}
+        <mesh rotation={[-Math.PI / 2, 0, 0]} position={[0, 4, 0]}>
+          <planeGeometry args={[containment.length, containment.width]} />
+          <meshBasicMaterial color={color} transparent opacity={0.15} depthWrite={false} side={DoubleSide} />
+        </mesh>
+      </group>
+    );
+  });
+}
+
+function FloorTileMeshes({ tiles, room, selectedTarget, centerOffset }) {
+  const size = getTileSize(room);
+  return tiles.map((tile) => {
+    const center = getTileCenter(room, parseTileAddress(tile.address));
+    const selected = selectedTarget?.kind === "tile" && selectedTarget.id === tile.id;
+    const opacity = tile.type === "perforated" ? 0.2 + tile.openPercent / 200 : tile.type === "cutout" ? 0.75 : 0.45;
+    return (
+      <mesh key={`tile-${tile.id}`} rotation={[-Math.PI / 2, 0, 0]} position={[center.x - centerOffset.x, room.floorElevation + 2, center.y - centerOffset.y]}>
+        <planeGeometry args={[size - 20, size - 20]} />
+        <meshBasicMaterial color={selected ? "#f08b00" : TILE_COLORS[tile.type]} transparent opacity={opacity} depthWrite={false} side={DoubleSide} />
+      </mesh>
+    );
+  });
+}
+
+// Pipes and whips are drawn as cylinders and baskets as shallow boxes along
+// each segment; pedestals stand from the slab to the floor.
+function UnderfloorMeshes({ underfloor, room, conflictIds, selectedTarget, centerOffset }) {
+  return underfloor.map((object) => {
+    const selected = selectedTarget?.kind === "underfloor" && selectedTarget.id === object.id;
+    const color = selected ? "#f08b00" : conflictIds.has(object.id) ? CONFLICT_COLOR : UNDERFLOOR_COLORS[object.type];
+    const profile = getUnderfloorProfile(object, room);
+    if (object.type === "pedestal") {
+      const point = object.points[0];
+      return (
+        <mesh key={`underfloor-${object.id}`} position={[point.x - centerOffset.x, profile.height / 2, point.y - centerOffset.y]}>
+          <boxGeometry args={[profile.width, profile.height, profile.width]} />
+          <meshStandardMaterial color={color} />
+        </mesh>
+      );
+    }
     return (
-      <Fragment key={`connection-${index}`}>
+      <Fragment key={`underfloor-${object.id}`}>
+        {object.points.slice(1).map((end, index) => {
+          const start = object.points[index];
+          const length = Math.hypot(end.x - start.x, end.y - start.y);
+          if (length <= 0) return null;
+          return (
+            <group
+              key={index}
+              position={[(start.x + end.x) / 2 - centerOffset.x, profile.bottom + profile.height / 2, (start.y + end.y) / 2 - centerOffset.y]}
+              rotation={[0, -Math.atan2(end.y - start.y, end.x - start.x), 0]}
+            >
+              {object.type === "basket" ? (
+                <mesh>
+                  <boxGeometry args={[length, profile.height, profile.width]} />
+                  <meshStandardMaterial color={color} wireframe={!selected} />
+                </mesh>
+              ) : (
+                <mesh rotation={[0, 0, Math.PI / 2]}>
+                  <cylinderGeometry args={[profile.width / 2, profile.width / 2, length, 16]} />
+                  <meshStandardMaterial color={color} />
+                </mesh>
+              )}
+            </group>
+          );
+        })}
+      </Fragment>
+    );
+  });
+}
+
+function MeasureLines({ lines, centerOffset, floorElevation }) {
+  return lines.map((line, lineIndex) => {
+    const points = line.points.map((point) => [point.x - centerOffset.x, floorElevation + point.z, point.y - centerOffset.y]);
+    return (
+      <Fragment key={`measure-${lineIndex}`}>
+        {points.length > 1 ? <Polyline3D points={points} color={line.color} loop={line.loop} /> : null}
+        {points.map((point, index) => (
+          <mesh key={index} position={point}>
+            <sphereGeometry args={[35, 12, 8]} />
+            <meshBasicMaterial color={line.color} />
+          </mesh>
+        ))}
+      </Fragment>
+    );
+  });
+}
+
+function PassThroughMarkers({ passThroughs, selectedTarget, centerOffset, floorElevation }) {
+  return passThroughs.map((point) => {
+    const selected = selectedTarget?.kind === "passThrough" && selectedTarget.id === point.id;
+    return (
+      <mesh key={`passThrough-${point.id}`} position={[point.x - centerOffset.x, floorElevation + point.z, point.y - centerOffset.y]} rotation={[0, Math.PI / 4, 0]}>
+        <octahedronGeometry args={[160]} />
+        <meshStandardMaterial color={selected ? "#f08b00" : "#2a7bc9"} />
+      </mesh>
+    );
+  });
+}
+
+function ConnectionLines({ connections, equipment, trays, fittings, passThroughs, selectedTarget, tracedIds, centerOffset, floorElevation }) {
+  const network = useMemo(() => buildTrayNetwork(trays, fittings), [trays, fittings]);
+  return connections.map((connection) => {
+    const route = getConnectionRoute(connection, { equipment, trays, fittings, passThroughs }, network);
+    if (!route) return null;
+    const selected = selectedTarget?.kind === "connection" && selectedTarget.id === connection.id;
+    const traced = tracedIds.has(connection.id);
+    return (
+      <Fragment key={`connection-${connection.id}`}>
+        {traced
+          ? [route.from, route.to].map((point, index) => (
+              <mesh key={index} position={[point.x - centerOffset.x, floorElevation + point.z, point.y - centerOffset.y]}>
+                <sphereGeometry args={[45, 16, 12]} />
+                <meshStandardMaterial color={TRACE_COLOR} emissive={TRACE_COLOR} emissiveIntensity={0.5} />
+              </mesh>
+            ))
+          : null}
         <Polyline3D
-          points={[
-            [from.x - centerOffset.x, floorElevation + from.z, from.y - centerOffset.y],
-            [from.x - centerOffset.x, routeHeight, from.y - centerOffset.y],
-            [controlX - centerOffset.x, routeHeight, controlY - centerOffset.y],
-            [to.x - centerOffset.x, routeHeight, to.y - centerOffset.y],
-            [to.x - centerOffset.x, floorElevation + to.z, to.y - centerOffset.y],
-          ]}
-          color={selected ? "#f08b00" : normalized.color}
+          points={route.points.map((point) => [point.x - centerOffset.x, floorElevation + point.z, point.y - centerOffset.y])}
+          color={selected ? "#f08b00" : traced ? TRACE_COLOR : connection.color}
         />
       </Fragment>
     );
   });
 }
 
-export default function Scene3D({ room, openings, equipment, trays, connections, selectedTarget }) {
+export default function Scene3D({ room, openings, equipment, trays, fittings = [], connections, passThroughs = [], containments = [], tiles = [], underfloor = [], showFloorTiles = true, measureLines = [], onMeasurePoint = null, selectedTarget, tracedIds = new Set(), conflictIds = new Set(), trayFill = new Map(), fillThreshold = 40, thermalField = null }) {
   const footprint = useMemo(() => getRoomFootprint(room), [room]);
   const center = useMemo(() => ({
     x: footprint.reduce((sum, point) => sum + point.x, 0) / footprint.length,
@@ -353,14 +561,25 @@ export default function Scene3D({ room, openings, equipment, trays, connections,
     [footprint, center]
   );
   const shape = useMemo(() => floorShape(centeredFootprint), [centeredFootprint]);
-  const maxSpan = Math.max(room.width, room.length);
-  const bounds = useMemo(() => getBounds(centeredFootprint), [centeredFootprint]);
+  const roomBounds = useMemo(() => getPolygonBounds(footprint), [footprint]);
+  const roomWidth = roomBounds.maxX - roomBounds.minX;
+  const roomLength = roomBounds.maxY - roomBounds.minY;
+  const maxSpan = Math.max(roomWidth, roomLength);
+  const bounds = useMemo(() => getPolygonBounds(centeredFootprint), [centeredFootprint]);
   const tileSize = Math.max(room.floorTileSize || 600, 100);
   const gridDivisions = Math.max(Math.round((maxSpan * 2) / tileSize), 1);
   const tileTexture = useMemo(
     () => createTileTexture(tileSize, bounds.maxX - bounds.minX, bounds.maxY - bounds.minY),
     [tileSize, bounds.maxX, bounds.minX, bounds.maxY, bounds.minY]
   );
+  // Surfaces picked while measuring come back in room coordinates, with z
+  // above the raised floor like every other height in the model. Clicks that
+  // end an orbit or pan drag are ignored.
+  const pickPoint = (event) => {
+    if (event.delta > 2) return;
+    event.stopPropagation();
+    onMeasurePoint({ x: event.point.x + center.x, y: event.point.z + center.y, z: event.point.y - room.floorElevation });
+  };
   const cameraPosition = useMemo(
     () => [maxSpan * 0.85, room.floorElevation + room.height + maxSpan * 0.45, maxSpan * 0.85],
     [maxSpan, room.floorElevation, room.height]
@@ -370,15 +589,24 @@ export default function Scene3D({ room, openings, equipment, trays, connections,
     <Canvas camera={{ position: cameraPosition, fov: 42, near: 10, far: 200000 }}>
       <color attach="background" args={["#fdf8ef"]} />
       <ambientLight intensity={0.8} />
-      <directionalLight position={[room.width, room.height * 1.5, room.length]} intensity={1.1} />
-      <directionalLight position={[-room.width, room.height, -room.length]} intensity={0.4} color="#ffe5bf" />
+      <directionalLight position={[roomWidth, room.height * 1.5, roomLength]} intensity={1.1} />
+      <directionalLight position={[-roomWidth, room.height, -roomLength]} intensity={0.4} color="#ffe5bf" />
 
-      <RaisedFloor shape={shape} footprint={centeredFootprint} room={room} tileTexture={tileTexture} />
+      <group onClick={onMeasurePoint ? pickPoint : undefined}>
+        <RaisedFloor shape={shape} footprint={centeredFootprint} room={room} tileTexture={tileTexture} showTiles={showFloorTiles} />
+        {showFloorTiles ? <FloorTileMeshes tiles={tiles} room={room} selectedTarget={selectedTarget} centerOffset={center} /> : null}
+        <UnderfloorMeshes underfloor={underfloor} room={room} conflictIds={conflictIds} selectedTarget={selectedTarget} centerOffset={center} />
+        {thermalField ? <ThermalOverlay field={thermalField} centerOffset={center} floorElevation={room.floorElevation} /> : null}
 
-      <WallMeshes room={room} openings={openings} selectedTarget={selectedTarget} centerOffset={center} />
-      <EquipmentMeshes equipment={equipment} selectedTarget={selectedTarget} centerOffset={center} floorElevation={room.floorElevation} />
-      <TrayMeshes trays={trays} selectedTarget={selectedTarget} centerOffset={center} floorElevation={room.floorElevation} />
-      <ConnectionLines connections={connections} equipment={equipment} trays={trays} selectedTarget={selectedTarget} centerOffset={center} floorElevation={room.floorElevation} />
+        <WallMeshes room={room} openings={openings} selectedTarget={selectedTarget} centerOffset={center} />
+        <EquipmentMeshes equipment={equipment} conflictIds={conflictIds} selectedTarget={selectedTarget} centerOffset={center} floorElevation={room.floorElevation} />
+        <TrayMeshes trays={trays} trayFill={trayFill} fillThreshold={fillThreshold} conflictIds={conflictIds} selectedTarget={selectedTarget} centerOffset={center} floorElevation={room.floorElevation} />
+        <FittingMeshes fittings={fittings} equipment={equipment} selectedTarget={selectedTarget} centerOffset={center} floorElevation={room.floorElevation} />
+        <ContainmentMeshes containments={containments} conflictIds={conflictIds} selectedTarget={selectedTarget} centerOffset={center} floorElevation={room.floorElevation} />
+        <PassThroughMarkers passThroughs={passThroughs} selectedTarget={selectedTarget} centerOffset={center} floorElevation={room.floorElevation} />
+        <ConnectionLines connections={connections} equipment={equipment} trays={trays} fittings={fittings} passThroughs={passThroughs} selectedTarget={selectedTarget} tracedIds={tracedIds} centerOffset={center} floorElevation={room.floorElevation} />
+      </group>
+      <MeasureLines lines={measureLines} centerOffset={center} floorElevation={room.floorElevation} />
 
       <gridHelper args={[maxSpan * 2, gridDivisions, "#bca06e", "#e8dcc3"]} position={[0, 1, 0]} />
       <OrbitControls target={[0, room.floorElevation + room.height * 0.25, 0]} minDistance={maxSpan * 0.2} maxDistance={maxSpan * 4} makeDefault />
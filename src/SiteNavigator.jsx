@@ -0,0 +1,75 @@
+import { CHILD_COLLECTIONS, PARENT_FIELDS, canRemoveHierarchyNode } from "./site.js";
+
+const CHILD_LABELS = { sites: "Building", buildings: "Floor", floors: "Room" };
+
+function TreeNode({ projectState, collection, node, activeRoomId, onActivateRoom, onAdd, onRename, onRemove }) {
+  const childCollection = CHILD_COLLECTIONS[collection];
+  const children = childCollection
+    ? projectState[childCollection].filter((child) => child[PARENT_FIELDS[childCollection]] === node.id)
+    : [];
+  const isRoom = collection === "rooms";
+  const active = isRoom && node.id === activeRoomId;
+  const removable = canRemoveHierarchyNode(projectState, collection, node.id);
+  return (
+    <li>
+      <div className={`tree-row${active ? " active-tree-row" : ""}`}>
+        <input
+          className="tree-name"
+          value={node.name}
+          aria-label={`${collection.slice(0, -1)} name`}
+          onChange={(event) => onRename(collection, node.id, event.target.value)}
+        />
+        {isRoom ? (
+          <button type="button" onClick={() => onActivateRoom(node.id)} disabled={active}>{active ? "Editing" : "Edit"}</button>
+        ) : (
+          <button type="button" onClick={() => onAdd(childCollection, node.id)}>{`+ ${CHILD_LABELS[collection]}`}</button>
+        )}
+        <button type="button" onClick={() => onRemove(collection, node.id)} disabled={!removable} title={removable ? "Remove" : "The project needs at least one room"}>x</button>
+      </div>
+      {children.length > 0 ? (
+        <ul className="tree-list">
+          {children.map((child) => (
+            <TreeNode
+              key={child.id}
+              projectState={projectState}
+              collection={childCollection}
+              node={child}
+              activeRoomId={activeRoomId}
+              onActivateRoom={onActivateRoom}
+              onAdd={onAdd}
+              onRename={onRename}
+              onRemove={onRemove}
+            />
+          ))}
+        </ul>
+      ) : null}
+    </li>
+  );
+}
+
+export default function SiteNavigator({ projectState, activeRoomId, roomPath, onActivateRoom, onAdd, onRename, onRemove }) {
+  return (
+    <section className="card">
+      <div className="section-head">
+        <h2>Site Navigator</h2>
+        <button className="mini-button" type="button" onClick={() => onAdd("sites", null)}>+ Site</button>
+      </div>
+      <p className="section-note tree-path">{roomPath}</p>
+      <ul className="tree-list tree-root">
+        {projectState.sites.map((site) => (
+          <TreeNode
+            key={site.id}
+            projectState={projectState}
+            collection="sites"
+            node={site}
+            activeRoomId={activeRoomId}
+            onActivateRoom={onActivateRoom}
+            onAdd={onAdd}
+            onRename={onRename}
+            onRemove={onRemove}
+          />
+        ))}
+      </ul>
+    </section>
+  );
+}
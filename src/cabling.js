@@ -0,0 +1,146 @@
+import { PORT_TYPES } from "./catalog.js";
+import { formatCsv } from "./csv.js";
+import { findById, getTraySegments } from "./modeling.js";
+import { getDevicePorts, getPortValue } from "./ports.js";
+import { buildTrayNetwork, getConnectionRoute, getRouteLength } from "./routing.js";
+
+export const CABLE_COLORS = {
+  "#d24444": "Red",
+  "#2a7bc9": "Blue",
+  "#d19a1f": "Amber",
+  "#3c8a4d": "Green",
+};
+
+// Slack is added once per cable for dressing at both ends. Stock lengths are
+// in metres, shortest first. Trays filled past `fillThreshold` percent of
+// their cross-section are flagged.
+export const DEFAULT_CABLING = {
+  slack: 600,
+  stockLengths: [0.5, 1, 1.5, 2, 3, 5, 7, 10, 15, 20, 30, 50],
+  fillThreshold: 40,
+};
+
+// Cables whose ports are not set are sized as a typical patch cord.
+const UNSPECIFIED_DIAMETER = 6;
+const FILL_COLORS = [
+  [0x3c, 0x8a, 0x4d],
+  [0xd1, 0x9a, 0x1f],
+  [0xd2, 0x44, 0x44],
+];
+
+export function validateCabling(cabling) {
+  if (!cabling || typeof cabling !== "object") return "not an object";
+  if (typeof cabling.slack !== "number" || !Number.isFinite(cabling.slack) || cabling.slack < 0) return "slack must be a non-negative number";
+  if (!Array.isArray(cabling.stockLengths) || cabling.stockLengths.length === 0) return "at least one stock length is required";
+  if (cabling.stockLengths.some((length) => typeof length !== "number" || !Number.isFinite(length) || length <= 0)) return "stock lengths must be positive numbers";
+  if (typeof cabling.fillThreshold !== "number" || !(cabling.fillThreshold > 0 && cabling.fillThreshold <= 100)) return "fill threshold must be between 0 and 100 percent";
+  return null;
+}
+
+export function parseStockLengths(text) {
+  return [...new Set(text.split(/[,;\s]+/).filter(Boolean).map(Number))].filter((length) => Number.isFinite(length) && length > 0).sort((a, b) => a - b);
+}
+
+// Shortest stock cord that covers `lengthMm`. Runs longer than the longest
+// stock length are cut to the next whole metre.
+export function getStockLength(lengthMm, stockLengths) {
+  const metres = lengthMm / 1000;
+  const stock = [...stockLengths].sort((a, b) => a - b).find((length) => length >= metres);
+  return stock === undefined ? { metres: Math.ceil(metres), custom: true } : { metres: stock, custom: false };
+}
+
+function getCableType(connection, equipment) {
+  const types = ["from", "to"]
+    .map((end) => {
+      const value = getPortValue(connection, end);
+      if (!value || connection[`${end}Kind`] !== "equipment") return null;
+      return getDevicePorts(findById(equipment, connection[`${end}Id`])).find((port) => port.value === value)?.type || null;
+    })
+    .filter(Boolean);
+  // A console cable keeps its name even when its other end is a plain RJ45 port.
+  return types.find((entry) => entry === "Console") || types[0] || null;
+}
+
+export function getCableMedia(connection, equipment) {
+  const type = getCableType(connection, equipment);
+  return type ? PORT_TYPES[type].media : "Unspecified";
+}
+
+// Routed length, ordered length and media for every cable in a room.
+export function getRoomCableLengths(record, catalog, cabling) {
+  const model = { catalog, equipment: record.equipment, trays: record.trays, fittings: record.fittings, passThroughs: record.passThroughs };
+  const network = buildTrayNetwork(record.trays, record.fittings);
+  return record.connections.map((connection) => {
+    const route = getConnectionRoute(connection, model, network);
+    const routed = route ? getRouteLength(route.points) : null;
+    const stock = routed === null ? null : getStockLength(routed + cabling.slack, cabling.stockLengths);
+    return {
+      connection,
+      roomId: record.id,
+      routed,
+      stock,
+      media: getCableMedia(connection, record.equipment),
+      color: CABLE_COLORS[connection.color] || connection.color,
+    };
+  });
+}
+
+// Fill of every tray segment in a room, keyed by `trayId:segmentIndex`. Fill
+// is the summed cable cross-section over the tray's width times depth, for
+// each cable routed along any part of the segment.
+export function getTrayFill(record, catalog, cabling) {
+  const model = { catalog, equipment: record.equipment, trays: record.trays, fittings: record.fittings, passThroughs: record.passThroughs };
+  const network = buildTrayNetwork(record.trays, record.fittings);
+  const fill = new Map();
+  record.trays.forEach((tray) => {
+    getTraySegments(tray).forEach((_, segmentIndex) => {
+      fill.set(`${tray.id}:${segmentIndex}`, { trayId: tray.id, segmentIndex, cables: [], area: 0, capacity: tray.width * tray.depth, percent: 0, over: false });
+    });
+  });
+  record.connections.forEach((connection) => {
+    const route = getConnectionRoute(connection, model, network);
+    if (!route) return;
+    const type = getCableType(connection, record.equipment);
+    const diameter = type ? PORT_TYPES[type].diameter : UNSPECIFIED_DIAMETER;
+    route.traySegments.forEach(({ trayId, segmentIndex }) => {
+      const segment = fill.get(`${trayId}:${segmentIndex}`);
+      if (!segment) return;
+      segment.cables.push(connection);
+      segment.area += Math.PI * (diameter / 2) ** 2;
+    });
+  });
+  fill.forEach((segment) => {
+    segment.percent = segment.capacity > 0 ? (segment.area / segment.capacity) * 100 : 0;
+    segment.over = segment.percent > cabling.fillThreshold;
+  });
+  return fill;
+}
+
+// Green when empty, amber at the threshold and red once the tray is full.
+export function getFillColor(percent, threshold) {
+  const [from, to, t] = percent <= threshold
+    ? [FILL_COLORS[0], FILL_COLORS[1], threshold > 0 ? percent / threshold : 1]
+    : [FILL_COLORS[1], FILL_COLORS[2], Math.min(1, (percent - threshold) / Math.max(1, 100 - threshold))];
+  return `#${from.map((channel, index) => Math.round(channel + (to[index] - channel) * t).toString(16).padStart(2, "0")).join("")}`;
+}
+
+// Groups cables that can be ordered as one line item.
+export function getBillOfMaterials(lengths) {
+  const groups = new Map();
+  lengths.forEach((entry) => {
+    if (!entry.stock) return;
+    const key = `${entry.media}|${entry.color}|${entry.stock.metres}`;
+    const group = groups.get(key) || { media: entry.media, color: entry.color, metres: entry.stock.metres, custom: entry.stock.custom, quantity: 0, labels: [] };
+    group.quantity += 1;
+    group.labels.push(entry.connection.label || entry.connection.id);
+    groups.set(key, group);
+  });
+  return [...groups.values()].sort((a, b) => a.media.localeCompare(b.media) || a.color.localeCompare(b.color) || a.metres - b.metres);
+}
+
+export function serializeBomCsv(groups) {
+  return formatCsv(
+    ["media", "color", "lengthM", "cutToLength", "quantity", "cables"],
+    groups.map((group) => ({ ...group, lengthM: group.metres, cutToLength: group.custom ? "yes" : "no", cables: group.labels.join("; ") }))
+  );
+}
@@ -0,0 +1,68 @@
+import { getPolygonArea, getRoomFootprint } from "./modeling.js";
+import { CIRCUIT_LOAD_LIMIT, getCircuitCapacity, getDeviceDraw, getPowerBudget } from "./power.js";
+import { getRackCapacity, getRackOccupancy, isRackMounted } from "./rack.js";
+
+export const CAPACITY_METRICS = {
+  space: { label: "Rack Space", unit: "U" },
+  power: { label: "Power", unit: "W" },
+  cooling: { label: "Cooling", unit: "W" },
+  floor: { label: "Floor Space", unit: "m2" },
+  weight: { label: "Floor Loading", unit: "kg/m2" },
+};
+
+function getFootprintArea(item) {
+  return (item.width * item.depth) / 1000000;
+}
+
+// Usable power behind a set of circuits, derated to the circuit load limit.
+// With A and B feeds either side must be able to carry the whole load, so the
+// budget is the smaller feed's total.
+function getPowerCapacity(circuitLoads) {
+  const byFeed = new Map();
+  circuitLoads.forEach(({ circuit, feeds }) => {
+    feeds.forEach((feed) => byFeed.set(feed, (byFeed.get(feed) || 0) + (getCircuitCapacity(circuit) * CIRCUIT_LOAD_LIMIT) / 100));
+  });
+  return byFeed.size === 0 ? 0 : Math.min(...byFeed.values());
+}
+
+// Used and available figures for a room and for each of its cabinets. Heat
+// is the draw of everything except the cooling units themselves.
+export function getRoomCapacity(record) {
+  const { room, equipment } = record;
+  const budget = getPowerBudget(record);
+  const floorArea = getPolygonArea(getRoomFootprint(room)) / 1000000;
+  const coolingCapacity = equipment.reduce((sum, item) => sum + (item.type === "crac" ? item.coolingWatts || 0 : 0), 0);
+  const heatOf = (items) => items.reduce((sum, item) => sum + (item.type === "crac" ? 0 : getDeviceDraw(item)), 0);
+  const weightOf = (items) => items.reduce((sum, item) => sum + (item.weight || 0), 0);
+  const floorItems = equipment.filter((item) => !isRackMounted(item));
+
+  const cabinets = equipment
+    .filter((item) => item.type === "cabinet")
+    .map((cabinet) => {
+      const contents = [cabinet, ...equipment.filter((item) => item.mountedIn === cabinet.id)];
+      const usedUnits = new Set();
+      getRackOccupancy(equipment, cabinet.id).forEach((slot) => {
+        for (let unit = slot.start; unit <= slot.end; unit += 1) usedUnits.add(unit);
+      });
+      const circuitIds = new Set(contents.map((item) => item.circuitId).filter(Boolean));
+      return {
+        cabinet,
+        space: { used: usedUnits.size, total: getRackCapacity(cabinet) },
+        power: { used: contents.reduce((sum, item) => sum + getDeviceDraw(item), 0), total: getPowerCapacity(budget.circuits.filter((entry) => circuitIds.has(entry.circuit.id))) },
+        cooling: { used: heatOf(contents), total: coolingCapacity },
+        floor: { used: getFootprintArea(cabinet), total: floorArea },
+        weight: { used: weightOf(contents) / getFootprintArea(cabinet), total: room.floorLoading },
+      };
+    });
+
+  return {
+    room: {
+      space: cabinets.reduce((sum, entry) => ({ used: sum.used + entry.space.used, total: sum.total + entry.space.total }), { used: 0, total: 0 }),
+      power: { used: budget.total, total: getPowerCapacity(budget.circuits.filter((entry) => !entry.circuit.sourceId)) },
+      cooling: { used: heatOf(equipment), total: coolingCapacity },
+      floor: { used: floorItems.reduce((sum, item) => sum + getFootprintArea(item), 0), total: floorArea },
+      weight: { used: weightOf(equipment) / (floorArea || 1), total: room.floorLoading },
+    },
+    cabinets,
+  };
+}
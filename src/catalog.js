@@ -0,0 +1,207 @@
+import { findById } from "./modeling.js";
+import { formatCsv, parseCsvRecords } from "./csv.js";
+
+export const CATALOG_FORMAT = "san-3d2d-modeling/catalog";
+
+// Categories decide how a device behaves in the model; catalog entries only
+// describe a particular product within one.
+export const EQUIPMENT_CATEGORIES = {
+  cabinet: { label: "Cabinet", mountable: false, zeroU: false },
+  crac: { label: "Cooling Unit", mountable: false, zeroU: false },
+  switch: { label: "Network Device", mountable: true, zeroU: false },
+  server: { label: "Server", mountable: true, zeroU: false },
+  ups: { label: "UPS", mountable: true, zeroU: false },
+  pdu: { label: "PDU", mountable: true, zeroU: true },
+  patchPanel: { label: "Patch Panel", mountable: true, zeroU: false },
+};
+
+// Each port type lists the types a cable from it can land on.
+// `media` names the cable that lands on the port, for the bill of materials.
+// `diameter` is the outside diameter in mm of the cable that lands on the port,
+// used for tray fill.
+export const PORT_TYPES = {
+  RJ45: { label: "RJ45", media: "Copper patch (RJ45)", mates: ["RJ45", "Console"], diameter: 6.2 },
+  LC: { label: "LC Fibre", media: "Fibre patch (LC)", mates: ["LC"], diameter: 3 },
+  SFP: { label: "SFP Cage", media: "Direct attach (SFP)", mates: ["SFP"], diameter: 4.5 },
+  Console: { label: "Console", media: "Console cable", mates: ["Console", "RJ45"], diameter: 5 },
+  C13: { label: "C13 Outlet", media: "Power cord (C13-C14)", mates: ["C14"], diameter: 7.5 },
+  C14: { label: "C14 Inlet", media: "Power cord (C13-C14)", mates: ["C13"], diameter: 7.5 },
+  C19: { label: "C19 Outlet", media: "Power cord (C19-C20)", mates: ["C20"], diameter: 9.5 },
+  C20: { label: "C20 Inlet", media: "Power cord (C19-C20)", mates: ["C19"], diameter: 9.5 },
+};
+
+function numberedPorts(prefix, count, type) {
+  return Array.from({ length: count }, (_, index) => ({ name: `${prefix}${index + 1}`, type }));
+}
+
+// Patch panel ports come in pairs: a cable landing on the front port carries
+// on through the rear port with the same number.
+function panelPorts(count, type) {
+  return [
+    ...numberedPorts("F", count, type).map((port, index) => ({ ...port, pair: `R${index + 1}` })),
+    ...numberedPorts("R", count, type),
+  ];
+}
+
+// `coolingWatts` is the heat a cooling unit can remove; other models leave it at 0.
+export const DEFAULT_CATALOG = [
+  { id: "cabinet", manufacturer: "Generic", model: "Network Cabinet", category: "cabinet", rackUnits: 42, width: 600, depth: 1000, height: 2200, weight: 120, powerWatts: 0, coolingWatts: 0, outlets: 0, ports: [], frontImage: "", colorKey: "red" },
+  { id: "crac", manufacturer: "Generic", model: "CRAC Unit", category: "crac", rackUnits: 0, width: 900, depth: 1200, height: 2400, weight: 350, powerWatts: 7500, coolingWatts: 30000, outlets: 0, ports: [], frontImage: "", colorKey: "green" },
+  { id: "switch", manufacturer: "Generic", model: "Network Switch", category: "switch", rackUnits: 1, width: 450, depth: 450, height: 44.45, weight: 6, powerWatts: 150, coolingWatts: 0, outlets: 0, ports: [...numberedPorts("Gi1/0/", 24, "RJ45"), ...numberedPorts("Te1/1/", 2, "LC"), { name: "Console", type: "Console" }, { name: "PSU1", type: "C14" }], frontImage: "", colorKey: "purple" },
+  { id: "ups", manufacturer: "Generic", model: "UPS", category: "ups", rackUnits: 3, width: 440, depth: 700, height: 133.35, weight: 40, powerWatts: 200, coolingWatts: 0, outlets: 0, ports: [{ name: "Input", type: "C20" }, ...numberedPorts("Out", 8, "C13")], frontImage: "", colorKey: "red" },
+  { id: "pdu", manufacturer: "Generic", model: "PDU", category: "pdu", rackUnits: 2, width: 440, depth: 220, height: 88.9, weight: 5, powerWatts: 0, coolingWatts: 0, outlets: 24, ports: [{ name: "Input", type: "C20" }], frontImage: "", colorKey: "yellow" },
+  { id: "patch-cat6", manufacturer: "Generic", model: "24-Port Cat6 Patch Panel", category: "patchPanel", rackUnits: 1, width: 440, depth: 120, height: 44.45, weight: 2, powerWatts: 0, coolingWatts: 0, outlets: 0, ports: panelPorts(24, "RJ45"), frontImage: "", colorKey: "blue" },
+  { id: "patch-lc", manufacturer: "Generic", model: "12-Port LC Fibre Panel", category: "patchPanel", rackUnits: 1, width: 440, depth: 250, height: 44.45, weight: 3, powerWatts: 0, coolingWatts: 0, outlets: 0, ports: panelPorts(12, "LC"), frontImage: "", colorKey: "blue" },
+];
+
+const CSV_COLUMNS = ["id", "manufacturer", "model", "category", "rackUnits", "width", "depth", "height", "weight", "powerWatts", "coolingWatts", "outlets", "ports", "frontImage", "colorKey"];
+const NUMBER_FIELDS = ["rackUnits", "width", "depth", "height", "weight", "powerWatts", "coolingWatts", "outlets"];
+
+export function getCategory(type) {
+  return EQUIPMENT_CATEGORIES[type] || { label: type, mountable: false, zeroU: false };
+}
+
+// Equipment created before the catalog existed only carries its category in
+// `type`; the default catalog uses the category names as entry IDs.
+export function findModel(catalog, item) {
+  if (!item) return null;
+  return findById(catalog, item.modelId) || findById(catalog, item.type);
+}
+
+export function getModelLabel(model) {
+  if (!model) return "Unknown model";
+  return [model.manufacturer, model.model].filter(Boolean).join(" ");
+}
+
+export function getEquipmentName(catalog, item) {
+  return item.label || getModelLabel(findModel(catalog, item));
+}
+
+// Copies a catalog entry's specification onto a placed device. Instances keep
+// their own copy so later catalog edits do not move equipment already placed.
+export function applyModel(item, model) {
+  return {
+    ...item,
+    modelId: model.id,
+    type: model.category,
+    width: model.width,
+    depth: model.depth,
+    height: model.height,
+    rackUnits: model.rackUnits,
+    weight: model.weight,
+    powerWatts: model.powerWatts,
+    coolingWatts: model.coolingWatts,
+    outletCount: model.category === "pdu" ? model.outlets || 24 : item.outletCount,
+    ports: model.ports.map((port) => ({ ...port })),
+  };
+}
+
+export function validateCatalogEntry(entry) {
+  if (!entry || typeof entry !== "object") return "not an object";
+  if (typeof entry.model !== "string" || !entry.model.trim()) return "model name is missing";
+  if (!EQUIPMENT_CATEGORIES[entry.category]) return `unknown category "${entry.category}"`;
+  const invalid = NUMBER_FIELDS.filter((field) => typeof entry[field] !== "number" || !Number.isFinite(entry[field]) || entry[field] < 0);
+  if (invalid.length > 0) return `invalid ${invalid.join(", ")}`;
+  if (entry.width <= 0 || entry.depth <= 0 || entry.height <= 0) return "width, depth and height must be positive";
+  if (!Number.isInteger(entry.rackUnits)) return "rackUnits must be a whole number";
+  if (getCategory(entry.category).mountable && entry.rackUnits < 1) return "rack-mountable models need at least 1U";
+  if (!Array.isArray(entry.ports) || entry.ports.some((port) => !port || typeof port.name !== "string" || !port.name)) return "ports must each have a name";
+  const unknown = entry.ports.find((port) => !PORT_TYPES[port.type]);
+  if (unknown) return `port ${unknown.name} has unknown type "${unknown.type}"`;
+  const names = entry.ports.map((port) => port.name);
+  if (new Set(names).size !== names.length) return "port names must be unique";
+  const unpaired = entry.ports.find((port) => port.pair && (port.pair === port.name || !names.includes(port.pair)));
+  if (unpaired) return `port ${unpaired.name} pairs with missing port "${unpaired.pair}"`;
+  return null;
+}
+
+function normalizeEntry(entry) {
+  if (!entry || typeof entry !== "object") return entry;
+  return {
+    manufacturer: "",
+    weight: 0,
+    powerWatts: 0,
+    coolingWatts: 0,
+    outlets: 0,
+    ports: [],
+    frontImage: "",
+    colorKey: "red",
+    ...entry,
+  };
+}
+
+export function formatPorts(ports) {
+  return ports.map((port) => `${port.type ? `${port.name}:${port.type}` : port.name}${port.pair ? `=${port.pair}` : ""}`).join("; ");
+}
+
+export function parsePorts(text) {
+  return text
+    .split(/[;\n]/)
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [spec, pair = ""] = part.split("=").map((value) => value.trim());
+      const [name, type = ""] = spec.split(":").map((value) => value.trim());
+      // Types are matched case-insensitively so "rj45" and "lc" are accepted.
+      const port = { name, type: Object.keys(PORT_TYPES).find((key) => key.toLowerCase() === type.toLowerCase()) || type };
+      return pair ? { ...port, pair } : port;
+    });
+}
+
+function csvRecordToEntry(record) {
+  const entry = { ...record, ports: parsePorts(record.ports || "") };
+  NUMBER_FIELDS.forEach((field) => {
+    entry[field] = record[field] === undefined || record[field] === "" ? undefined : Number(record[field]);
+  });
+  return normalizeEntry(Object.fromEntries(Object.entries(entry).filter(([, value]) => value !== undefined && value !== "")));
+}
+
+// Parses a shared library file. Returns the valid entries plus a rejection
+// list in the same shape the project importer reports.
+export function parseCatalog(text, fileName = "") {
+  let records;
+  if (/\.csv$/i.test(fileName) || (!text.trim().startsWith("{") && !text.trim().startsWith("["))) {
+    records = parseCsvRecords(text).map(csvRecordToEntry);
+  } else {
+    let raw;
+    try {
+      raw = JSON.parse(text);
+    } catch (error) {
+      throw new Error(`Catalog file is not valid JSON: ${error.message}`);
+    }
+    if (!Array.isArray(raw) && raw?.format !== undefined && raw.format !== CATALOG_FORMAT) {
+      throw new Error(`Unsupported catalog format "${raw.format}".`);
+    }
+    records = (Array.isArray(raw) ? raw : raw?.entries || []).map(normalizeEntry);
+  }
+  const rejected = [];
+  const seenIds = new Set();
+  const entries = records.filter((entry, index) => {
+    let reason = validateCatalogEntry(entry);
+    if (!reason && (typeof entry.id !== "string" || !entry.id)) reason = "missing id";
+    if (!reason && seenIds.has(entry.id)) reason = `duplicate id "${entry.id}"`;
+    if (reason) {
+      rejected.push({ collection: "catalog", index, label: entry?.model || `entry ${index + 1}`, reason });
+      return false;
+    }
+    seenIds.add(entry.id);
+    return true;
+  });
+  return { entries, rejected };
+}
+
+// Imported entries replace existing ones with the same ID and are appended otherwise.
+export function mergeCatalog(catalog, entries) {
+  const incoming = new Map(entries.map((entry) => [entry.id, entry]));
+  const merged = catalog.map((entry) => incoming.get(entry.id) || entry);
+  const existing = new Set(catalog.map((entry) => entry.id));
+  return [...merged, ...entries.filter((entry) => !existing.has(entry.id))];
+}
+
+export function serializeCatalogJson(catalog) {
+  return JSON.stringify({ format: CATALOG_FORMAT, savedAt: new Date().toISOString(), entries: catalog }, null, 2);
+}
+
+export function serializeCatalogCsv(catalog) {
+  return formatCsv(CSV_COLUMNS, catalog.map((entry) => ({ ...entry, ports: formatPorts(entry.ports) })));
+}
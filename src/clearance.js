@@ -0,0 +1,236 @@
+import { degToRad, getDoorLeaves, getFront, getRoomFootprint, getTraySegments, getWallSegments, isPointInsidePolygon } from "./modeling.js";
+import { UNDERFLOOR_TYPES, getUnderfloorProfile } from "./plenum.js";
+import { CONTAINMENT_TYPES, getContainmentPolygon } from "./rows.js";
+
+// Shapes that only touch, like cabinets bolted side by side, do not collide.
+const TOLERANCE = 1;
+
+// Airflow is sampled this far out from a cabinet's front and rear, and a
+// cabinet facing the rear of another within AIRFLOW_REACH breathes its
+// exhaust.
+const AIRFLOW_PROBE = 100;
+const AIRFLOW_REACH = 3000;
+
+export const LAYOUT_CHECKS = {
+  overlap: "Overlap",
+  outside: "Outside room",
+  tray: "Tray clash",
+  aisle: "Aisle clearance",
+  service: "Service clearance",
+  door: "Door swing",
+  airflow: "Aisle airflow",
+  plenum: "Plenum height",
+};
+
+// Corners of a rectangle in the equipment's own frame, where +y is the front
+// (the upper edge on the plan) and x runs across the width.
+function getLocalRect(item, minY, maxY, inset = 0) {
+  const angle = degToRad(item.rotationDeg || 0);
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+  const halfWidth = item.width / 2 - inset;
+  return [
+    { x: -halfWidth, y: minY + inset },
+    { x: halfWidth, y: minY + inset },
+    { x: halfWidth, y: maxY - inset },
+    { x: -halfWidth, y: maxY - inset },
+  ].map((point) => ({ x: item.x + point.x * cos - point.y * sin, y: item.y + point.x * sin + point.y * cos }));
+}
+
+export function getEquipmentFootprint(item, inset = 0) {
+  return getLocalRect(item, -item.depth / 2, item.depth / 2, inset);
+}
+
+// The strip kept clear in front of (side "front") or behind an item.
+function getServiceZone(item, side, depth, inset = 0) {
+  return side === "front"
+    ? getLocalRect(item, item.depth / 2, item.depth / 2 + depth, inset)
+    : getLocalRect(item, -item.depth / 2 - depth, -item.depth / 2, inset);
+}
+
+function getSegmentRect(start, end, width) {
+  const length = Math.hypot(end.x - start.x, end.y - start.y) || 1;
+  const normal = { x: (-(end.y - start.y) / length) * (width / 2), y: ((end.x - start.x) / length) * (width / 2) };
+  return [
+    { x: start.x + normal.x, y: start.y + normal.y },
+    { x: end.x + normal.x, y: end.y + normal.y },
+    { x: end.x - normal.x, y: end.y - normal.y },
+    { x: start.x - normal.x, y: start.y - normal.y },
+  ];
+}
+
+// Separating-axis test for convex polygons.
+export function polygonsOverlap(a, b) {
+  return ![a, b].some((polygon) =>
+    polygon.some((point, index) => {
+      const next = polygon[(index + 1) % polygon.length];
+      const axis = { x: point.y - next.y, y: next.x - point.x };
+      const length = Math.hypot(axis.x, axis.y);
+      if (length === 0) return false;
+      const project = (shape) => shape.map((corner) => (corner.x * axis.x + corner.y * axis.y) / length);
+      const rangeA = project(a);
+      const rangeB = project(b);
+      return Math.max(...rangeA) <= Math.min(...rangeB) + TOLERANCE || Math.max(...rangeB) <= Math.min(...rangeA) + TOLERANCE;
+    })
+  );
+}
+
+function segmentsCross(a1, a2, b1, b2) {
+  const side = (p, q, r) => Math.sign((q.x - p.x) * (r.y - p.y) - (q.y - p.y) * (r.x - p.x));
+  return side(a1, a2, b1) * side(a1, a2, b2) < 0 && side(b1, b2, a1) * side(b1, b2, a2) < 0;
+}
+
+// `polygon` should be inset slightly so shapes flush with a wall stay inside.
+function isOutsideRoom(polygon, footprint) {
+  if (polygon.some((point) => !isPointInsidePolygon(point, footprint))) return true;
+  return polygon.some((point, index) => {
+    const next = polygon[(index + 1) % polygon.length];
+    return footprint.some((corner, cornerIndex) => segmentsCross(point, next, corner, footprint[(cornerIndex + 1) % footprint.length]));
+  });
+}
+
+// The area each door leaf needs clear on the room side of its wall.
+export function getDoorZones(room, openings) {
+  const walls = getWallSegments(room);
+  return openings
+    .filter((opening) => opening.type === "door" && walls[opening.wall])
+    .flatMap((opening) =>
+      getDoorLeaves(opening, walls[opening.wall], room)
+        .filter((leaf) => leaf.keepOut)
+        .map((leaf) => ({ opening, polygon: leaf.zone }))
+    );
+}
+
+// The door whose keep-out zone a floor-standing item would stand in, or null.
+export function findDoorConflict(room, openings, item) {
+  const footprint = getEquipmentFootprint(item);
+  return getDoorZones(room, openings).find((zone) => polygonsOverlap(zone.polygon, footprint))?.opening || null;
+}
+
+// True when an edit from `before` to `after` carries floor-standing hardware
+// into a door swing. Hardware already standing in one may still move out.
+export function entersDoorSwing(room, openings, before, after) {
+  const previous = new Map(before.map((item) => [item.id, item]));
+  return after.some((item) => {
+    const earlier = previous.get(item.id);
+    if (item.mountedIn || earlier === item || !findDoorConflict(room, openings, item)) return false;
+    return !earlier || !findDoorConflict(room, openings, earlier);
+  });
+}
+
+function describeItem(item, fallback) {
+  return item.label || fallback;
+}
+
+// Cabinets take air in at the front and exhaust it at the rear. A cabinet
+// whose intake opens onto a hot aisle, whose exhaust opens onto a cold aisle,
+// or which faces the rear of the next row is flagged.
+function checkAirflow(cabinets, containments, shapes, add) {
+  containments.forEach((containment) => {
+    const polygon = getContainmentPolygon(containment);
+    const name = containment.label || CONTAINMENT_TYPES[containment.type];
+    cabinets.forEach((item) => {
+      const front = getFront(item);
+      const side = containment.type === "hot" ? 1 : -1;
+      const reach = side * (item.depth / 2 + AIRFLOW_PROBE);
+      if (!isPointInsidePolygon({ x: item.x + front.x * reach, y: item.y + front.y * reach }, polygon)) return;
+      const message = containment.type === "hot" ? `${describeItem(item, item.type)} draws its intake air from hot aisle ${name}` : `${describeItem(item, item.type)} exhausts into cold aisle ${name}`;
+      add("airflow", message, [{ kind: "containment", id: containment.id }, { kind: "equipment", id: item.id }], [polygon, shapes.get(item.id)]);
+    });
+  });
+
+  cabinets.forEach((item) => {
+    const front = getFront(item);
+    const facing = cabinets
+      .map((other) => {
+        const dx = other.x - item.x;
+        const dy = other.y - item.y;
+        const otherFront = getFront(other);
+        return {
+          other,
+          sameWay: front.x * otherFront.x + front.y * otherFront.y > 0.9,
+          along: dx * front.x + dy * front.y - (item.depth + other.depth) / 2,
+          lateral: Math.abs(dx * front.y - dy * front.x),
+        };
+      })
+      .filter((entry) => entry.other.id !== item.id && entry.along > -TOLERANCE && entry.along <= AIRFLOW_REACH && entry.lateral < (item.width + entry.other.width) / 2 - TOLERANCE)
+      .sort((a, b) => a.along - b.along)[0];
+    if (!facing?.sameWay) return;
+    add("airflow", `${describeItem(item, item.type)} faces the rear of ${describeItem(facing.other, facing.other.type)} and draws in its exhaust`, [{ kind: "equipment", id: facing.other.id }, { kind: "equipment", id: item.id }], [shapes.get(item.id), shapes.get(facing.other.id)]);
+  });
+}
+
+// Checks a room record for equipment overlapping each other or the walls,
+// trays passing through equipment, blocked aisles and service space,
+// equipment inside a door swing, cabinets breathing the wrong aisle, and
+// underfloor objects too tall for the plenum. Only floor-standing equipment is
+// checked; mounted devices move with their cabinet.
+export function checkLayout(record) {
+  const { room, openings, equipment, trays, containments = [], underfloor = [] } = record;
+  const footprint = getRoomFootprint(room);
+  const floorItems = equipment.filter((item) => item.mountedIn === null || item.mountedIn === undefined);
+  const shapes = new Map(floorItems.map((item) => [item.id, getEquipmentFootprint(item)]));
+  const violations = [];
+  const add = (type, message, targets, polygons) => violations.push({ id: `${type}:${targets.map((target) => target.id).join(":")}`, type, message, targets, polygons });
+
+  floorItems.forEach((item, index) => {
+    const name = describeItem(item, item.type);
+    if (isOutsideRoom(getEquipmentFootprint(item, TOLERANCE), footprint)) {
+      add("outside", `${name} extends outside the room`, [{ kind: "equipment", id: item.id }], [shapes.get(item.id)]);
+    }
+    floorItems.slice(index + 1).forEach((other) => {
+      if (polygonsOverlap(shapes.get(item.id), shapes.get(other.id))) {
+        add("overlap", `${name} overlaps ${describeItem(other, other.type)}`, [{ kind: "equipment", id: item.id }, { kind: "equipment", id: other.id }], [shapes.get(item.id), shapes.get(other.id)]);
+      }
+    });
+    [["front", "aisle", room.aisleClearance], ["rear", "service", room.serviceClearance]].forEach(([side, type, depth]) => {
+      if (!(depth > 0)) return;
+      const zone = getServiceZone(item, side, depth);
+      const blocker = floorItems.find((other) => other.id !== item.id && polygonsOverlap(zone, shapes.get(other.id)));
+      if (blocker) {
+        add(type, `${describeItem(blocker, blocker.type)} is within the ${depth} mm ${side} clearance of ${name}`, [{ kind: "equipment", id: item.id }, { kind: "equipment", id: blocker.id }], [zone, shapes.get(blocker.id)]);
+      } else if (isOutsideRoom(getServiceZone(item, side, depth, TOLERANCE), footprint)) {
+        add(type, `${name} needs ${depth} mm clear at the ${side} but a wall is closer`, [{ kind: "equipment", id: item.id }], [zone]);
+      }
+    });
+  });
+
+  trays.forEach((tray) => {
+    getTraySegments(tray).forEach((segment, segmentIndex) => {
+      const rect = getSegmentRect(segment.start, segment.end, tray.width);
+      floorItems
+        .filter((item) => tray.z - tray.depth / 2 < item.height - TOLERANCE && polygonsOverlap(rect, shapes.get(item.id)))
+        .forEach((item) => {
+          add("tray", `${tray.label || "Tray"} segment ${segmentIndex + 1} passes through ${describeItem(item, item.type)}`, [{ kind: "tray", id: tray.id }, { kind: "equipment", id: item.id }], [rect, shapes.get(item.id)]);
+        });
+    });
+  });
+
+  getDoorZones(room, openings).forEach(({ opening, polygon }) => {
+    // Both leaves of a double door can hit the same item.
+    floorItems
+      .filter((item) => polygonsOverlap(polygon, shapes.get(item.id)) && !violations.some((violation) => violation.id === `door:${opening.id}:${item.id}`))
+      .forEach((item) => {
+        add("door", `${describeItem(item, item.type)} blocks the swing of ${opening.label || "a door"}`, [{ kind: "opening", id: opening.id }, { kind: "equipment", id: item.id }], [polygon, shapes.get(item.id)]);
+      });
+  });
+
+  checkAirflow(floorItems.filter((item) => item.type === "cabinet"), containments, shapes, add);
+
+  underfloor
+    .filter((object) => object.type !== "pedestal")
+    .forEach((object) => {
+      const profile = getUnderfloorProfile(object, room);
+      if (profile.bottom >= -TOLERANCE && profile.bottom + profile.height <= room.floorElevation + TOLERANCE) return;
+      const name = object.label || UNDERFLOOR_TYPES[object.type];
+      const message = profile.bottom < 0 ? `${name} sits below the slab` : `${name} rises above the ${room.floorElevation} mm raised floor`;
+      const polygons = object.points.slice(1).map((point, index) => getSegmentRect(object.points[index], point, Math.max(profile.width, 50)));
+      add("plenum", message, [{ kind: "underfloor", id: object.id }], polygons);
+    });
+  return violations;
+}
+
+// IDs of every item named in a violation, for highlighting.
+export function getViolationIds(violations) {
+  return new Set(violations.flatMap((violation) => violation.targets.map((target) => target.id)));
+}
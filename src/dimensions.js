@@ -0,0 +1,171 @@
+import { degToRad, getFront, getOpeningBounds, getRoomFootprint, getWallSegments, pointAlongWall } from "./modeling.js";
+import { getEquipmentFootprint } from "./clearance.js";
+import { isRackMounted } from "./rack.js";
+
+// Screen distances of the dimension rows outside each wall: the opening
+// chain sits nearer the wall than the overall length.
+const CHAIN_OFFSET = 30;
+const OVERALL_OFFSET = 44;
+const TICK = 5;
+const LABEL_HEIGHT = 14;
+
+// 1 when the outline runs anticlockwise and -1 when it runs clockwise.
+function getWinding(room) {
+  const points = getRoomFootprint(room);
+  const doubled = points.reduce((sum, point, index) => {
+    const next = points[(index + 1) % points.length];
+    return sum + point.x * next.y - next.x * point.y;
+  }, 0);
+  return doubled >= 0 ? 1 : -1;
+}
+
+// Overall length of every wall, and for walls with openings the chain of
+// corner-to-opening, opening and opening-to-corner distances.
+export function getWallDimensions(room, openings) {
+  const winding = getWinding(room);
+  return getWallSegments(room).map((wall) => {
+    const stops = openings
+      .filter((opening) => opening.wall === wall.index)
+      .map((opening) => getOpeningBounds(opening, wall, room))
+      .sort((a, b) => a.start - b.start)
+      .flatMap((bounds) => [bounds.start, bounds.end]);
+    const positions = stops.length > 0 ? [0, ...stops, wall.length] : [];
+    return {
+      wall,
+      normal: { x: wall.dir.y * winding, y: -wall.dir.x * winding },
+      chain: positions.slice(1).map((position, index) => ({
+        from: pointAlongWall(wall, positions[index]),
+        to: pointAlongWall(wall, position),
+        length: position - positions[index],
+      })).filter((segment) => segment.length > 0),
+    };
+  });
+}
+
+// Distance along `dir` from `origin` to the segment a-b, or null if the ray
+// misses it.
+function castRay(origin, dir, a, b) {
+  const edge = { x: b.x - a.x, y: b.y - a.y };
+  const denominator = dir.x * edge.y - dir.y * edge.x;
+  if (Math.abs(denominator) < 1e-9) return null;
+  const offset = { x: a.x - origin.x, y: a.y - origin.y };
+  const t = (offset.x * edge.y - offset.y * edge.x) / denominator;
+  const u = (offset.x * dir.y - offset.y * dir.x) / denominator;
+  return t > 0 && u >= 0 && u <= 1 ? t : null;
+}
+
+// Clear distance from each face of `item` to the nearest wall or
+// floor-standing neighbour straight out from that face.
+export function getClearanceDimensions(room, equipment, item) {
+  const angle = degToRad(item.rotationDeg || 0);
+  const front = getFront(item);
+  const side = { x: Math.cos(angle), y: Math.sin(angle) };
+  const walls = getWallSegments(room).map((wall) => ({ kind: "wall", a: wall.start, b: wall.end }));
+  const neighbours = equipment
+    .filter((other) => other.id !== item.id && !isRackMounted(other))
+    .flatMap((other) => {
+      const corners = getEquipmentFootprint(other);
+      return corners.map((corner, index) => ({ kind: "equipment", a: corner, b: corners[(index + 1) % corners.length] }));
+    });
+  const faces = [
+    { dir: front, reach: item.depth / 2 },
+    { dir: { x: -front.x, y: -front.y }, reach: item.depth / 2 },
+    { dir: side, reach: item.width / 2 },
+    { dir: { x: -side.x, y: -side.y }, reach: item.width / 2 },
+  ];
+  return faces.flatMap(({ dir, reach }) => {
+    const from = { x: item.x + dir.x * reach, y: item.y + dir.y * reach };
+    const hit = [...walls, ...neighbours].reduce((best, edge) => {
+      const distance = castRay(from, dir, edge.a, edge.b);
+      return distance !== null && (!best || distance < best.distance) ? { kind: edge.kind, distance } : best;
+    }, null);
+    if (!hit) return [];
+    return [{ from, to: { x: from.x + dir.x * hit.distance, y: from.y + dir.y * hit.distance }, distance: hit.distance, kind: hit.kind }];
+  });
+}
+
+// Draws text centred on a dimension line unless it would cover a label
+// already placed; it then slides along the line and finally off it, and is
+// left out when there is no free spot, so crowded plans stay readable.
+function createLabelPlacer(ctx) {
+  const placed = [];
+  const overlaps = (box) => placed.some((other) => box.x < other.x + other.width && other.x < box.x + box.width && box.y < other.y + other.height && other.y < box.y + box.height);
+  return (text, center, along) => {
+    const width = ctx.measureText(text).width + 6;
+    const step = width / 2 + 4;
+    const across = { x: -along.y, y: along.x };
+    const shifts = [[0, 0], [step, 0], [-step, 0], [2 * step, 0], [-2 * step, 0], [0, LABEL_HEIGHT], [0, -LABEL_HEIGHT]];
+    for (const [slide, lift] of shifts) {
+      const x = center.x + along.x * slide + across.x * lift;
+      const y = center.y + along.y * slide + across.y * lift;
+      const box = { x: x - width / 2, y: y - LABEL_HEIGHT / 2, width, height: LABEL_HEIGHT };
+      if (overlaps(box)) continue;
+      placed.push(box);
+      ctx.fillStyle = "rgba(255, 252, 245, 0.92)";
+      ctx.fillRect(box.x, box.y, box.width, box.height);
+      ctx.fillStyle = ctx.strokeStyle;
+      ctx.fillText(text, x, y);
+      return true;
+    }
+    return false;
+  };
+}
+
+function drawDimensionLine(ctx, from, to, place, text) {
+  const length = Math.hypot(to.x - from.x, to.y - from.y);
+  if (length < 2) return;
+  const along = { x: (to.x - from.x) / length, y: (to.y - from.y) / length };
+  const tick = { x: (along.x - along.y) * TICK * 0.7, y: (along.y + along.x) * TICK * 0.7 };
+  ctx.beginPath();
+  ctx.moveTo(from.x, from.y);
+  ctx.lineTo(to.x, to.y);
+  [from, to].forEach((point) => {
+    ctx.moveTo(point.x - tick.x, point.y - tick.y);
+    ctx.lineTo(point.x + tick.x, point.y + tick.y);
+  });
+  ctx.stroke();
+  place(text, { x: (from.x + to.x) / 2, y: (from.y + to.y) / 2 }, along.x < 0 ? { x: -along.x, y: -along.y } : along);
+}
+
+// Wall and opening dimensions outside the room, plus clearances around the
+// selected floor-standing equipment. `project` maps room points to the canvas.
+export function drawDimensions(ctx, project, { room, openings, equipment, selected }) {
+  const place = createLabelPlacer(ctx);
+  ctx.save();
+  ctx.font = "600 11px Segoe UI";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.lineWidth = 1;
+
+  if (selected && !isRackMounted(selected)) {
+    getClearanceDimensions(room, equipment, selected).forEach((dimension) => {
+      ctx.strokeStyle = dimension.kind === "wall" ? "#5f5137" : "#2a7bc9";
+      drawDimensionLine(ctx, project(dimension.from), project(dimension.to), place, String(Math.round(dimension.distance)));
+    });
+  }
+
+  getWallDimensions(room, openings).forEach(({ wall, normal, chain }) => {
+    const start = project(wall.start);
+    const end = project(wall.end);
+    const tip = project({ x: wall.start.x + normal.x, y: wall.start.y + normal.y });
+    const tipLength = Math.hypot(tip.x - start.x, tip.y - start.y) || 1;
+    const screenNormal = { x: (tip.x - start.x) / tipLength, y: (tip.y - start.y) / tipLength };
+    const offset = (point, distance) => ({ x: point.x + screenNormal.x * distance, y: point.y + screenNormal.y * distance });
+
+    ctx.strokeStyle = "rgba(95, 81, 55, 0.35)";
+    ctx.beginPath();
+    [start, end].forEach((point) => {
+      ctx.moveTo(offset(point, 6).x, offset(point, 6).y);
+      ctx.lineTo(offset(point, OVERALL_OFFSET + TICK).x, offset(point, OVERALL_OFFSET + TICK).y);
+    });
+    ctx.stroke();
+
+    ctx.strokeStyle = "#5f5137";
+    drawDimensionLine(ctx, offset(start, OVERALL_OFFSET), offset(end, OVERALL_OFFSET), place, String(Math.round(wall.length)));
+    ctx.strokeStyle = "#b55d2f";
+    chain.forEach((segment) => {
+      drawDimensionLine(ctx, offset(project(segment.from), CHAIN_OFFSET), offset(project(segment.to), CHAIN_OFFSET), place, String(Math.round(segment.length)));
+    });
+  });
+  ctx.restore();
+}
@@ -0,0 +1,93 @@
+import { degToRad, findById, fitCanvas, getPointsProjection, isPointInsidePolygon } from "./modeling.js";
+import { getFloorRooms, getRoomWorldOutline } from "./site.js";
+
+export function getFloorProjection(projectState, floorId, canvas) {
+  const rooms = getFloorRooms(projectState, floorId);
+  const points = rooms.flatMap((record) => getRoomWorldOutline(record));
+  return { ...getPointsProjection(points, canvas), rooms };
+}
+
+export function findRoomAt(projectState, floorId, worldPoint) {
+  return [...getFloorRooms(projectState, floorId)].reverse().find((record) => isPointInsidePolygon(worldPoint, getRoomWorldOutline(record))) || null;
+}
+
+function toWorld(record, point) {
+  return { x: point.x + record.origin.x, y: point.y + record.origin.y };
+}
+
+function tracePolygon(ctx, points, project) {
+  ctx.beginPath();
+  points.forEach((point, index) => {
+    const p = project(point);
+    if (index === 0) ctx.moveTo(p.x, p.y); else ctx.lineTo(p.x, p.y);
+  });
+  ctx.closePath();
+}
+
+// Draws every room on one floor at its origin, with equipment footprints,
+// pass-through points and the links that join rooms together.
+export function drawFloorPlan(canvas, projectState, floorId, activeRoomId, colors) {
+  const ctx = canvas.getContext("2d");
+  fitCanvas(canvas, ctx);
+  const { rooms, renderWidth, renderHeight, scale, project } = getFloorProjection(projectState, floorId, canvas);
+  ctx.clearRect(0, 0, renderWidth, renderHeight);
+
+  rooms.forEach((record) => {
+    const outline = getRoomWorldOutline(record);
+    const active = record.id === activeRoomId;
+    tracePolygon(ctx, outline, project);
+    ctx.fillStyle = active ? "#fff3df" : "#fffcf5";
+    ctx.fill();
+    ctx.lineWidth = active ? 5 : 3;
+    ctx.strokeStyle = active ? "#b55d2f" : "#5f5137";
+    ctx.stroke();
+
+    record.equipment
+      .filter((item) => item.mountedIn === null || item.mountedIn === undefined)
+      .forEach((item) => {
+        const center = project(toWorld(record, item));
+        ctx.save();
+        ctx.translate(center.x, center.y);
+        ctx.rotate(-degToRad(item.rotationDeg || 0));
+        ctx.fillStyle = (colors[item.colorKey] || colors.red).color2d;
+        ctx.fillRect((-item.width * scale) / 2, (-item.depth * scale) / 2, item.width * scale, item.depth * scale);
+        ctx.restore();
+      });
+
+    record.passThroughs.forEach((point) => {
+      const p = project(toWorld(record, point));
+      ctx.fillStyle = "#2a7bc9";
+      ctx.beginPath();
+      ctx.moveTo(p.x, p.y - 6);
+      ctx.lineTo(p.x + 6, p.y);
+      ctx.lineTo(p.x, p.y + 6);
+      ctx.lineTo(p.x - 6, p.y);
+      ctx.closePath();
+      ctx.fill();
+    });
+
+    const xs = outline.map((point) => project(point).x);
+    const ys = outline.map((point) => project(point).y);
+    ctx.fillStyle = "#3f3424";
+    ctx.font = "700 13px Segoe UI";
+    ctx.fillText(record.name, Math.min(...xs) + 10, Math.min(...ys) + 20);
+  });
+
+  projectState.links.forEach((link) => {
+    const fromRoom = findById(rooms, link.fromRoomId);
+    const toRoom = findById(rooms, link.toRoomId);
+    const fromPoint = fromRoom ? findById(fromRoom.passThroughs, link.fromPassThroughId) : null;
+    const toPoint = toRoom ? findById(toRoom.passThroughs, link.toPassThroughId) : null;
+    if (!fromPoint || !toPoint) return;
+    const a = project(toWorld(fromRoom, fromPoint));
+    const b = project(toWorld(toRoom, toPoint));
+    ctx.strokeStyle = "#2a7bc9";
+    ctx.lineWidth = 2;
+    ctx.setLineDash([6, 4]);
+    ctx.beginPath();
+    ctx.moveTo(a.x, a.y);
+    ctx.lineTo(b.x, b.y);
+    ctx.stroke();
+    ctx.setLineDash([]);
+  });
+}
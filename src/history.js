@@ -0,0 +1,70 @@
+export const HISTORY_LIMIT = 100;
+const MERGE_WINDOW_MS = 1000;
+
+export function createHistory(present) {
+  return { past: [], present, future: [], pending: null };
+}
+
+// Records `next` as a new step. Consecutive commits sharing a mergeKey inside
+// the merge window collapse into one step, so typing in a field is one undo.
+export function commitHistory(history, label, next, mergeKey = null) {
+  if (next === history.present) return history;
+  if (history.pending) return { ...history, present: next };
+  const now = Date.now();
+  const last = history.past[history.past.length - 1];
+  if (mergeKey && last && last.mergeKey === mergeKey && now - last.at < MERGE_WINDOW_MS) {
+    return { ...history, past: [...history.past.slice(0, -1), { ...last, at: now }], present: next, future: [] };
+  }
+  const past = [...history.past, { label, state: history.present, mergeKey, at: now }].slice(-HISTORY_LIMIT);
+  return { ...history, past, present: next, future: [] };
+}
+
+// A transaction groups many intermediate updates (e.g. a canvas drag) into a
+// single step that is only recorded if the model actually changed.
+export function beginTransaction(history, label) {
+  if (history.pending) return history;
+  return { ...history, pending: { label, base: history.present } };
+}
+
+export function updateTransaction(history, next) {
+  if (!history.pending) return history;
+  return { ...history, present: next };
+}
+
+export function endTransaction(history) {
+  if (!history.pending) return history;
+  const { label, base } = history.pending;
+  if (base === history.present) return { ...history, pending: null };
+  const past = [...history.past, { label, state: base, mergeKey: null, at: Date.now() }].slice(-HISTORY_LIMIT);
+  return { ...history, past, future: [], pending: null };
+}
+
+export function undoHistory(history) {
+  if (history.pending || history.past.length === 0) return history;
+  const step = history.past[history.past.length - 1];
+  return {
+    ...history,
+    past: history.past.slice(0, -1),
+    present: step.state,
+    future: [{ label: step.label, state: history.present }, ...history.future],
+  };
+}
+
+export function redoHistory(history) {
+  if (history.pending || history.future.length === 0) return history;
+  const [step, ...future] = history.future;
+  return {
+    ...history,
+    past: [...history.past, { label: step.label, state: history.present, mergeKey: null, at: 0 }],
+    present: step.state,
+    future,
+  };
+}
+
+// Moves to the point right after `stepCount` steps have been applied.
+export function jumpHistory(history, stepCount) {
+  let current = history;
+  while (current.past.length > stepCount && current.past.length > 0) current = undoHistory(current);
+  while (current.past.length < stepCount && current.future.length > 0) current = redoHistory(current);
+  return current;
+}
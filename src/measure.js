@@ -0,0 +1,73 @@
+import { degToRad, findById, getPolygonArea } from "./modeling.js";
+import { isRackMounted } from "./rack.js";
+
+export const MEASURE_MODES = { distance: "Distance", chain: "Chain", area: "Area" };
+
+// Points this close outside a footprint still attach to it, so surfaces
+// picked in 3D land on the equipment they were picked from.
+const ATTACH_TOLERANCE = 20;
+
+export function getMinimumPoints(type) {
+  return type === "area" ? 3 : 2;
+}
+
+function toLocal(item, point) {
+  const angle = degToRad(item.rotationDeg || 0);
+  const dx = point.x - item.x;
+  const dy = point.y - item.y;
+  return { x: dx * Math.cos(angle) + dy * Math.sin(angle), y: -dx * Math.sin(angle) + dy * Math.cos(angle) };
+}
+
+// Anchors keep a point's offset in the local frame of the floor-standing
+// equipment it lies on, so dimensions follow the equipment when it moves or
+// turns. Points on open floor keep room coordinates and have no equipmentId.
+export function createAnchor(equipment, point) {
+  const z = Math.round(point.z || 0);
+  const host = [...equipment].reverse().find((item) => {
+    if (isRackMounted(item)) return false;
+    const local = toLocal(item, point);
+    return Math.abs(local.x) <= item.width / 2 + ATTACH_TOLERANCE && Math.abs(local.y) <= item.depth / 2 + ATTACH_TOLERANCE;
+  });
+  if (!host) return { equipmentId: null, x: Math.round(point.x), y: Math.round(point.y), z };
+  const local = toLocal(host, point);
+  return { equipmentId: host.id, x: Math.round(local.x), y: Math.round(local.y), z };
+}
+
+// Room point of an anchor, or null once its equipment has gone.
+export function resolveAnchor(equipment, anchor) {
+  if (!anchor.equipmentId) return { x: anchor.x, y: anchor.y, z: anchor.z };
+  const item = findById(equipment, anchor.equipmentId);
+  if (!item) return null;
+  const angle = degToRad(item.rotationDeg || 0);
+  return {
+    x: item.x + anchor.x * Math.cos(angle) - anchor.y * Math.sin(angle),
+    y: item.y + anchor.x * Math.sin(angle) + anchor.y * Math.cos(angle),
+    z: anchor.z,
+  };
+}
+
+export function resolveAnnotation(equipment, annotation) {
+  const points = annotation.anchors.map((anchor) => resolveAnchor(equipment, anchor));
+  return points.every(Boolean) ? points : null;
+}
+
+export function getDistance(a, b) {
+  return Math.hypot(b.x - a.x, b.y - a.y, (b.z || 0) - (a.z || 0));
+}
+
+// Lengths of each leg, their total and, for areas, the enclosed plan area in
+// square metres. Areas include the closing leg in their perimeter.
+export function getMeasurement(type, points) {
+  const legs = points.slice(1).map((point, index) => getDistance(points[index], point));
+  if (type === "area" && points.length >= 3) legs.push(getDistance(points[points.length - 1], points[0]));
+  const total = legs.reduce((sum, leg) => sum + leg, 0);
+  const area = type === "area" && points.length >= 3 ? getPolygonArea(points) / 1000000 : null;
+  return { legs, total, area };
+}
+
+export function describeMeasurement(type, points) {
+  const { legs, total, area } = getMeasurement(type, points);
+  if (type === "area") return area === null ? `${points.length} point(s)` : `${area.toFixed(2)} m2, ${Math.round(total)} mm perimeter`;
+  if (type === "chain") return `${Math.round(total)} mm over ${legs.length} leg(s)`;
+  return legs.length > 0 ? `${Math.round(total)} mm` : "Pick a second point";
+}
@@ -1,13 +1,17 @@
 export const RU_HEIGHT = 44.45;
 export const RACK_BASE_CLEARANCE = 40;
 
-export const EQUIPMENT_PRESETS = {
-  cabinet: { width: 600, depth: 1000, height: 2200, color2d: "#384a5f", color3d: "#617e98", label: "Network Cabinet", mountable: false, rackUnits: 42 },
-  crac: { width: 900, depth: 1200, height: 2400, color2d: "#668c4d", color3d: "#84aa69", label: "CRAC Unit", mountable: false, rackUnits: 0 },
-  switch: { width: 450, depth: 450, height: 44.45, color2d: "#6a5b95", color3d: "#8d80b8", label: "Network Switch", mountable: true, rackUnits: 1 },
-  ups: { width: 440, depth: 700, height: 133.35, color2d: "#a85b3c", color3d: "#cb7e5d", label: "UPS", mountable: true, rackUnits: 3 },
-  pdu: { width: 440, depth: 220, height: 88.9, color2d: "#aa8b2b", color3d: "#c8aa4b", label: "PDU", mountable: true, rackUnits: 2 },
-};
+let idCounter = 0;
+
+export function createId(prefix) {
+  idCounter += 1;
+  return `${prefix}-${Date.now().toString(36)}-${idCounter.toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+}
+
+export function findById(items, id) {
+  if (id === null || id === undefined) return null;
+  return items.find((item) => item.id === id) || null;
+}
 
 export function clamp(value, min, max) {
   return Math.min(Math.max(Number(value) || 0, min), max);
@@ -17,8 +21,10 @@ export function degToRad(value) {
   return (Number(value) * Math.PI) / 180;
 }
 
-function radians(value) {
-  return (value * Math.PI) / 180;
+// Unit vector out of an item's front face, which is local +y.
+export function getFront(item) {
+  const angle = degToRad(item.rotationDeg || 0);
+  return { x: -Math.sin(angle), y: Math.cos(angle) };
 }
 
 function normalize(vector) {
@@ -26,31 +32,20 @@ function normalize(vector) {
   return { x: vector.x / length, y: vector.y / length };
 }
 
-function rotatePoint(center, point, angleDeg) {
-  const angle = radians(angleDeg);
-  const cos = Math.cos(angle);
-  const sin = Math.sin(angle);
-  const dx = point.x - center.x;
-  const dy = point.y - center.y;
-  return { x: center.x + dx * cos - dy * sin, y: center.y + dx * sin + dy * cos };
-}
-
-function directionVector(direction) {
-  switch (direction) {
-    case "x-": return { x: -1, y: 0 };
-    case "y+": return { x: 0, y: 1 };
-    case "y-": return { x: 0, y: -1 };
-    default: return { x: 1, y: 0 };
-  }
-}
-
-function turnVector(primary, turn) {
-  if (turn === "none") { return { x: 0, y: 0 }; }
-  if (turn === "left") { return { x: -primary.y, y: primary.x }; }
-  return { x: primary.y, y: -primary.x };
+export function createRectangleOutline(width, length) {
+  return [
+    { x: 0, y: 0 },
+    { x: width, y: 0 },
+    { x: width, y: length },
+    { x: 0, y: length },
+  ].map((point) => ({ id: createId("vertex"), ...point }));
 }
 
 export function getRoomFootprint(room) {
+  if (Array.isArray(room.outline) && room.outline.length >= 3) {
+    return room.outline;
+  }
+  // Rooms saved before outlines existed are a rectangle sheared by two wall tilts.
   const southRise = Math.tan(degToRad(room.southTiltDeg)) * room.width;
   const eastShift = Math.tan(degToRad(room.eastTiltDeg)) * room.length;
   return [
@@ -61,6 +56,20 @@ export function getRoomFootprint(room) {
   ];
 }
 
+export function getPolygonArea(points) {
+  const doubled = points.reduce((sum, point, index) => {
+    const next = points[(index + 1) % points.length];
+    return sum + point.x * next.y - next.x * point.y;
+  }, 0);
+  return Math.abs(doubled) / 2;
+}
+
+export function getPolygonBounds(points) {
+  const xs = points.map((point) => point.x);
+  const ys = points.map((point) => point.y);
+  return { minX: Math.min(...xs), maxX: Math.max(...xs), minY: Math.min(...ys), maxY: Math.max(...ys) };
+}
+
 export function getWallSegments(room) {
   const points = getRoomFootprint(room);
   return points.map((start, index) => {
@@ -68,6 +77,7 @@ export function getWallSegments(room) {
     const vector = { x: end.x - start.x, y: end.y - start.y };
     return {
       index,
+      id: start.id,
       start,
       end,
       length: Math.hypot(vector.x, vector.y),
@@ -82,6 +92,70 @@ export function pointAlongWall(wall, distance) {
   return { x: wall.start.x + wall.dir.x * safe, y: wall.start.y + wall.dir.y * safe };
 }
 
+// Outline edits return the new outline together with the openings re-homed so
+// each one stays on the same physical stretch of wall.
+export function splitWall(outline, openings, wallIndex, distance) {
+  const start = outline[wallIndex];
+  const end = outline[(wallIndex + 1) % outline.length];
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  const split = clamp(distance, 1, Math.max(length - 1, 1));
+  const t = split / (length || 1);
+  const vertex = { id: createId("vertex"), x: Math.round(start.x + (end.x - start.x) * t), y: Math.round(start.y + (end.y - start.y) * t) };
+  const nextOutline = [...outline.slice(0, wallIndex + 1), vertex, ...outline.slice(wallIndex + 1)];
+  const nextOpenings = openings.map((opening) => {
+    if (opening.wall > wallIndex) return { ...opening, wall: opening.wall + 1 };
+    if (opening.wall === wallIndex && opening.offset >= split) return { ...opening, wall: wallIndex + 1, offset: opening.offset - split };
+    return opening;
+  });
+  return { outline: nextOutline, openings: nextOpenings };
+}
+
+export function removeOutlineVertex(outline, openings, vertexIndex) {
+  if (outline.length <= 3) return { outline, openings };
+  const count = outline.length;
+  const previousWall = (vertexIndex - 1 + count) % count;
+  const mergedWall = vertexIndex === 0 ? count - 2 : vertexIndex - 1;
+  const nextOutline = outline.filter((_, index) => index !== vertexIndex);
+  const mergedStart = outline[previousWall];
+  const mergedDir = normalize({ x: outline[(vertexIndex + 1) % count].x - mergedStart.x, y: outline[(vertexIndex + 1) % count].y - mergedStart.y });
+  // Openings on either removed wall are projected onto the merged wall.
+  const rehome = (opening) => {
+    const start = outline[opening.wall];
+    const end = outline[(opening.wall + 1) % count];
+    const dir = normalize({ x: end.x - start.x, y: end.y - start.y });
+    const point = { x: start.x + dir.x * opening.offset, y: start.y + dir.y * opening.offset };
+    const offset = (point.x - mergedStart.x) * mergedDir.x + (point.y - mergedStart.y) * mergedDir.y;
+    return { ...opening, wall: mergedWall, offset: Math.max(Math.round(offset), 0) };
+  };
+  const nextOpenings = openings.map((opening) => {
+    if (opening.wall === previousWall || opening.wall === vertexIndex) return rehome(opening);
+    return opening.wall > vertexIndex ? { ...opening, wall: opening.wall - 1 } : opening;
+  });
+  return { outline: nextOutline, openings: nextOpenings };
+}
+
+export function setWallLength(outline, wallIndex, length) {
+  const start = outline[wallIndex];
+  const endIndex = (wallIndex + 1) % outline.length;
+  const end = outline[endIndex];
+  const dir = normalize({ x: end.x - start.x, y: end.y - start.y });
+  const safe = Math.max(Number(length) || 0, 100);
+  return outline.map((vertex, index) =>
+    index === endIndex ? { ...vertex, x: Math.round(start.x + dir.x * safe), y: Math.round(start.y + dir.y * safe) } : vertex
+  );
+}
+
+export function setWallAngle(outline, wallIndex, angleDeg) {
+  const start = outline[wallIndex];
+  const endIndex = (wallIndex + 1) % outline.length;
+  const end = outline[endIndex];
+  const length = Math.hypot(end.x - start.x, end.y - start.y);
+  const angle = degToRad(angleDeg);
+  return outline.map((vertex, index) =>
+    index === endIndex ? { ...vertex, x: Math.round(start.x + Math.cos(angle) * length), y: Math.round(start.y + Math.sin(angle) * length) } : vertex
+  );
+}
+
 export function getOpeningBounds(opening, wall, room) {
   const width = clamp(opening.width, 150, Math.max(wall.length - 100, 150));
   const start = clamp(opening.offset, 50, Math.max(wall.length - width - 50, 50));
@@ -91,24 +165,70 @@ export function getOpeningBounds(opening, wall, room) {
   return { start, end, sill, top };
 }
 
-export function getTraySegments(tray) {
-  const primary = directionVector(tray.primaryDirection);
-  const firstEnd = { x: tray.x + primary.x * tray.lengthA, y: tray.y + primary.y * tray.lengthA, z: tray.z };
-  const segments = [{ start: { x: tray.x, y: tray.y, z: tray.z }, end: firstEnd }];
-  if (tray.turn !== "none" && tray.lengthB > 0) {
-    const secondary = turnVector(primary, tray.turn);
-    segments.push({
-      start: firstEnd,
-      end: { x: firstEnd.x + secondary.x * tray.lengthB, y: firstEnd.y + secondary.y * tray.lengthB, z: tray.z },
-    });
+export const DOOR_STYLES = { single: "Single Leaf", double: "Double Leaf", sliding: "Sliding" };
+export const DOOR_DEFAULTS = { doorStyle: "single", hinge: "left", swing: "in" };
+
+// Sliding panels run this far inside the wall face.
+const SLIDING_OFFSET = 80;
+const SWING_STEPS = 12;
+
+// Plan geometry of each door leaf. `hinge` is the side seen from inside the
+// room. Swinging leaves return the arc traced by the leaf tip and the sector
+// it sweeps; a sliding leaf parks beside the opening inside the room.
+// `keepOut` marks zones on the room side that must stay clear.
+export function getDoorLeaves(opening, wall, room) {
+  const bounds = getOpeningBounds(opening, wall, room);
+  const start = pointAlongWall(wall, bounds.start);
+  const end = pointAlongWall(wall, bounds.end);
+  const middle = { x: (start.x + end.x) / 2, y: (start.y + end.y) / 2 };
+  const left = { x: -wall.dir.y, y: wall.dir.x };
+  const inward = isPointInsidePolygon({ x: middle.x + left.x * 10, y: middle.y + left.y * 10 }, getRoomFootprint(room)) ? left : { x: -left.x, y: -left.y };
+  // Facing the wall from inside, left is the inward normal turned clockwise.
+  const hingeAtEnd = (opening.hinge === "right") !== (wall.dir.x * inward.y - wall.dir.y * inward.x > 0);
+  const width = bounds.end - bounds.start;
+  const offset = (point, direction, distance) => ({ x: point.x + direction.x * distance, y: point.y + direction.y * distance });
+
+  if (opening.doorStyle === "sliding") {
+    const [hinge, closed] = hingeAtEnd ? [end, start] : [start, end];
+    const along = { x: (hinge.x - closed.x) / width, y: (hinge.y - closed.y) / width };
+    const panel = [offset(hinge, inward, SLIDING_OFFSET), offset(offset(hinge, along, width), inward, SLIDING_OFFSET)];
+    const zone = [hinge, offset(hinge, along, width), ...panel.slice().reverse().map((point) => offset(point, inward, SLIDING_OFFSET))];
+    return [{ hinge, closed, open: panel[1], path: panel, zone, keepOut: true, sliding: true }];
   }
-  return segments;
+
+  const normal = opening.swing === "out" ? { x: -inward.x, y: -inward.y } : inward;
+  const leaves = opening.doorStyle === "double"
+    ? [[start, end], [end, start]].map(([hinge, closed]) => ({ hinge, closed: { x: (hinge.x + closed.x) / 2, y: (hinge.y + closed.y) / 2 } }))
+    : [hingeAtEnd ? { hinge: end, closed: start } : { hinge: start, closed: end }];
+  return leaves.map(({ hinge, closed }) => {
+    const radius = Math.hypot(closed.x - hinge.x, closed.y - hinge.y);
+    const open = offset(hinge, normal, radius);
+    const from = Math.atan2(closed.y - hinge.y, closed.x - hinge.x);
+    let sweep = Math.atan2(open.y - hinge.y, open.x - hinge.x) - from;
+    if (sweep > Math.PI) sweep -= Math.PI * 2;
+    if (sweep < -Math.PI) sweep += Math.PI * 2;
+    const path = Array.from({ length: SWING_STEPS + 1 }, (_, step) => {
+      const angle = from + (sweep * step) / SWING_STEPS;
+      return { x: hinge.x + Math.cos(angle) * radius, y: hinge.y + Math.sin(angle) * radius };
+    });
+    return { hinge, closed, open, path, zone: [hinge, ...path], keepOut: opening.swing !== "out", sliding: false };
+  });
+}
+
+// A tray run is a polyline at one elevation; each leg is a segment.
+export function getTraySegments(tray) {
+  const points = tray.points || [];
+  return points.slice(1).map((point, index) => ({
+    start: { x: points[index].x, y: points[index].y, z: tray.z },
+    end: { x: point.x, y: point.y, z: tray.z },
+  }));
 }
 
 export function getTrayAnchor(tray) {
   const segments = getTraySegments(tray);
   if (segments.length === 0) {
-    return { x: tray.x, y: tray.y, z: tray.z };
+    const first = tray.points?.[0] || { x: 0, y: 0 };
+    return { x: first.x, y: first.y, z: tray.z };
   }
   const first = segments[0];
   return {
@@ -131,30 +251,6 @@ export function normalizeConnection(connection) {
   };
 }
 
-export function getConnectionAnchor(ref, equipment, trays) {
-  if (!ref) return null;
-  if (ref.kind === "equipment") {
-    const item = equipment[ref.index];
-    if (!item) return null;
-    const mountedCabinet =
-      item.mountedIn !== null && item.mountedIn !== undefined ? equipment[item.mountedIn] : null;
-    if (mountedCabinet && mountedCabinet.type === "cabinet") {
-      return {
-        x: mountedCabinet.x,
-        y: mountedCabinet.y,
-        z: ((item.rackStart || 1) - 1) * RU_HEIGHT + item.height / 2 + RACK_BASE_CLEARANCE,
-      };
-    }
-    return { x: item.x, y: item.y, z: item.height };
-  }
-  if (ref.kind === "tray") {
-    const tray = trays[ref.index];
-    if (!tray) return null;
-    return getTrayAnchor(tray);
-  }
-  return null;
-}
-
 export function isPointInsidePolygon(point, polygon) {
   let inside = false;
   for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
@@ -184,7 +280,11 @@ export function fitCanvas(canvas, ctx) {
 
 export function getPlanProjection(room, canvas) {
   const walls = getWallSegments(room);
-  const points = walls.map((wall) => wall.start);
+  return { ...getPointsProjection(walls.map((wall) => wall.start), canvas), walls };
+}
+
+// Fits an arbitrary set of plan points into the canvas, e.g. every room on a floor.
+export function getPointsProjection(points, canvas) {
   const ratio = window.devicePixelRatio || 1;
   const renderWidth = canvas.width / ratio;
   const renderHeight = canvas.height / ratio;
@@ -208,132 +308,5 @@ export function getPlanProjection(room, canvas) {
       y: minY + (renderHeight - padding - point.y) / scale,
     };
   }
-  return { walls, points, renderWidth, renderHeight, scale, project, unproject, minX, minY, maxX, maxY, padding };
-}
-
-export function project3D(vertex, metrics, view3d) {
-  const cosY = Math.cos(view3d.yaw);
-  const sinY = Math.sin(view3d.yaw);
-  const cosP = Math.cos(view3d.pitch);
-  const sinP = Math.sin(view3d.pitch);
-  const dx = vertex.x - metrics.center.x;
-  const dy = vertex.y - metrics.center.y;
-  const dz = vertex.z - metrics.center.z;
-  const x1 = dx * cosY - dy * sinY;
-  const y1 = dx * sinY + dy * cosY;
-  const y2 = y1 * cosP - dz * sinP;
-  const depth = y1 * sinP + dz * cosP;
-  return { x: metrics.canvasWidth / 2 + x1 * view3d.zoom, y: metrics.canvasHeight * 0.72 - y2 * view3d.zoom, depth };
-}
-
-function queueFace(metrics, vertices, fill, stroke, view3d) {
-  const projected = vertices.map((vertex) => project3D(vertex, metrics, view3d));
-  const depth = projected.reduce((sum, point) => sum + point.depth, 0) / projected.length;
-  return { projected, depth, fill, stroke };
-}
-
-function prismVertices(center, width, depth, height, rotationDeg, baseZ) {
-  const halfWidth = width / 2;
-  const halfDepth = depth / 2;
-  const corners = [
-    { x: center.x - halfWidth, y: center.y - halfDepth },
-    { x: center.x + halfWidth, y: center.y - halfDepth },
-    { x: center.x + halfWidth, y: center.y + halfDepth },
-    { x: center.x - halfWidth, y: center.y + halfDepth },
-  ].map((corner) => rotatePoint(center, corner, rotationDeg));
-  return {
-    bottom: corners.map((corner) => ({ x: corner.x, y: corner.y, z: baseZ })),
-    top: corners.map((corner) => ({ x: corner.x, y: corner.y, z: baseZ + height })),
-  };
-}
-
-export function drawQueuedFaces(ctx, faces) {
-  faces.sort((a, b) => a.depth - b.depth).forEach((face) => {
-    ctx.beginPath();
-    face.projected.forEach((point, index) => {
-      if (index === 0) { ctx.moveTo(point.x, point.y); } else { ctx.lineTo(point.x, point.y); }
-    });
-    ctx.closePath();
-    ctx.fillStyle = face.fill;
-    ctx.fill();
-    ctx.strokeStyle = face.stroke;
-    ctx.lineWidth = 1;
-    ctx.stroke();
-  });
-}
-
-export function buildFaces(room, footprint, openings, equipment, trays, view3d) {
-  const walls = getWallSegments(room);
-  const metrics = {
-    canvasWidth: 0,
-    canvasHeight: 0,
-    center: {
-      x: footprint.reduce((sum, point) => sum + point.x, 0) / footprint.length,
-      y: footprint.reduce((sum, point) => sum + point.y, 0) / footprint.length,
-      z: room.height / 2,
-    },
-  };
-  const faces = [];
-  faces.push((size) => queueFace({ ...metrics, ...size }, footprint.map((point) => ({ x: point.x, y: point.y, z: 0 })), "#e7d8ba", "#a88b5c", view3d));
-  walls.forEach((wall) => {
-    const wallOpenings = openings
-      .filter((opening) => opening.wall === wall.index)
-      .map((opening) => ({ bounds: getOpeningBounds(opening, wall, room) }))
-      .sort((a, b) => a.bounds.start - b.bounds.start);
-    const sections = [];
-    let cursor = 0;
-    wallOpenings.forEach(({ bounds }) => {
-      if (bounds.start > cursor) { sections.push({ start: cursor, end: bounds.start, z0: 0, z1: room.height }); }
-      if (bounds.sill > 0) { sections.push({ start: bounds.start, end: bounds.end, z0: 0, z1: bounds.sill }); }
-      if (bounds.top < room.height) { sections.push({ start: bounds.start, end: bounds.end, z0: bounds.top, z1: room.height }); }
-      cursor = bounds.end;
-    });
-    if (cursor < wall.length) { sections.push({ start: cursor, end: wall.length, z0: 0, z1: room.height }); }
-    sections.forEach((section) => {
-      if (section.end - section.start < 25 || section.z1 - section.z0 < 25) { return; }
-      const a = pointAlongWall(wall, section.start);
-      const b = pointAlongWall(wall, section.end);
-      faces.push((size) => queueFace({ ...metrics, ...size }, [
-        { x: a.x, y: a.y, z: section.z0 },
-        { x: b.x, y: b.y, z: section.z0 },
-        { x: b.x, y: b.y, z: section.z1 },
-        { x: a.x, y: a.y, z: section.z1 },
-      ], "#d8c6a2", "#8d7343", view3d));
-    });
-  });
-  equipment.forEach((item) => {
-    if (!isPointInsidePolygon({ x: item.x, y: item.y }, footprint)) { return; }
-    const preset = EQUIPMENT_PRESETS[item.type];
-    const vertices = prismVertices({ x: item.x, y: item.y }, item.width, item.depth, item.height, item.rotationDeg, 0);
-    [
-      [vertices.top[0], vertices.top[1], vertices.top[2], vertices.top[3], preset.color3d],
-      [vertices.bottom[0], vertices.bottom[1], vertices.top[1], vertices.top[0], preset.color2d],
-      [vertices.bottom[1], vertices.bottom[2], vertices.top[2], vertices.top[1], preset.color2d],
-      [vertices.bottom[2], vertices.bottom[3], vertices.top[3], vertices.top[2], preset.color2d],
-      [vertices.bottom[3], vertices.bottom[0], vertices.top[0], vertices.top[3], preset.color2d],
-    ].forEach((definition) => {
-      faces.push((size) => queueFace({ ...metrics, ...size }, definition.slice(0, 4), definition[4], "#2b2b2b", view3d));
-    });
-  });
-  trays.forEach((tray) => {
-    getTraySegments(tray).forEach((segment) => {
-      const dx = segment.end.x - segment.start.x;
-      const dy = segment.end.y - segment.start.y;
-      const length = Math.hypot(dx, dy);
-      if (length <= 0) { return; }
-      const angleDeg = (Math.atan2(dy, dx) * 180) / Math.PI;
-      const center = { x: (segment.start.x + segment.end.x) / 2, y: (segment.start.y + segment.end.y) / 2 };
-      const vertices = prismVertices(center, length, tray.width, tray.depth, angleDeg, tray.z);
-      [
-        [vertices.top[0], vertices.top[1], vertices.top[2], vertices.top[3], "#e1b155"],
-        [vertices.bottom[0], vertices.bottom[1], vertices.top[1], vertices.top[0], "#c88f22"],
-        [vertices.bottom[1], vertices.bottom[2], vertices.top[2], vertices.top[1], "#c88f22"],
-        [vertices.bottom[2], vertices.bottom[3], vertices.top[3], vertices.top[2], "#c88f22"],
-        [vertices.bottom[3], vertices.bottom[0], vertices.top[0], vertices.top[3], "#c88f22"],
-      ].forEach((definition) => {
-        faces.push((size) => queueFace({ ...metrics, ...size }, definition.slice(0, 4), definition[4], "#855b11", view3d));
-      });
-    });
-  });
-  return faces;
+  return { points, renderWidth, renderHeight, scale, project, unproject, minX, minY, maxX, maxY, padding };
 }
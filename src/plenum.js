@@ -0,0 +1,152 @@
+import { getFront, getRoomFootprint, isPointInsidePolygon } from "./modeling.js";
+
+// Tiles without a record are solid.
+export const TILE_TYPES = { solid: "Solid", perforated: "Perforated", grommet: "Grommet", cutout: "Cut-Out" };
+
+export const UNDERFLOOR_TYPES = { pipe: "Pipe", basket: "Cable Basket", pedestal: "Pedestal", whip: "Power Whip" };
+
+// `size` is a pipe or whip diameter, a basket width or a pedestal's square
+// section; `z` is the centreline height above the slab.
+export const UNDERFLOOR_DEFAULTS = {
+  pipe: { size: 100, z: 150 },
+  basket: { size: 300, z: 100 },
+  pedestal: { size: 50, z: 0 },
+  whip: { size: 32, z: 50 },
+};
+
+const BASKET_DEPTH = 100;
+
+export function getTileSize(room) {
+  return Math.max(room.floorTileSize || 600, 100);
+}
+
+// Room point where the corner of tile A01 sits.
+export function getGridOrigin(room) {
+  return room.gridOrigin || { x: 0, y: 0 };
+}
+
+function getColumnLetters(col) {
+  let letters = "";
+  for (let rest = col + 1; rest > 0; rest = Math.floor((rest - 1) / 26)) {
+    letters = String.fromCharCode(65 + ((rest - 1) % 26)) + letters;
+  }
+  return letters;
+}
+
+// Columns are lettered along x and rows numbered along y, counted from the
+// grid origin, so the tile at the origin is A01. Tiles before the origin
+// have no address.
+export function getTileAddress(cell) {
+  if (cell.col < 0 || cell.row < 0) return null;
+  return `${getColumnLetters(cell.col)}${String(cell.row + 1).padStart(2, "0")}`;
+}
+
+export function parseTileAddress(address) {
+  const match = /^([A-Z]+)(\d+)$/.exec(String(address).trim().toUpperCase());
+  if (!match || Number(match[2]) < 1) return null;
+  const col = [...match[1]].reduce((sum, letter) => sum * 26 + letter.charCodeAt(0) - 64, 0) - 1;
+  return { col, row: Number(match[2]) - 1 };
+}
+
+// "c7" and "C007" both become "C07".
+export function normalizeTileAddress(address) {
+  const cell = parseTileAddress(address);
+  return cell ? getTileAddress(cell) : null;
+}
+
+export function getTileAt(room, point) {
+  const size = getTileSize(room);
+  const origin = getGridOrigin(room);
+  return { col: Math.floor((point.x - origin.x) / size), row: Math.floor((point.y - origin.y) / size) };
+}
+
+export function getTileRect(room, cell) {
+  const size = getTileSize(room);
+  const origin = getGridOrigin(room);
+  const x = origin.x + cell.col * size;
+  const y = origin.y + cell.row * size;
+  return [
+    { x, y },
+    { x: x + size, y },
+    { x: x + size, y: y + size },
+    { x, y: y + size },
+  ];
+}
+
+export function getTileCenter(room, cell) {
+  const size = getTileSize(room);
+  const origin = getGridOrigin(room);
+  return { x: origin.x + (cell.col + 0.5) * size, y: origin.y + (cell.row + 0.5) * size };
+}
+
+// Re-addresses typed tiles after the grid origin or tile size changes, so
+// each stays on the spot it covered. Tiles that end up before the origin, or
+// on a tile already taken, are dropped.
+export function rekeyTiles(tiles, fromRoom, toRoom) {
+  const taken = new Set();
+  return tiles.flatMap((tile) => {
+    const address = getTileAddress(getTileAt(toRoom, getTileCenter(fromRoom, parseTileAddress(tile.address))));
+    if (!address || taken.has(address)) return [];
+    taken.add(address);
+    return [{ ...tile, address }];
+  });
+}
+
+// Grid lines at or before `value` along one axis, from the origin.
+export function getFirstTileLine(room, value, axis) {
+  const size = getTileSize(room);
+  const origin = getGridOrigin(room)[axis];
+  return origin + Math.floor((value - origin) / size) * size;
+}
+
+// Equipment is addressed by the tile its front stands on, the way a cabinet
+// is found on the floor from the cold aisle.
+export function getEquipmentTile(room, item) {
+  const front = getFront(item);
+  const inset = item.depth / 2 - 1;
+  return getTileAt(room, { x: item.x + front.x * inset, y: item.y + front.y * inset });
+}
+
+// Position that centres `item` across `cell` with its front on the tile's
+// front edge.
+export function placeOnTile(room, item, cell) {
+  const front = getFront(item);
+  const center = getTileCenter(room, cell);
+  const shift = getTileSize(room) / 2 - item.depth / 2;
+  return { x: Math.round(center.x + front.x * shift), y: Math.round(center.y + front.y * shift) };
+}
+
+// Moves `point`, a proposed position for `item`, so that the item's front
+// and one side land on tile edges. Only square-on rotations can line up
+// with the grid; anything else returns null.
+export function snapToTileEdges(room, item, point) {
+  if ((item.rotationDeg || 0) % 90 !== 0) return null;
+  const size = getTileSize(room);
+  const origin = getGridOrigin(room);
+  const front = getFront(item);
+  const snap = (value, axis) => origin[axis] + Math.round((value - origin[axis]) / size) * size;
+  if (Math.round(front.x) === 0) {
+    const facing = Math.round(front.y);
+    return {
+      x: Math.round(snap(point.x - item.width / 2, "x") + item.width / 2),
+      y: Math.round(snap(point.y + (facing * item.depth) / 2, "y") - (facing * item.depth) / 2),
+    };
+  }
+  const facing = Math.round(front.x);
+  return {
+    x: Math.round(snap(point.x + (facing * item.depth) / 2, "x") - (facing * item.depth) / 2),
+    y: Math.round(snap(point.y - item.width / 2, "y") + item.width / 2),
+  };
+}
+
+export function isTileInRoom(room, cell) {
+  return isPointInsidePolygon(getTileCenter(room, cell), getRoomFootprint(room));
+}
+
+// Cross-section of an underfloor object; baskets are shallow trays and
+// pedestals hold the floor up from the slab.
+export function getUnderfloorProfile(object, room) {
+  if (object.type === "basket") return { width: object.size, height: BASKET_DEPTH, bottom: object.z - BASKET_DEPTH / 2 };
+  if (object.type === "pedestal") return { width: object.size, height: room.floorElevation, bottom: 0 };
+  return { width: object.size, height: object.size, bottom: object.z - object.size / 2 };
+}
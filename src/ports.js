@@ -0,0 +1,142 @@
+import { PORT_TYPES } from "./catalog.js";
+import { findById } from "./modeling.js";
+import { isZeroU } from "./rack.js";
+
+// Outlets on a 0U strip are C13 sockets, numbered from the top.
+const OUTLET_TYPE = "C13";
+
+// Every port a cable can land on: the device's named ports followed by the
+// outlets of a 0U strip. `value` is the key used by the endpoint selects.
+export function getDevicePorts(item) {
+  if (!item) return [];
+  const named = (item.ports || []).map((port) => ({ value: `port:${port.name}`, label: `${port.name} (${PORT_TYPES[port.type]?.label || port.type})`, type: port.type, port: port.name, outlet: null }));
+  const outlets = isZeroU(item)
+    ? Array.from({ length: item.outletCount || 0 }, (_, index) => ({ value: `outlet:${index + 1}`, label: `Outlet ${index + 1}`, type: OUTLET_TYPE, port: null, outlet: index + 1 }))
+    : [];
+  return [...named, ...outlets];
+}
+
+export function getEndpointPorts(kind, id, equipment) {
+  return kind === "equipment" ? getDevicePorts(findById(equipment, id)) : [];
+}
+
+export function parsePortValue(value) {
+  if (!value) return { port: null, outlet: null };
+  const separator = value.indexOf(":");
+  const key = value.slice(separator + 1);
+  return value.slice(0, separator) === "outlet" ? { port: null, outlet: Number(key) } : { port: key, outlet: null };
+}
+
+export function getPortValue(connection, end) {
+  if (connection[`${end}Port`]) return `port:${connection[`${end}Port`]}`;
+  if (connection[`${end}Outlet`]) return `outlet:${connection[`${end}Outlet`]}`;
+  return "";
+}
+
+function findEndpointPort(equipment, connection, end) {
+  const value = getPortValue(connection, end);
+  if (!value || connection[`${end}Kind`] !== "equipment") return null;
+  return getDevicePorts(findById(equipment, connection[`${end}Id`])).find((entry) => entry.value === value) || null;
+}
+
+export function canMate(typeA, typeB) {
+  return Boolean(PORT_TYPES[typeA]?.mates.includes(typeB));
+}
+
+// Returns why `connection` cannot land on its ports, or null. Ports must
+// exist, take one cable each and carry compatible media.
+export function getConnectionPortIssue(connection, equipment, connections) {
+  const ends = {};
+  for (const end of ["from", "to"]) {
+    const value = getPortValue(connection, end);
+    if (!value) continue;
+    ends[end] = findEndpointPort(equipment, connection, end);
+    if (!ends[end]) return `${end} ${value.replace(":", " ")} does not exist`;
+    const taken = connections.find((other) => other.id !== connection.id && ["from", "to"].some((otherEnd) =>
+      other[`${otherEnd}Id`] === connection[`${end}Id`] && getPortValue(other, otherEnd) === value
+    ));
+    if (taken) return `${ends[end].label} is already used by ${taken.label || "another cable"}`;
+  }
+  if (ends.from && ends.to && !canMate(ends.from.type, ends.to.type)) {
+    return `${PORT_TYPES[ends.from.type].label} cannot connect to ${PORT_TYPES[ends.to.type].label}`;
+  }
+  return null;
+}
+
+// Clears port references that no longer exist on their device, for example
+// after a model change or a shorter outlet strip.
+export function pruneConnectionPorts(connections, equipment) {
+  return connections.map((connection) => {
+    const stale = ["from", "to"].filter((end) => getPortValue(connection, end) && !findEndpointPort(equipment, connection, end));
+    if (stale.length === 0) return connection;
+    const next = { ...connection };
+    stale.forEach((end) => {
+      next[`${end}Port`] = null;
+      next[`${end}Outlet`] = null;
+    });
+    return next;
+  });
+}
+
+// Maps each port value of a device to the connection landing on it and the
+// end of that connection which is on the device.
+export function getPortConnections(connections, itemId) {
+  const landed = new Map();
+  connections.forEach((connection) => {
+    ["from", "to"].forEach((end) => {
+      const value = getPortValue(connection, end);
+      if (value && connection[`${end}Kind`] === "equipment" && connection[`${end}Id`] === itemId) landed.set(value, { connection, end });
+    });
+  });
+  return landed;
+}
+
+// The port a patch panel passes a signal through to, or null.
+export function getPortPair(item, portName) {
+  const ports = item?.ports || [];
+  const port = ports.find((entry) => entry.name === portName);
+  if (!port) return null;
+  return port.pair || ports.find((entry) => entry.pair === portName)?.name || null;
+}
+
+function endpointOf(connection, end) {
+  return {
+    kind: connection[`${end}Kind`],
+    id: connection[`${end}Id`],
+    port: connection[`${end}Port`] || null,
+    outlet: connection[`${end}Outlet`] || null,
+  };
+}
+
+// Follows cables away from a port, passing through paired panel ports, until
+// the path reaches a port with no pair or an endpoint without ports.
+function walkCircuit(connections, equipment, itemId, value, visited) {
+  const steps = [];
+  let current = { itemId, value };
+  while (current) {
+    const landed = getPortConnections(connections, current.itemId).get(current.value);
+    if (!landed || visited.has(landed.connection.id)) break;
+    visited.add(landed.connection.id);
+    const far = endpointOf(landed.connection, landed.end === "from" ? "to" : "from");
+    steps.push({ connection: landed.connection }, { endpoint: far });
+    const pair = far.kind === "equipment" && far.port ? getPortPair(findById(equipment, far.id), far.port) : null;
+    if (pair) steps.push({ endpoint: { kind: "equipment", id: far.id, port: pair, outlet: null } });
+    current = pair ? { itemId: far.id, value: `port:${pair}` } : null;
+  }
+  return steps;
+}
+
+// Full path through a port as a list of endpoint and cable steps. Starting on
+// a patch panel port traces both directions, so the panel appears mid-path.
+export function traceCircuit(equipment, connections, itemId, value) {
+  const item = findById(equipment, itemId);
+  if (!getDevicePorts(item).some((port) => port.value === value)) return [];
+  const { port, outlet } = parsePortValue(value);
+  const start = { endpoint: { kind: "equipment", id: itemId, port, outlet } };
+  const visited = new Set();
+  const forward = walkCircuit(connections, equipment, itemId, value, visited);
+  const pair = port ? getPortPair(item, port) : null;
+  if (!pair) return [start, ...forward];
+  const backward = walkCircuit(connections, equipment, itemId, `port:${pair}`, visited).reverse();
+  return [...backward, { endpoint: { kind: "equipment", id: itemId, port: pair, outlet: null } }, start, ...forward];
+}
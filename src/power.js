@@ -0,0 +1,134 @@
+import { findById } from "./modeling.js";
+import { getDevicePorts, getPortValue } from "./ports.js";
+
+export const POWER_FEEDS = ["A", "B"];
+
+// Circuits are flagged once their load passes this share of the breaker rating.
+export const CIRCUIT_LOAD_LIMIT = 80;
+
+// A cord plugged into one of these takes power from the equipment at its
+// other end.
+const INLET_TYPES = ["C14", "C20"];
+
+// Measured draw wins over the nameplate figure when it has been recorded.
+export function getDeviceDraw(item) {
+  return typeof item.measuredWatts === "number" && Number.isFinite(item.measuredWatts) ? item.measuredWatts : item.powerWatts || 0;
+}
+
+export function getCircuitCapacity(circuit) {
+  return circuit.voltage * circuit.ratingAmps;
+}
+
+function nodeKey(node) {
+  return `${node.kind}:${node.id}`;
+}
+
+// Where a node takes its power from. Equipment is fed by the circuit wired to
+// its input and by whatever each inlet is corded to; a circuit is fed by its
+// UPS, or by the utility when it has none.
+function getSupplies(node, record) {
+  if (node.kind === "circuit") {
+    const circuit = findById(record.circuits, node.id);
+    const source = circuit?.sourceId ? findById(record.equipment, circuit.sourceId) : null;
+    return source?.type === "ups" ? [{ kind: "equipment", id: source.id }] : [];
+  }
+  const item = findById(record.equipment, node.id);
+  if (!item) return [];
+  const ports = getDevicePorts(item);
+  const supplies = item.circuitId && findById(record.circuits, item.circuitId) ? [{ kind: "circuit", id: item.circuitId }] : [];
+  record.connections.forEach((connection) => {
+    ["from", "to"].forEach((end) => {
+      if (connection[`${end}Kind`] !== "equipment" || connection[`${end}Id`] !== item.id) return;
+      const other = end === "from" ? "to" : "from";
+      const port = ports.find((entry) => entry.value === getPortValue(connection, end));
+      if (!port || !INLET_TYPES.includes(port.type) || connection[`${other}Kind`] !== "equipment") return;
+      if (findById(record.equipment, connection[`${other}Id`])) supplies.push({ kind: "equipment", id: connection[`${other}Id`] });
+    });
+  });
+  return supplies;
+}
+
+// Loads for a room: each device's draw is shared evenly between its supplies
+// and carried up the chain to the utility. A device is redundant when it keeps
+// at least one live supply whichever single feed fails. A UPS counts as part
+// of the feed behind it.
+export function getPowerBudget(record) {
+  const circuits = record.circuits || [];
+  const model = { ...record, circuits };
+  const supplyCache = new Map();
+  const suppliesOf = (node) => {
+    const key = nodeKey(node);
+    if (!supplyCache.has(key)) supplyCache.set(key, getSupplies(node, model));
+    return supplyCache.get(key);
+  };
+  const loads = new Map();
+  const distribute = (node, watts, path) => {
+    const key = nodeKey(node);
+    if (path.has(key)) return;
+    loads.set(key, (loads.get(key) || 0) + watts);
+    const supplies = suppliesOf(node);
+    const nextPath = new Set(path).add(key);
+    supplies.forEach((supply) => distribute(supply, watts / supplies.length, nextPath));
+  };
+  const feedsOf = (node, path = new Set()) => {
+    const key = nodeKey(node);
+    if (path.has(key)) return new Set();
+    const supplies = suppliesOf(node);
+    if (node.kind === "circuit" && supplies.length === 0) {
+      const circuit = findById(circuits, node.id);
+      return new Set(circuit ? [circuit.feed] : []);
+    }
+    const nextPath = new Set(path).add(key);
+    return new Set(supplies.flatMap((supply) => [...feedsOf(supply, nextPath)]));
+  };
+  const survives = (node, failed, path = new Set()) => {
+    const key = nodeKey(node);
+    if (path.has(key)) return false;
+    const supplies = suppliesOf(node);
+    if (node.kind === "circuit" && supplies.length === 0) return findById(circuits, node.id)?.feed !== failed;
+    const nextPath = new Set(path).add(key);
+    return supplies.some((supply) => survives(supply, failed, nextPath));
+  };
+
+  const devices = record.equipment
+    .filter((item) => getDeviceDraw(item) > 0)
+    .map((item) => {
+      const node = { kind: "equipment", id: item.id };
+      distribute(node, getDeviceDraw(item), new Set());
+      const feeds = [...feedsOf(node)].sort();
+      return { item, draw: getDeviceDraw(item), feeds, exposed: feeds.filter((feed) => !survives(node, feed)) };
+    });
+  const circuitLoads = circuits.map((circuit) => {
+    const load = loads.get(nodeKey({ kind: "circuit", id: circuit.id })) || 0;
+    const capacity = getCircuitCapacity(circuit);
+    const percent = capacity > 0 ? (load / capacity) * 100 : 0;
+    return { circuit, feeds: [...feedsOf({ kind: "circuit", id: circuit.id })].sort(), load, capacity, percent, over: percent > CIRCUIT_LOAD_LIMIT };
+  });
+
+  const warnings = [];
+  circuitLoads.filter((entry) => entry.over).forEach(({ circuit, percent }) => {
+    warnings.push({ id: `circuit:${circuit.id}`, type: "circuit", message: `${circuit.label || "Circuit"} is at ${percent.toFixed(0)}% of its ${circuit.ratingAmps} A rating`, target: { kind: "circuit", id: circuit.id } });
+  });
+  devices.forEach(({ item, feeds, exposed }) => {
+    const name = item.label || item.type;
+    if (feeds.length === 0) {
+      warnings.push({ id: `unpowered:${item.id}`, type: "unpowered", message: `${name} is not fed from any circuit`, target: { kind: "equipment", id: item.id } });
+    } else if (exposed.length > 0) {
+      warnings.push({ id: `redundancy:${item.id}`, type: "redundancy", message: `${name} loses power if feed ${exposed.join(" or ")} fails`, target: { kind: "equipment", id: item.id } });
+    }
+  });
+
+  return {
+    devices,
+    circuits: circuitLoads,
+    warnings,
+    total: devices.reduce((sum, device) => sum + device.draw, 0),
+    getLoad: (kind, id) => loads.get(nodeKey({ kind, id })) || 0,
+  };
+}
+
+// Circuits only take power from a UPS; one removed or changed to another
+// model leaves its circuits on the utility feed.
+export function pruneCircuitSources(circuits, equipment) {
+  return circuits.map((circuit) => (!circuit.sourceId || findById(equipment, circuit.sourceId)?.type === "ups" ? circuit : { ...circuit, sourceId: null }));
+}
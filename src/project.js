@@ -0,0 +1,557 @@
+import { DOOR_DEFAULTS, DOOR_STYLES, createId, getRoomFootprint, normalizeConnection } from "./modeling.js";
+import { DEFAULT_CABLING, validateCabling } from "./cabling.js";
+import { DEFAULT_CATALOG, PORT_TYPES, findModel, getCategory, validateCatalogEntry } from "./catalog.js";
+import { MEASURE_MODES, getMinimumPoints } from "./measure.js";
+import { getConnectionPortIssue } from "./ports.js";
+import { TILE_TYPES, UNDERFLOOR_TYPES, getTileAddress, parseTileAddress } from "./plenum.js";
+import { POWER_FEEDS } from "./power.js";
+import { FITTING_TYPES, findTrayJunctions } from "./routing.js";
+import { MOUNT_FACES, SIDE_CHANNELS } from "./rack.js";
+import { AISLE_SIDES, CONTAINMENT_TYPES } from "./rows.js";
+import { ROOM_DEFAULTS } from "./site.js";
+
+export const PROJECT_FORMAT = "san-3d2d-modeling/project";
+export const PROJECT_SCHEMA_VERSION = 15;
+
+const OPENING_TYPES = ["door", "window"];
+const HINGE_SIDES = ["left", "right"];
+const SWING_DIRECTIONS = ["in", "out"];
+const LEGACY_DIRECTIONS = { "x+": { x: 1, y: 0 }, "x-": { x: -1, y: 0 }, "y+": { x: 0, y: 1 }, "y-": { x: 0, y: -1 } };
+const CONNECTION_KINDS = ["equipment", "tray", "passThrough"];
+
+// Each migration upgrades a document from the keyed version to the next one.
+// Unversioned documents are the raw App state written before the schema existed.
+const MIGRATIONS = {
+  0: (document) => ({
+    ...document,
+    connections: (document.connections || []).map((connection) => {
+      if (!connection || typeof connection !== "object") return connection;
+      const { from, to, ...normalized } = normalizeConnection(connection);
+      return normalized;
+    }),
+  }),
+  // Schema 2 replaces positional references with persistent IDs.
+  1: (document) => {
+    const withIds = (records, prefix) =>
+      (Array.isArray(records) ? records : []).map((record) =>
+        record && typeof record === "object" ? { ...record, id: record.id || createId(prefix) } : record
+      );
+    const equipment = withIds(document.equipment, "equipment");
+    const trays = withIds(document.trays, "tray");
+    const collections = { equipment, tray: trays };
+    const resolve = (kind, index) => collections[kind]?.[index]?.id ?? index;
+    return {
+      ...document,
+      openings: withIds(document.openings, "opening"),
+      equipment: equipment.map((item) =>
+        item && typeof item === "object" && Number.isInteger(item.mountedIn) ? { ...item, mountedIn: resolve("equipment", item.mountedIn) } : item
+      ),
+      trays,
+      connections: withIds(document.connections, "connection").map((connection) => {
+        if (!connection || typeof connection !== "object") return connection;
+        const { fromIndex, toIndex, ...rest } = connection;
+        return { ...rest, fromId: resolve(connection.fromKind, fromIndex), toId: resolve(connection.toKind, toIndex) };
+      }),
+    };
+  },
+  // Schema 3 stores the room as an explicit outline instead of width, length and wall tilts.
+  2: (document) => {
+    const room = document.room;
+    if (!room || typeof room !== "object" || Array.isArray(room.outline)) return document;
+    const { width, length, southTiltDeg, eastTiltDeg, ...rest } = room;
+    const outline = getRoomFootprint({ width, length, southTiltDeg: southTiltDeg || 0, eastTiltDeg: eastTiltDeg || 0 })
+      .map((point) => ({ id: createId("vertex"), x: point.x, y: point.y }));
+    return { ...document, room: { ...rest, outline } };
+  },
+  // Schema 4 nests the single room model inside a site / building / floor hierarchy.
+  3: ({ room, openings, equipment, trays, connections, ...document }) => {
+    const site = { id: createId("site"), name: "Site 1" };
+    const building = { id: createId("building"), name: "Building 1", siteId: site.id };
+    const floor = { id: createId("floor"), name: "Floor 1", buildingId: building.id, level: 0 };
+    return {
+      ...document,
+      sites: [site],
+      buildings: [building],
+      floors: [floor],
+      rooms: [{ id: createId("room"), name: "Room 1", floorId: floor.id, origin: { x: 0, y: 0 }, room, openings, equipment, trays, connections, passThroughs: [] }],
+      links: [],
+    };
+  },
+  // Schema 5 adds the equipment catalog. Existing devices point at the default
+  // entries, whose IDs match the old preset types.
+  4: (document) => ({
+    ...document,
+    catalog: DEFAULT_CATALOG.map((entry) => ({ ...entry, ports: entry.ports.map((port) => ({ ...port })) })),
+    rooms: (Array.isArray(document.rooms) ? document.rooms : []).map((record) =>
+      record && typeof record === "object" && Array.isArray(record.equipment)
+        ? {
+            ...record,
+            equipment: record.equipment.map((item) => {
+              if (!item || typeof item !== "object") return item;
+              const model = DEFAULT_CATALOG.find((entry) => entry.id === item.type);
+              // 0U strips saved by schema 4 stored zero rack units.
+              const rackUnits = item.rackUnits || (model && model.category !== "cabinet" ? model.rackUnits : item.rackUnits);
+              return { ...item, modelId: item.type, rackUnits };
+            }),
+          }
+        : record
+    ),
+  }),
+  // Schema 6 replaces the single cable control point with a waypoint list.
+  // Old control points become one manual waypoint so cables keep their shape.
+  5: (document) => ({
+    ...document,
+    rooms: (Array.isArray(document.rooms) ? document.rooms : []).map((record) =>
+      record && typeof record === "object" && Array.isArray(record.connections)
+        ? {
+            ...record,
+            connections: record.connections.map((connection) => {
+              if (!connection || typeof connection !== "object") return connection;
+              const { controlX, controlY, ...rest } = connection;
+              return { ...rest, waypoints: isFiniteNumber(controlX) && isFiniteNumber(controlY) ? [{ x: controlX, y: controlY }] : [] };
+            }),
+          }
+        : record
+    ),
+  }),
+  // Schema 7 adds project-wide cable slack and stock lengths.
+  6: (document) => ({
+    ...document,
+    cabling: { ...DEFAULT_CABLING, stockLengths: [...DEFAULT_CABLING.stockLengths] },
+  }),
+  // Schema 8 adds the tray fill threshold.
+  7: (document) => ({
+    ...document,
+    cabling: document.cabling && typeof document.cabling === "object" ? { fillThreshold: DEFAULT_CABLING.fillThreshold, ...document.cabling } : document.cabling,
+  }),
+  // Schema 9 stores trays as polyline runs and joins them with fittings.
+  // Schema 8 joined trays wherever they met, so those junctions become tees
+  // and crosses.
+  8: (document) => ({
+    ...document,
+    rooms: (Array.isArray(document.rooms) ? document.rooms : []).map((record) => {
+      if (!record || typeof record !== "object" || !Array.isArray(record.trays)) return record;
+      const trays = record.trays.map((tray) => {
+        if (!tray || typeof tray !== "object" || Array.isArray(tray.points)) return tray;
+        const { x, y, lengthA, primaryDirection, turn, lengthB, ...rest } = tray;
+        return { ...rest, points: getLegacyTrayPoints(tray) };
+      });
+      const runs = trays.filter((tray) => tray && Array.isArray(tray.points) && isFiniteNumber(tray.z));
+      const fittings = findTrayJunctions(runs).map((junction, index) => ({ ...junction, id: createId("fitting"), label: `${FITTING_TYPES[junction.type]} ${index + 1}` }));
+      return { ...record, trays, fittings };
+    }),
+  }),
+  // Schema 10 gives doors a leaf style, hinge side and swing direction.
+  9: (document) => ({
+    ...document,
+    rooms: (Array.isArray(document.rooms) ? document.rooms : []).map((record) =>
+      record && typeof record === "object" && Array.isArray(record.openings)
+        ? {
+            ...record,
+            openings: record.openings.map((opening) =>
+              opening && typeof opening === "object" && opening.type === "door" ? { ...DOOR_DEFAULTS, ...opening } : opening
+            ),
+          }
+        : record
+    ),
+  }),
+  // Schema 11 adds power circuits.
+  10: (document) => ({
+    ...document,
+    rooms: (Array.isArray(document.rooms) ? document.rooms : []).map((record) =>
+      record && typeof record === "object" ? { ...record, circuits: Array.isArray(record.circuits) ? record.circuits : [] } : record
+    ),
+  }),
+  // Schema 12 adds cooling capacity to the catalog and to placed equipment.
+  11: (document) => {
+    const catalog = (Array.isArray(document.catalog) ? document.catalog : []).map((entry) =>
+      entry && typeof entry === "object" && entry.coolingWatts === undefined
+        ? { ...entry, coolingWatts: DEFAULT_CATALOG.find((preset) => preset.id === entry.id)?.coolingWatts || 0 }
+        : entry
+    );
+    const models = catalog.filter((entry) => entry && typeof entry === "object");
+    return {
+      ...document,
+      catalog,
+      rooms: (Array.isArray(document.rooms) ? document.rooms : []).map((record) =>
+        record && typeof record === "object" && Array.isArray(record.equipment)
+          ? {
+              ...record,
+              equipment: record.equipment.map((item) =>
+                item && typeof item === "object" && item.coolingWatts === undefined ? { ...item, coolingWatts: findModel(models, item)?.coolingWatts || 0 } : item
+              ),
+            }
+          : record
+      ),
+    };
+  },
+  // Schema 13 adds cabinet rows and aisle containment.
+  12: (document) => ({
+    ...document,
+    rooms: (Array.isArray(document.rooms) ? document.rooms : []).map((record) =>
+      record && typeof record === "object"
+        ? { ...record, rows: Array.isArray(record.rows) ? record.rows : [], containments: Array.isArray(record.containments) ? record.containments : [] }
+        : record
+    ),
+  }),
+  // Schema 14 adds typed floor tiles and underfloor objects.
+  13: (document) => ({
+    ...document,
+    rooms: (Array.isArray(document.rooms) ? document.rooms : []).map((record) =>
+      record && typeof record === "object"
+        ? { ...record, tiles: Array.isArray(record.tiles) ? record.tiles : [], underfloor: Array.isArray(record.underfloor) ? record.underfloor : [] }
+        : record
+    ),
+  }),
+  // Schema 15 adds saved dimension annotations.
+  14: (document) => ({
+    ...document,
+    rooms: (Array.isArray(document.rooms) ? document.rooms : []).map((record) =>
+      record && typeof record === "object" ? { ...record, annotations: Array.isArray(record.annotations) ? record.annotations : [] } : record
+    ),
+  }),
+};
+
+// Schema 8 trays ran from x, y along a primary direction with an optional
+// 90 degree turn.
+function getLegacyTrayPoints({ x, y, lengthA, primaryDirection, turn, lengthB }) {
+  const primary = LEGACY_DIRECTIONS[primaryDirection] || LEGACY_DIRECTIONS["x+"];
+  const corner = { x: x + primary.x * lengthA, y: y + primary.y * lengthA };
+  const points = [{ x, y }, corner];
+  if ((turn === "left" || turn === "right") && lengthB > 0) {
+    const secondary = turn === "left" ? { x: -primary.y, y: primary.x } : { x: primary.y, y: -primary.x };
+    points.push({ x: corner.x + secondary.x * lengthB, y: corner.y + secondary.y * lengthB });
+  }
+  return points;
+}
+
+function isFiniteNumber(value) {
+  return typeof value === "number" && Number.isFinite(value);
+}
+
+function missingNumbers(record, fields) {
+  return fields.filter((field) => !isFiniteNumber(record[field]));
+}
+
+function describe(record, fallback) {
+  return record && typeof record === "object" && typeof record.label === "string" && record.label ? record.label : fallback;
+}
+
+function validateRoom(room) {
+  if (!room || typeof room !== "object") return "room is missing";
+  if (!isFiniteNumber(room.height) || room.height <= 0) return "room height must be a positive number";
+  if (!Array.isArray(room.outline) || room.outline.length < 3) return "room outline needs at least 3 vertices";
+  const badVertex = room.outline.findIndex((vertex) => !vertex || typeof vertex.id !== "string" || missingNumbers(vertex, ["x", "y"]).length > 0);
+  if (badVertex >= 0) return `room outline vertex ${badVertex + 1} is invalid`;
+  if (room.gridOrigin !== undefined && (!room.gridOrigin || missingNumbers(room.gridOrigin, ["x", "y"]).length > 0)) return "room grid origin is invalid";
+  return null;
+}
+
+function validateOpening(opening, roomWalls) {
+  if (!opening || typeof opening !== "object") return "not an object";
+  if (!OPENING_TYPES.includes(opening.type)) return `unknown opening type "${opening.type}"`;
+  if (!Number.isInteger(opening.wall) || opening.wall < 0 || opening.wall >= roomWalls) return `wall ${opening.wall} does not exist`;
+  const missing = missingNumbers(opening, ["offset", "width", "height", "sillHeight"]);
+  if (missing.length > 0) return `invalid ${missing.join(", ")}`;
+  if (opening.type === "door") {
+    if (!DOOR_STYLES[opening.doorStyle]) return `unknown door style "${opening.doorStyle}"`;
+    if (!HINGE_SIDES.includes(opening.hinge)) return `unknown hinge side "${opening.hinge}"`;
+    if (!SWING_DIRECTIONS.includes(opening.swing)) return `unknown swing direction "${opening.swing}"`;
+  }
+  return null;
+}
+
+function validateEquipment(item, catalog) {
+  if (!item || typeof item !== "object") return "not an object";
+  const model = findModel(catalog, item);
+  if (!model) return `unknown equipment model "${item.modelId || item.type}"`;
+  if (item.type !== model.category) return `type "${item.type}" does not match model "${model.id}"`;
+  const missing = missingNumbers(item, ["x", "y", "width", "depth", "height"]);
+  if (missing.length > 0) return `invalid ${missing.join(", ")}`;
+  if (item.mountFace !== undefined && !MOUNT_FACES.includes(item.mountFace)) return `unknown mounting face "${item.mountFace}"`;
+  if (item.ports !== undefined && (!Array.isArray(item.ports) || item.ports.some((port) => !port || typeof port.name !== "string" || !PORT_TYPES[port.type]))) {
+    return "ports must each have a name and a known type";
+  }
+  if (item.rowId && !(Number.isInteger(item.rowIndex) && item.rowIndex >= 0)) return "row position must be a whole number";
+  if (item.measuredWatts !== undefined && item.measuredWatts !== null && !(isFiniteNumber(item.measuredWatts) && item.measuredWatts >= 0)) return "measured power must be a non-negative number";
+  if (item.installMode === "zeroU") {
+    if (!getCategory(item.type).zeroU) return `${item.type} cannot be mounted 0U`;
+    if (!SIDE_CHANNELS.includes(item.sideChannel)) return `unknown side channel "${item.sideChannel}"`;
+    if (!Number.isInteger(item.outletCount) || item.outletCount < 1) return "outlet count must be a positive whole number";
+  }
+  return null;
+}
+
+function validateTray(tray) {
+  if (!tray || typeof tray !== "object") return "not an object";
+  const missing = missingNumbers(tray, ["z", "width", "depth"]);
+  if (missing.length > 0) return `invalid ${missing.join(", ")}`;
+  if (!Array.isArray(tray.points) || tray.points.length < 2) return "tray run needs at least 2 points";
+  const badPoint = tray.points.findIndex((point) => !point || missingNumbers(point, ["x", "y"]).length > 0);
+  if (badPoint >= 0) return `tray point ${badPoint + 1} is invalid`;
+  return null;
+}
+
+function validateFitting(fitting, cabinetIds) {
+  if (!fitting || typeof fitting !== "object") return "not an object";
+  if (!FITTING_TYPES[fitting.type]) return `unknown fitting type "${fitting.type}"`;
+  const missing = missingNumbers(fitting, fitting.type === "riser" ? ["x", "y", "z", "topZ"] : ["x", "y", "z"]);
+  if (missing.length > 0) return `invalid ${missing.join(", ")}`;
+  if (fitting.type === "riser" && fitting.topZ <= fitting.z) return "riser top must be above its base";
+  if (fitting.type === "drop" && !cabinetIds.has(fitting.cabinetId)) return `drops into missing cabinet "${fitting.cabinetId}"`;
+  return null;
+}
+
+function validateCircuit(circuit, upsIds) {
+  if (!circuit || typeof circuit !== "object") return "not an object";
+  if (!POWER_FEEDS.includes(circuit.feed)) return `unknown feed "${circuit.feed}"`;
+  const missing = missingNumbers(circuit, ["ratingAmps", "voltage"]);
+  if (missing.length > 0) return `invalid ${missing.join(", ")}`;
+  if (circuit.ratingAmps <= 0 || circuit.voltage <= 0) return "rating and voltage must be positive";
+  if (circuit.sourceId && !upsIds.has(circuit.sourceId)) return `fed from missing UPS "${circuit.sourceId}"`;
+  return null;
+}
+
+function validateRow(row) {
+  if (!row || typeof row !== "object") return "not an object";
+  const missing = missingNumbers(row, ["x", "y", "rotationDeg", "pitch"]);
+  if (missing.length > 0) return `invalid ${missing.join(", ")}`;
+  if (row.pitch <= 0) return "pitch must be positive";
+  if (!AISLE_SIDES[row.aisleSide]) return `unknown aisle side "${row.aisleSide}"`;
+  return null;
+}
+
+function validateContainment(containment) {
+  if (!containment || typeof containment !== "object") return "not an object";
+  if (!CONTAINMENT_TYPES[containment.type]) return `unknown containment type "${containment.type}"`;
+  const missing = missingNumbers(containment, ["x", "y", "rotationDeg", "length", "width", "height"]);
+  if (missing.length > 0) return `invalid ${missing.join(", ")}`;
+  if (containment.length <= 0 || containment.width <= 0 || containment.height <= 0) return "length, width and height must be positive";
+  if (typeof containment.endDoors !== "boolean" || typeof containment.roof !== "boolean") return "end doors and roof must be true or false";
+  return null;
+}
+
+function validateTile(tile, addresses) {
+  if (!tile || typeof tile !== "object") return "not an object";
+  const cell = parseTileAddress(tile.address);
+  if (!cell || getTileAddress(cell) !== tile.address) return `invalid tile address "${tile.address}"`;
+  if (addresses.has(tile.address)) return `tile ${tile.address} is listed twice`;
+  if (!TILE_TYPES[tile.type]) return `unknown tile type "${tile.type}"`;
+  if (tile.type === "perforated" && !(isFiniteNumber(tile.openPercent) && tile.openPercent > 0 && tile.openPercent <= 100)) return "open area must be between 0 and 100%";
+  addresses.add(tile.address);
+  return null;
+}
+
+function validateUnderfloor(object) {
+  if (!object || typeof object !== "object") return "not an object";
+  if (!UNDERFLOOR_TYPES[object.type]) return `unknown underfloor type "${object.type}"`;
+  const missing = missingNumbers(object, ["z", "size"]);
+  if (missing.length > 0) return `invalid ${missing.join(", ")}`;
+  if (object.size <= 0) return "size must be positive";
+  const minimum = object.type === "pedestal" ? 1 : 2;
+  if (!Array.isArray(object.points) || object.points.length < minimum) return `needs at least ${minimum} point(s)`;
+  const badPoint = object.points.findIndex((point) => !point || missingNumbers(point, ["x", "y"]).length > 0);
+  if (badPoint >= 0) return `point ${badPoint + 1} is invalid`;
+  return null;
+}
+
+function validateAnnotation(annotation, equipmentIds) {
+  if (!annotation || typeof annotation !== "object") return "not an object";
+  if (!MEASURE_MODES[annotation.type]) return `unknown measurement type "${annotation.type}"`;
+  const minimum = getMinimumPoints(annotation.type);
+  if (!Array.isArray(annotation.anchors) || annotation.anchors.length < minimum) return `needs at least ${minimum} points`;
+  const badAnchor = annotation.anchors.findIndex((anchor) => !anchor || missingNumbers(anchor, ["x", "y", "z"]).length > 0);
+  if (badAnchor >= 0) return `point ${badAnchor + 1} is invalid`;
+  const detached = annotation.anchors.find((anchor) => anchor.equipmentId && !equipmentIds.has(anchor.equipmentId));
+  if (detached) return `attached to missing equipment "${detached.equipmentId}"`;
+  return null;
+}
+
+function validatePassThrough(point) {
+  if (!point || typeof point !== "object") return "not an object";
+  const missing = missingNumbers(point, ["x", "y", "z"]);
+  if (missing.length > 0) return `invalid ${missing.join(", ")}`;
+  return null;
+}
+
+function validateConnection(connection, collections) {
+  if (!connection || typeof connection !== "object") return "not an object";
+  if (!CONNECTION_KINDS.includes(connection.fromKind) || !CONNECTION_KINDS.includes(connection.toKind)) {
+    return `endpoints must be one of ${CONNECTION_KINDS.join(", ")}`;
+  }
+  if (!collections[connection.fromKind].has(connection.fromId)) return `from ${connection.fromKind} "${connection.fromId}" is missing or was rejected`;
+  if (!collections[connection.toKind].has(connection.toId)) return `to ${connection.toKind} "${connection.toId}" is missing or was rejected`;
+  if (connection.fromKind === connection.toKind && connection.fromId === connection.toId) return "both endpoints are the same component";
+  if (connection.waypoints !== undefined && (!Array.isArray(connection.waypoints) || connection.waypoints.some((point) => !point || missingNumbers(point, ["x", "y"]).length > 0))) {
+    return "waypoints must each have numeric x and y";
+  }
+  return null;
+}
+
+function migrate(document) {
+  let version = Number.isInteger(document.version) ? document.version : 0;
+  if (version > PROJECT_SCHEMA_VERSION) {
+    throw new Error(`Project was saved by a newer version (schema ${version}); this app reads up to schema ${PROJECT_SCHEMA_VERSION}.`);
+  }
+  const migratedFrom = version;
+  let current = document;
+  while (version < PROJECT_SCHEMA_VERSION) {
+    current = { ...MIGRATIONS[version](current), version: version + 1 };
+    version += 1;
+  }
+  return { document: current, migratedFrom };
+}
+
+function filterCollection(records, collection, validate, rejected, context = {}) {
+  const seenIds = new Set();
+  return (Array.isArray(records) ? records : []).filter((record, index) => {
+    let reason = validate(record);
+    if (!reason && (typeof record.id !== "string" || !record.id)) reason = "missing id";
+    if (!reason && seenIds.has(record.id)) reason = `duplicate id "${record.id}"`;
+    if (reason) {
+      rejected.push({ ...context, collection, index, label: describe(record, `${collection} ${index + 1}`), reason });
+      return false;
+    }
+    seenIds.add(record.id);
+    return true;
+  });
+}
+
+function parseRoomRecord(record, catalog, rejected) {
+  const context = { room: record.name };
+  const openings = filterCollection(record.openings, "opening", (opening) => validateOpening(opening, record.room.outline.length), rejected, context);
+  const trays = filterCollection(record.trays, "tray", validateTray, rejected, context);
+  const passThroughs = filterCollection(record.passThroughs, "passThrough", validatePassThrough, rejected, context);
+  const candidates = filterCollection(record.equipment, "equipment", (item) => validateEquipment(item, catalog), rejected, context);
+  const cabinetIds = new Set(candidates.filter((item) => item.type === "cabinet").map((item) => item.id));
+  const equipment = candidates.filter((item) => {
+    if (item.mountedIn === null || item.mountedIn === undefined || cabinetIds.has(item.mountedIn)) return true;
+    const index = record.equipment.indexOf(item);
+    rejected.push({ ...context, collection: "equipment", index, label: describe(item, `equipment ${index + 1}`), reason: `mounted in missing cabinet "${item.mountedIn}"` });
+    return false;
+  });
+  const fittings = filterCollection(record.fittings, "fitting", (fitting) => validateFitting(fitting, cabinetIds), rejected, context);
+  const circuits = filterCollection(record.circuits, "circuit", (circuit) => validateCircuit(circuit, new Set(equipment.filter((item) => item.type === "ups").map((item) => item.id))), rejected, context);
+  const circuitIds = new Set(circuits.map((circuit) => circuit.id));
+  // Equipment wired to a rejected circuit is kept but disconnected.
+  const powered = equipment.map((item) => {
+    if (!item.circuitId || circuitIds.has(item.circuitId)) return item;
+    const index = record.equipment.indexOf(item);
+    rejected.push({ ...context, collection: "equipment", index, label: describe(item, `equipment ${index + 1}`), reason: `fed from missing circuit "${item.circuitId}"; disconnected` });
+    return { ...item, circuitId: null };
+  });
+  const rows = filterCollection(record.rows, "row", validateRow, rejected, context);
+  const rowIds = new Set(rows.map((row) => row.id));
+  // Cabinets of a rejected row keep their position but stand alone.
+  const placed = powered.map((item) => {
+    if (!item.rowId || rowIds.has(item.rowId)) return item;
+    const index = record.equipment.indexOf(item);
+    rejected.push({ ...context, collection: "equipment", index, label: describe(item, `equipment ${index + 1}`), reason: `in missing row "${item.rowId}"; ungrouped` });
+    return { ...item, rowId: null, rowIndex: null };
+  });
+  const containments = filterCollection(record.containments, "containment", validateContainment, rejected, context);
+  const addresses = new Set();
+  const tiles = filterCollection(record.tiles, "tile", (tile) => validateTile(tile, addresses), rejected, context);
+  const underfloor = filterCollection(record.underfloor, "underfloor", validateUnderfloor, rejected, context);
+  const placedIds = new Set(placed.map((item) => item.id));
+  const annotations = filterCollection(record.annotations, "annotation", (annotation) => validateAnnotation(annotation, placedIds), rejected, context);
+
+  const collections = {
+    equipment: new Map(placed.map((item) => [item.id, item])),
+    tray: new Set(trays.map((tray) => tray.id)),
+    passThrough: new Set(passThroughs.map((point) => point.id)),
+  };
+  // Ports take one cable each, so connections are checked against those already accepted.
+  const landed = [];
+  const connections = filterCollection(record.connections, "connection", (connection) => {
+    const reason = validateConnection(connection, collections) || getConnectionPortIssue(connection, placed, landed);
+    if (!reason) landed.push(connection);
+    return reason;
+  }, rejected, context);
+  return {
+    ...record,
+    origin: { x: Number(record.origin?.x) || 0, y: Number(record.origin?.y) || 0 },
+    room: { ...ROOM_DEFAULTS, ...record.room },
+    openings,
+    equipment: placed,
+    trays,
+    fittings,
+    circuits,
+    rows,
+    containments,
+    tiles,
+    underfloor,
+    annotations,
+    connections,
+    passThroughs,
+  };
+}
+
+export function serializeProject({ catalog, cabling, sites, buildings, floors, rooms, links }) {
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_SCHEMA_VERSION,
+    savedAt: new Date().toISOString(),
+    catalog,
+    cabling,
+    sites,
+    buildings,
+    floors,
+    rooms,
+    links,
+  };
+}
+
+export function parseProject(input) {
+  let raw = input;
+  if (typeof input === "string") {
+    try {
+      raw = JSON.parse(input);
+    } catch (error) {
+      throw new Error(`Project file is not valid JSON: ${error.message}`);
+    }
+  }
+  if (!raw || typeof raw !== "object" || Array.isArray(raw)) {
+    throw new Error("Project file does not contain a project object.");
+  }
+  if (raw.format !== undefined && raw.format !== PROJECT_FORMAT) {
+    throw new Error(`Unsupported project format "${raw.format}".`);
+  }
+
+  const { document, migratedFrom } = migrate(raw);
+  const rejected = [];
+  const catalog = filterCollection(document.catalog, "catalog", validateCatalogEntry, rejected);
+  const cablingIssue = validateCabling(document.cabling);
+  if (cablingIssue) rejected.push({ collection: "cabling", index: 0, label: "cable settings", reason: `${cablingIssue}; defaults restored` });
+  const cabling = cablingIssue ? { ...DEFAULT_CABLING, stockLengths: [...DEFAULT_CABLING.stockLengths] } : document.cabling;
+  const named = (node) => (node && typeof node === "object" && typeof node.name === "string" ? null : "missing name");
+  const sites = filterCollection(document.sites, "site", named, rejected);
+  const siteIds = new Set(sites.map((node) => node.id));
+  const buildings = filterCollection(document.buildings, "building", (node) => named(node) || (siteIds.has(node.siteId) ? null : "site is missing or was rejected"), rejected);
+  const buildingIds = new Set(buildings.map((node) => node.id));
+  const floors = filterCollection(document.floors, "floor", (node) => named(node) || (buildingIds.has(node.buildingId) ? null : "building is missing or was rejected"), rejected);
+  const floorIds = new Set(floors.map((node) => node.id));
+  const rooms = filterCollection(
+    document.rooms,
+    "room",
+    (record) => named(record) || (floorIds.has(record.floorId) ? null : "floor is missing or was rejected") || validateRoom(record.room),
+    rejected
+  ).map((record) => parseRoomRecord(record, catalog, rejected));
+  if (rooms.length === 0) {
+    throw new Error("Project cannot be loaded: it contains no valid room.");
+  }
+
+  const passThroughIds = new Map(rooms.map((record) => [record.id, new Set(record.passThroughs.map((point) => point.id))]));
+  const links = filterCollection(document.links, "link", (link) => {
+    if (!link || typeof link !== "object") return "not an object";
+    if (!passThroughIds.get(link.fromRoomId)?.has(link.fromPassThroughId)) return "from pass-through is missing or was rejected";
+    if (!passThroughIds.get(link.toRoomId)?.has(link.toPassThroughId)) return "to pass-through is missing or was rejected";
+    return null;
+  }, rejected);
+
+  return {
+    project: { catalog, cabling, sites, buildings, floors, rooms, links },
+    rejected,
+    migratedFrom,
+  };
+}
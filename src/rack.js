@@ -0,0 +1,183 @@
+import { getCategory } from "./catalog.js";
+import { RU_HEIGHT, degToRad, findById } from "./modeling.js";
+
+export const MOUNT_FACES = ["front", "rear"];
+export const SIDE_CHANNELS = ["left", "right"];
+const RAIL_CLEARANCE = 180;
+const CHANNEL_WIDTH = 60;
+const CABINET_WALL = 30;
+
+export function getRackCapacity(cabinet) {
+  return cabinet.rackUnits || Math.max(1, Math.round(cabinet.height / RU_HEIGHT));
+}
+
+// Usable depth between the front and rear rails.
+export function getRackDepth(cabinet) {
+  return Math.max(cabinet.depth - RAIL_CLEARANCE, 180);
+}
+
+export function getMountFace(item) {
+  return item.mountFace === "rear" ? "rear" : "front";
+}
+
+export function getDeviceRackUnits(item) {
+  return item.rackUnits || Math.max(1, Math.round(item.height / RU_HEIGHT));
+}
+
+export function isRackMounted(item) {
+  return item.mountedIn !== null && item.mountedIn !== undefined;
+}
+
+// 0U devices hang in a side channel by the rear posts and take no rack units.
+export function isZeroU(item) {
+  return isRackMounted(item) && item.installMode === "zeroU";
+}
+
+// Occupied U ranges in a cabinet, lowest first. `ignoreId` leaves out the
+// device being moved so it does not collide with its own old position.
+export function getRackOccupancy(equipment, cabinetId, ignoreId = null) {
+  return equipment
+    .filter((item) => item.mountedIn === cabinetId && item.id !== ignoreId && !isZeroU(item))
+    .map((item) => ({
+      id: item.id,
+      label: item.label,
+      start: item.rackStart || 1,
+      end: (item.rackStart || 1) + getDeviceRackUnits(item) - 1,
+      face: getMountFace(item),
+      depth: item.depth,
+    }))
+    .sort((a, b) => a.start - b.start);
+}
+
+// Two devices may share a U only when they hang off opposite rails and are
+// shallow enough not to meet in the middle.
+function slotsConflict(a, b, rackDepth) {
+  if (a.start > b.end || b.start > a.end) return false;
+  return a.face === b.face || a.depth + b.depth > rackDepth;
+}
+
+function getCandidateSlot(cabinet, device, rackStart) {
+  const rackUnits = getDeviceRackUnits(device);
+  return {
+    start: rackStart,
+    end: rackStart + rackUnits - 1,
+    face: getMountFace(device),
+    depth: Math.min(device.depth, getRackDepth(cabinet)),
+  };
+}
+
+export function getNextRackStart(equipment, cabinet, device) {
+  const capacity = getRackCapacity(cabinet);
+  const occupancy = getRackOccupancy(equipment, cabinet.id, device.id);
+  for (let rackStart = 1; rackStart + getDeviceRackUnits(device) - 1 <= capacity; rackStart += 1) {
+    const candidate = getCandidateSlot(cabinet, device, rackStart);
+    if (!occupancy.some((slot) => slotsConflict(candidate, slot, getRackDepth(cabinet)))) return rackStart;
+  }
+  return null;
+}
+
+// Returns why `device` cannot be mounted with its lowest U at `rackStart`, or
+// null when its face of the rack is free there.
+export function getRackPlacementIssue(equipment, cabinet, device, rackStart) {
+  const capacity = getRackCapacity(cabinet);
+  const candidate = getCandidateSlot(cabinet, device, rackStart);
+  if (candidate.start < 1 || candidate.end > capacity) return `RU ${candidate.start} - ${candidate.end} is outside the ${capacity}U cabinet`;
+  const blocker = getRackOccupancy(equipment, cabinet.id, device.id).find((slot) => slotsConflict(candidate, slot, getRackDepth(cabinet)));
+  if (!blocker) return null;
+  return `RU ${candidate.start} - ${candidate.end} ${candidate.face} overlaps ${blocker.label || "another device"} (${blocker.face})`;
+}
+
+// Signed distance from the cabinet centre to the device centre along the
+// cabinet depth, positive towards the rear rail.
+export function getRackDepthOffset(item, cabinet) {
+  const slack = Math.max(getRackDepth(cabinet) - item.depth, 0) / 2;
+  return getMountFace(item) === "rear" ? slack : -slack;
+}
+
+// Places a device into a cabinet, taking the cabinet's position and fitting
+// its footprint inside the rails.
+export function mountInRack(item, cabinet, rackStart, mountFace = getMountFace(item)) {
+  const rackUnits = getDeviceRackUnits(item);
+  return {
+    ...item,
+    mountedIn: cabinet.id,
+    installMode: "rack",
+    mountTarget: cabinet.id,
+    mountFace,
+    sideChannel: null,
+    rackUnits,
+    rackStart,
+    height: rackUnits * RU_HEIGHT,
+    width: Math.max(Math.min(cabinet.width - 120, 482), 200),
+    depth: Math.max(Math.min(getRackDepth(cabinet), item.depth), 180),
+    x: cabinet.x,
+    y: cabinet.y,
+    rotationDeg: cabinet.rotationDeg,
+  };
+}
+
+export function getChannelDevices(equipment, cabinetId) {
+  return equipment.filter((item) => item.mountedIn === cabinetId && isZeroU(item));
+}
+
+export function getChannelIssue(equipment, cabinet, device, sideChannel) {
+  if (!getCategory(device.type).zeroU) return `${device.label || "This device"} cannot be mounted 0U`;
+  const occupant = getChannelDevices(equipment, cabinet.id).find((item) => item.sideChannel === sideChannel && item.id !== device.id);
+  return occupant ? `the ${sideChannel} channel already holds ${occupant.label || "a PDU"}` : null;
+}
+
+// Mounts a device as a vertical strip that runs the full rack height.
+// `rackUnits` keeps the nominal U height so the strip can go back on the rails.
+export function mountInChannel(item, cabinet, sideChannel) {
+  return {
+    ...item,
+    mountedIn: cabinet.id,
+    installMode: "zeroU",
+    mountTarget: cabinet.id,
+    mountFace: "rear",
+    sideChannel,
+    rackStart: null,
+    outletCount: item.outletCount || 24,
+    height: getRackCapacity(cabinet) * RU_HEIGHT,
+    width: CHANNEL_WIDTH,
+    depth: CHANNEL_WIDTH,
+    x: cabinet.x,
+    y: cabinet.y,
+    rotationDeg: cabinet.rotationDeg,
+  };
+}
+
+// Offset of a channel strip from the cabinet centre in the cabinet's own
+// frame: `lateral` is positive to the right seen from the front, `depth`
+// positive towards the rear.
+export function getChannelOffset(item, cabinet) {
+  const lateral = cabinet.width / 2 - CABINET_WALL - CHANNEL_WIDTH / 2;
+  return {
+    lateral: item.sideChannel === "left" ? -lateral : lateral,
+    depth: getRackDepth(cabinet) / 2 - CHANNEL_WIDTH / 2,
+  };
+}
+
+// Where a mounted device sits relative to its cabinet centre, in the same
+// frame as getChannelOffset.
+export function getMountOffset(item, cabinet) {
+  return isZeroU(item) ? getChannelOffset(item, cabinet) : { lateral: 0, depth: getRackDepthOffset(item, cabinet) };
+}
+
+// Room point of an offset from a cabinet's centre. The front is local +y, so
+// depth runs towards the rear and lateral towards the right-hand side seen
+// from the front.
+export function getMountPoint(cabinet, { lateral, depth }) {
+  const angle = degToRad(cabinet.rotationDeg || 0);
+  return {
+    x: cabinet.x + depth * Math.sin(angle) - lateral * Math.cos(angle),
+    y: cabinet.y - depth * Math.cos(angle) - lateral * Math.sin(angle),
+  };
+}
+
+export function getMountedCabinet(equipment, item) {
+  if (!item) return null;
+  if (item.type === "cabinet") return item;
+  const cabinet = isRackMounted(item) ? findById(equipment, item.mountedIn) : null;
+  return cabinet?.type === "cabinet" ? cabinet : null;
+}
@@ -0,0 +1,306 @@
+import { RACK_BASE_CLEARANCE, RU_HEIGHT, findById, getTrayAnchor, getTraySegments } from "./modeling.js";
+import { getMountOffset, getMountPoint } from "./rack.js";
+
+// Fittings are where tray runs join. Tees and crosses join runs at one
+// elevation, risers join two elevations and waterfall drops lead cables down
+// into a cabinet.
+export const FITTING_TYPES = {
+  tee: "Tee",
+  cross: "Cross",
+  riser: "Riser",
+  drop: "Waterfall Drop",
+};
+
+// Tray ends closer than this to another tray (in plan and in height) are
+// treated as joined.
+const JOIN_TOLERANCE = 200;
+
+function distance3d(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y, a.z - b.z);
+}
+
+function pointAt(segment, t) {
+  return {
+    x: segment.start.x + (segment.end.x - segment.start.x) * t,
+    y: segment.start.y + (segment.end.y - segment.start.y) * t,
+    z: segment.start.z + (segment.end.z - segment.start.z) * t,
+  };
+}
+
+// Parameter of the plan projection of `point` onto `segment`, clamped to it.
+function projectOnSegment(segment, point) {
+  const dx = segment.end.x - segment.start.x;
+  const dy = segment.end.y - segment.start.y;
+  const lengthSq = dx * dx + dy * dy || 1;
+  return Math.max(0, Math.min(1, ((point.x - segment.start.x) * dx + (point.y - segment.start.y) * dy) / lengthSq));
+}
+
+function planDistance(a, b) {
+  return Math.hypot(a.x - b.x, a.y - b.y);
+}
+
+// Plan intersection of two segments as parameters along each, or null.
+function intersectSegments(a, b) {
+  const r = { x: a.end.x - a.start.x, y: a.end.y - a.start.y };
+  const s = { x: b.end.x - b.start.x, y: b.end.y - b.start.y };
+  const denominator = r.x * s.y - r.y * s.x;
+  if (Math.abs(denominator) < 1e-9) return null;
+  const qp = { x: b.start.x - a.start.x, y: b.start.y - a.start.y };
+  const t = (qp.x * s.y - qp.y * s.x) / denominator;
+  const u = (qp.x * r.y - qp.y * r.x) / denominator;
+  return t >= 0 && t <= 1 && u >= 0 && u <= 1 ? { t, u } : null;
+}
+
+function getFittingPoints(fitting) {
+  const base = { x: fitting.x, y: fitting.y, z: fitting.z };
+  return fitting.type === "riser" ? [base, { x: fitting.x, y: fitting.y, z: fitting.topZ }] : [base];
+}
+
+// Builds a graph of every tray segment. Runs join where their vertices meet
+// and at fittings, which split the runs passing through them; runs that merely
+// cross without a fitting stay separate. Nodes are points; edges remember the
+// segment and the parameter range they cover so routes can join part-way
+// along them.
+export function buildTrayNetwork(trays, fittings = []) {
+  const segments = trays.flatMap((tray) => getTraySegments(tray).map((segment, segmentIndex) => ({ ...segment, trayId: tray.id, segmentIndex })));
+  const junctions = fittings.flatMap(getFittingPoints);
+  const splits = segments.map((segment) => [
+    0,
+    1,
+    ...junctions
+      .map((point) => projectOnSegment(segment, point))
+      .filter((t, index) => distance3d(pointAt(segment, t), junctions[index]) <= JOIN_TOLERANCE),
+  ]);
+
+  const nodes = [];
+  const addNode = (point) => {
+    const existing = nodes.findIndex((node) => distance3d(node, point) <= JOIN_TOLERANCE);
+    if (existing >= 0) return existing;
+    nodes.push(point);
+    return nodes.length - 1;
+  };
+  // Fitting nodes go in first so the tray splits around them snap onto them.
+  const fittingNodes = fittings.map((fitting) => getFittingPoints(fitting).map(addNode));
+  const edges = [];
+  segments.forEach((segment, index) => {
+    const ts = [...new Set(splits[index])].sort((a, b) => a - b);
+    ts.slice(1).forEach((t1, k) => {
+      const t0 = ts[k];
+      const a = addNode(pointAt(segment, t0));
+      const b = addNode(pointAt(segment, t1));
+      if (a !== b) edges.push({ a, b, segment, t0, t1, trayId: segment.trayId, length: distance3d(nodes[a], nodes[b]) });
+    });
+  });
+  fittings.forEach((fitting, index) => {
+    if (fitting.type !== "riser") return;
+    const [a, b] = fittingNodes[index];
+    const segment = { start: nodes[a], end: nodes[b], trayId: fitting.id, segmentIndex: 0 };
+    if (a !== b) edges.push({ a, b, segment, t0: 0, t1: 1, trayId: fitting.id, fitting: true, length: distance3d(nodes[a], nodes[b]) });
+  });
+  const drops = fittings
+    .map((fitting, index) => (fitting.type === "drop" ? { cabinetId: fitting.cabinetId, node: fittingNodes[index][0] } : null))
+    .filter(Boolean);
+  return { nodes, edges, drops };
+}
+
+function isInterior(segment, point) {
+  return planDistance(point, segment.start) > JOIN_TOLERANCE && planDistance(point, segment.end) > JOIN_TOLERANCE;
+}
+
+// Points where runs at one elevation cross or butt into each other without a
+// fitting, as suggested crosses and tees.
+export function findTrayJunctions(trays, fittings = []) {
+  const covered = fittings.flatMap(getFittingPoints);
+  const found = [];
+  const add = (type, point) => {
+    if ([...covered, ...found].some((other) => distance3d(other, point) <= JOIN_TOLERANCE)) return;
+    found.push({ type, x: Math.round(point.x), y: Math.round(point.y), z: point.z });
+  };
+  trays.forEach((trayA, i) => {
+    trays.forEach((trayB, j) => {
+      if (j <= i || Math.abs(trayA.z - trayB.z) > JOIN_TOLERANCE) return;
+      const segmentsA = getTraySegments(trayA);
+      const segmentsB = getTraySegments(trayB);
+      segmentsA.forEach((a) => {
+        segmentsB.forEach((b) => {
+          const crossing = intersectSegments(a, b);
+          if (!crossing) return;
+          if (isInterior(a, pointAt(a, crossing.t)) && isInterior(b, pointAt(b, crossing.u))) add("cross", pointAt(a, crossing.t));
+        });
+      });
+      // A run ending part-way along another is a tee; runs meeting at a vertex
+      // are already joined.
+      [[trayA, segmentsB], [trayB, segmentsA]].forEach(([tray, others]) => {
+        const points = tray.points || [];
+        [points[0], points[points.length - 1]].filter(Boolean).forEach((end) => {
+          const point = { x: end.x, y: end.y, z: tray.z };
+          others.forEach((segment) => {
+            const onto = pointAt(segment, projectOnSegment(segment, point));
+            if (isInterior(segment, onto) && distance3d(onto, point) <= JOIN_TOLERANCE) add("tee", onto);
+          });
+        });
+      });
+    });
+  });
+  return found;
+}
+
+// Where a cable from `point` joins the network: the closest point in plan on
+// any tray edge.
+function findEntry(network, point) {
+  let best = null;
+  network.edges.forEach((edge, index) => {
+    if (edge.fitting) return;
+    const t = edge.t0 + (edge.t1 - edge.t0) * projectOnSegment({ start: pointAt(edge.segment, edge.t0), end: pointAt(edge.segment, edge.t1) }, point);
+    const onTray = pointAt(edge.segment, t);
+    const distance = planDistance(onTray, point);
+    if (!best || distance < best.distance) best = { edgeIndex: index, point: onTray, distance };
+  });
+  return best;
+}
+
+// Returns the visited nodes and the network edge index used for each hop.
+function shortestPath(nodeCount, adjacency, source, target) {
+  const distances = new Array(nodeCount).fill(Infinity);
+  const previous = new Array(nodeCount).fill(null);
+  const done = new Array(nodeCount).fill(false);
+  distances[source] = 0;
+  for (let step = 0; step < nodeCount; step += 1) {
+    let current = -1;
+    distances.forEach((value, index) => {
+      if (!done[index] && value < Infinity && (current < 0 || value < distances[current])) current = index;
+    });
+    if (current < 0 || current === target) break;
+    done[current] = true;
+    adjacency[current].forEach(({ node, length, edge }) => {
+      if (distances[current] + length < distances[node]) {
+        distances[node] = distances[current] + length;
+        previous[node] = { node: current, edge };
+      }
+    });
+  }
+  if (distances[target] === Infinity) return null;
+  const nodes = [target];
+  const edges = [];
+  for (let step = previous[target]; step; step = previous[step.node]) {
+    nodes.unshift(step.node);
+    edges.unshift(step.edge);
+  }
+  return { nodes, edges };
+}
+
+// Path along the trays between two points, entering and leaving the network
+// at a waterfall drop when the end has one and otherwise at the closest tray,
+// with the tray segments it runs along. Returns null when the trays do not
+// connect them.
+function routeThroughTrays(network, from, to, fromDrop, toDrop) {
+  const nodes = [...network.nodes];
+  const adjacency = nodes.map(() => []);
+  const link = (a, b, edge) => {
+    const length = distance3d(nodes[a], nodes[b]);
+    adjacency[a].push({ node: b, length, edge });
+    adjacency[b].push({ node: a, length, edge });
+  };
+  network.edges.forEach((edge, index) => link(edge.a, edge.b, index));
+  const attach = (point, drop) => {
+    if (drop !== null) return { node: drop, edgeIndex: null };
+    const entry = findEntry(network, point);
+    if (!entry) return null;
+    nodes.push(entry.point);
+    adjacency.push([]);
+    const node = nodes.length - 1;
+    link(node, network.edges[entry.edgeIndex].a, entry.edgeIndex);
+    link(node, network.edges[entry.edgeIndex].b, entry.edgeIndex);
+    return { node, edgeIndex: entry.edgeIndex };
+  };
+  const source = attach(from, fromDrop);
+  const target = source && attach(to, toDrop);
+  if (!source || !target) return null;
+  if (source.edgeIndex !== null && source.edgeIndex === target.edgeIndex) link(source.node, target.node, source.edgeIndex);
+  const path = shortestPath(nodes.length, adjacency, source.node, target.node);
+  if (!path) return null;
+  const traySegments = [];
+  path.edges.forEach((index, hop) => {
+    // Joining a tray exactly at a node does not run the cable along it.
+    if (distance3d(nodes[path.nodes[hop]], nodes[path.nodes[hop + 1]]) <= 1) return;
+    const { trayId, segmentIndex } = network.edges[index].segment;
+    if (!traySegments.some((entry) => entry.trayId === trayId && entry.segmentIndex === segmentIndex)) traySegments.push({ trayId, segmentIndex });
+  });
+  return { points: path.nodes.map((node) => nodes[node]), traySegments };
+}
+
+// The drop node serving the cabinet an endpoint sits in, or null.
+function findDrop(network, ref, equipment) {
+  if (ref.kind !== "equipment") return null;
+  const item = findById(equipment, ref.id);
+  const cabinetId = item?.type === "cabinet" ? item.id : item?.mountedIn;
+  return network.drops.find((drop) => drop.cabinetId === cabinetId)?.node ?? null;
+}
+
+export function getConnectionAnchor(ref, { equipment = [], trays = [], passThroughs = [] }) {
+  if (!ref) return null;
+  if (ref.kind === "equipment") {
+    const item = findById(equipment, ref.id);
+    if (!item) return null;
+    const mountedCabinet = findById(equipment, item.mountedIn);
+    const base = mountedCabinet && mountedCabinet.type === "cabinet" ? mountedCabinet : item;
+    // Named ports are spread evenly across the device width.
+    const ports = item.ports || [];
+    const portIndex = ref.port ? ports.findIndex((port) => port.name === ref.port) : -1;
+    const lateral = portIndex >= 0 ? ((portIndex + 0.5) / ports.length - 0.5) * item.width : 0;
+    // Mounted devices sit on their rail or in their side channel, where the plan draws them.
+    const mount = base !== item ? getMountOffset(item, base) : { lateral: 0, depth: 0 };
+    const { x, y } = getMountPoint(base, { lateral: mount.lateral + lateral, depth: mount.depth });
+    if (base !== item) {
+      // Outlets on a 0U strip are numbered from the top down.
+      const outletZ = ref.outlet && item.outletCount ? item.height * (1 - (ref.outlet - 0.5) / item.outletCount) : item.height / 2;
+      return { x, y, z: ((item.rackStart || 1) - 1) * RU_HEIGHT + outletZ + RACK_BASE_CLEARANCE };
+    }
+    return { x, y, z: item.height };
+  }
+  if (ref.kind === "tray") {
+    const tray = findById(trays, ref.id);
+    if (!tray) return null;
+    return getTrayAnchor(tray);
+  }
+  if (ref.kind === "passThrough") {
+    const point = findById(passThroughs, ref.id);
+    if (!point) return null;
+    return { x: point.x, y: point.y, z: point.z };
+  }
+  return null;
+}
+
+function dropDuplicates(points) {
+  return points.filter((point, index) => index === 0 || distance3d(point, points[index - 1]) > 1);
+}
+
+// Full 3D polyline for a cable. Manual waypoints override routing and are
+// followed at the cable's route height; otherwise the cable rises or drops
+// to its waterfall drop or the nearest tray, follows the tray network and
+// drops to its far end. Without a connected tray path it runs straight across
+// at route height.
+export function getConnectionRoute(connection, model, network = buildTrayNetwork(model.trays || [], model.fittings || [])) {
+  const fromRef = { kind: connection.fromKind, id: connection.fromId, port: connection.fromPort, outlet: connection.fromOutlet };
+  const toRef = { kind: connection.toKind, id: connection.toId, port: connection.toPort, outlet: connection.toOutlet };
+  const from = getConnectionAnchor(fromRef, model);
+  const to = getConnectionAnchor(toRef, model);
+  if (!from || !to) return null;
+  const waypoints = connection.waypoints || [];
+  const routeHeight = Math.max(connection.routeHeight, from.z, to.z);
+  const equipment = model.equipment || [];
+  const trayPath = waypoints.length === 0 && network.edges.length > 0
+    ? routeThroughTrays(network, from, to, findDrop(network, fromRef, equipment), findDrop(network, toRef, equipment))
+    : null;
+  const middle = trayPath
+    ? trayPath.points
+    : [{ x: from.x, y: from.y, z: routeHeight }, ...waypoints.map((point) => ({ x: point.x, y: point.y, z: routeHeight })), { x: to.x, y: to.y, z: routeHeight }];
+  const first = middle[0];
+  const last = middle[middle.length - 1];
+  const points = dropDuplicates([from, { x: from.x, y: from.y, z: first.z }, ...middle, { x: to.x, y: to.y, z: last.z }, to]);
+  return { points, from, to, mode: waypoints.length > 0 ? "manual" : trayPath ? "tray" : "direct", traySegments: trayPath ? trayPath.traySegments : [] };
+}
+
+export function getRouteLength(points) {
+  return points.slice(1).reduce((sum, point, index) => sum + distance3d(points[index], point), 0);
+}
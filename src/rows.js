@@ -0,0 +1,76 @@
+import { degToRad } from "./modeling.js";
+
+export const CONTAINMENT_TYPES = { cold: "Cold Aisle", hot: "Hot Aisle" };
+
+// The side of a row that lines its contained aisle. Fronts take in cold air,
+// so a row contained at the front shares a cold aisle and one contained at
+// the rear shares a hot aisle.
+export const AISLE_SIDES = { front: "Front (cold aisle)", rear: "Rear (hot aisle)" };
+
+// Rows store the first cabinet's position and the rotation every cabinet
+// shares; the rest stand `pitch` apart along the cabinets' local x axis.
+export function getRowPlacement(row, index) {
+  const angle = degToRad(row.rotationDeg || 0);
+  return {
+    x: Math.round(row.x + Math.cos(angle) * row.pitch * index),
+    y: Math.round(row.y + Math.sin(angle) * row.pitch * index),
+    rotationDeg: row.rotationDeg,
+  };
+}
+
+export function getRowCabinets(equipment, rowId) {
+  return equipment.filter((item) => item.rowId === rowId).sort((a, b) => a.rowIndex - b.rowIndex);
+}
+
+// Moves every cabinet of `row` to its slot, for when the row is moved,
+// rotated or respaced.
+export function layoutRow(equipment, row) {
+  return equipment.map((item) => (item.rowId === row.id ? { ...item, ...getRowPlacement(row, item.rowIndex) } : item));
+}
+
+export function getNextRowIndex(equipment, rowId) {
+  return Math.max(-1, ...equipment.filter((item) => item.rowId === rowId).map((item) => item.rowIndex)) + 1;
+}
+
+// Corners of a containment, whose length runs along rotationDeg.
+export function getContainmentPolygon(containment) {
+  const angle = degToRad(containment.rotationDeg || 0);
+  const along = { x: Math.cos(angle) * (containment.length / 2), y: Math.sin(angle) * (containment.length / 2) };
+  const across = { x: -Math.sin(angle) * (containment.width / 2), y: Math.cos(angle) * (containment.width / 2) };
+  return [
+    { x: containment.x - along.x - across.x, y: containment.y - along.y - across.y },
+    { x: containment.x + along.x - across.x, y: containment.y + along.y - across.y },
+    { x: containment.x + along.x + across.x, y: containment.y + along.y + across.y },
+    { x: containment.x - along.x + across.x, y: containment.y - along.y + across.y },
+  ];
+}
+
+// The two short edges of a containment, where its end doors hang.
+export function getContainmentEnds(containment) {
+  const [a, b, c, d] = getContainmentPolygon(containment);
+  return [[d, a], [b, c]];
+}
+
+// Containment covering the aisle on the row's aisle side, `aisleWidth` deep
+// and as long and tall as the row's cabinets.
+export function getRowContainment(row, cabinets, aisleWidth) {
+  if (cabinets.length === 0) return null;
+  const first = cabinets[0].rowIndex;
+  const last = cabinets[cabinets.length - 1].rowIndex;
+  const middle = getRowPlacement(row, (first + last) / 2);
+  const depth = Math.max(...cabinets.map((item) => item.depth));
+  const angle = degToRad(row.rotationDeg || 0);
+  const side = row.aisleSide === "rear" ? -1 : 1;
+  const offset = side * (depth / 2 + aisleWidth / 2);
+  return {
+    type: row.aisleSide === "rear" ? "hot" : "cold",
+    x: Math.round(middle.x - Math.sin(angle) * offset),
+    y: Math.round(middle.y + Math.cos(angle) * offset),
+    rotationDeg: row.rotationDeg,
+    length: Math.round((last - first) * row.pitch + Math.max(...cabinets.map((item) => item.width))),
+    width: aisleWidth,
+    height: Math.max(...cabinets.map((item) => item.height)),
+    endDoors: true,
+    roof: true,
+  };
+}
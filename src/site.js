@@ -0,0 +1,147 @@
+import { DEFAULT_CABLING } from "./cabling.js";
+import { DEFAULT_CATALOG } from "./catalog.js";
+import { createId, createRectangleOutline, findById, getPolygonBounds, getRoomFootprint } from "./modeling.js";
+
+// Aisle clearance is kept in front of floor-standing equipment and service
+// clearance behind it. Floor loading is the rated load in kg per square metre.
+export const ROOM_DEFAULTS = { height: 3200, floorElevation: 300, floorTileSize: 600, aisleClearance: 1200, serviceClearance: 600, floorLoading: 1200, gridOrigin: { x: 0, y: 0 } };
+const ROOM_SPACING = 2000;
+
+// Each level of the hierarchy points at its parent by ID, like every other
+// cross-reference in the model.
+export const PARENT_FIELDS = { buildings: "siteId", floors: "buildingId", rooms: "floorId" };
+export const CHILD_COLLECTIONS = { sites: "buildings", buildings: "floors", floors: "rooms" };
+
+export function createRoomRecord(floorId, name, origin = { x: 0, y: 0 }) {
+  return {
+    id: createId("room"),
+    name,
+    floorId,
+    origin,
+    room: { ...ROOM_DEFAULTS, outline: createRectangleOutline(6000, 9000) },
+    openings: [],
+    equipment: [],
+    trays: [],
+    fittings: [],
+    circuits: [],
+    rows: [],
+    containments: [],
+    tiles: [],
+    underfloor: [],
+    annotations: [],
+    connections: [],
+    passThroughs: [],
+  };
+}
+
+export function createDefaultProject() {
+  const site = { id: createId("site"), name: "Site 1" };
+  const building = { id: createId("building"), name: "Building 1", siteId: site.id };
+  const floor = { id: createId("floor"), name: "Floor 1", buildingId: building.id, level: 0 };
+  return {
+    catalog: DEFAULT_CATALOG.map((entry) => ({ ...entry, ports: [...entry.ports] })),
+    cabling: { ...DEFAULT_CABLING, stockLengths: [...DEFAULT_CABLING.stockLengths] },
+    sites: [site],
+    buildings: [building],
+    floors: [floor],
+    rooms: [createRoomRecord(floor.id, "Room 1")],
+    links: [],
+  };
+}
+
+export function getRoomWorldOutline(record) {
+  return getRoomFootprint(record.room).map((point) => ({ x: point.x + record.origin.x, y: point.y + record.origin.y }));
+}
+
+export function getFloorRooms(project, floorId) {
+  return project.rooms.filter((record) => record.floorId === floorId);
+}
+
+export function getRoomPath(project, roomId) {
+  const record = findById(project.rooms, roomId);
+  const floor = record ? findById(project.floors, record.floorId) : null;
+  const building = floor ? findById(project.buildings, floor.buildingId) : null;
+  const site = building ? findById(project.sites, building.siteId) : null;
+  return [site, building, floor, record].filter(Boolean).map((node) => node.name).join(" / ");
+}
+
+export function addHierarchyNode(project, collection, parentId) {
+  const siblings = project[collection].filter((node) => !PARENT_FIELDS[collection] || node[PARENT_FIELDS[collection]] === parentId);
+  const noun = { sites: "Site", buildings: "Building", floors: "Floor", rooms: "Room" }[collection];
+  const name = `${noun} ${siblings.length + 1}`;
+  if (collection === "rooms") {
+    const maxX = siblings.reduce((edge, record) => Math.max(edge, getPolygonBounds(getRoomWorldOutline(record)).maxX), -ROOM_SPACING);
+    const record = createRoomRecord(parentId, name, { x: maxX + ROOM_SPACING, y: 0 });
+    return { project: { ...project, rooms: [...project.rooms, record] }, id: record.id };
+  }
+  const node = { id: createId(collection.slice(0, -1)), name };
+  if (PARENT_FIELDS[collection]) node[PARENT_FIELDS[collection]] = parentId;
+  if (collection === "floors") node.level = siblings.length;
+  return { project: { ...project, [collection]: [...project[collection], node] }, id: node.id };
+}
+
+export function renameHierarchyNode(project, collection, id, name) {
+  return { ...project, [collection]: project[collection].map((node) => (node.id === id ? { ...node, name } : node)) };
+}
+
+function collectDescendants(project, collection, id, removed) {
+  removed[collection].add(id);
+  const childCollection = CHILD_COLLECTIONS[collection];
+  if (!childCollection) return;
+  project[childCollection]
+    .filter((child) => child[PARENT_FIELDS[childCollection]] === id)
+    .forEach((child) => collectDescendants(project, childCollection, child.id, removed));
+}
+
+function getRemovedNodes(project, collection, id) {
+  const removed = { sites: new Set(), buildings: new Set(), floors: new Set(), rooms: new Set() };
+  collectDescendants(project, collection, id, removed);
+  return removed;
+}
+
+// A node can go as long as some room is left to edit.
+export function canRemoveHierarchyNode(project, collection, id) {
+  const removed = getRemovedNodes(project, collection, id);
+  return project.rooms.some((record) => !removed.rooms.has(record.id));
+}
+
+// Removes a node and everything below it. Refuses (returns the project
+// unchanged) when that would leave the project without any room to edit.
+export function removeHierarchyNode(project, collection, id) {
+  if (!canRemoveHierarchyNode(project, collection, id)) return project;
+  const removed = getRemovedNodes(project, collection, id);
+  const next = {
+    sites: project.sites.filter((node) => !removed.sites.has(node.id)),
+    buildings: project.buildings.filter((node) => !removed.buildings.has(node.id)),
+    floors: project.floors.filter((node) => !removed.floors.has(node.id)),
+    rooms: project.rooms.filter((node) => !removed.rooms.has(node.id)),
+  };
+  return pruneLinks({ ...project, ...next });
+}
+
+// Drops cross-room links whose pass-through points no longer exist.
+export function pruneLinks(project) {
+  const exists = (roomId, passThroughId) => Boolean(findById(findById(project.rooms, roomId)?.passThroughs || [], passThroughId));
+  const links = project.links.filter((link) => exists(link.fromRoomId, link.fromPassThroughId) && exists(link.toRoomId, link.toPassThroughId));
+  return links.length === project.links.length ? project : { ...project, links };
+}
+
+export function getLinkedPassThrough(project, roomId, passThroughId) {
+  const link = project.links.find(
+    (candidate) =>
+      (candidate.fromRoomId === roomId && candidate.fromPassThroughId === passThroughId) ||
+      (candidate.toRoomId === roomId && candidate.toPassThroughId === passThroughId)
+  );
+  if (!link) return null;
+  const isFrom = link.fromRoomId === roomId && link.fromPassThroughId === passThroughId;
+  const otherRoom = findById(project.rooms, isFrom ? link.toRoomId : link.fromRoomId);
+  const otherPoint = otherRoom ? findById(otherRoom.passThroughs, isFrom ? link.toPassThroughId : link.fromPassThroughId) : null;
+  return otherPoint ? { link, room: otherRoom, passThrough: otherPoint } : null;
+}
+
+// Recipes that refuse an edit return their record unchanged, which leaves the
+// project as it was so no empty history step is recorded.
+export function updateRoomRecord(project, roomId, recipe) {
+  const rooms = project.rooms.map((record) => (record.id === roomId ? recipe(record) : record));
+  return rooms.every((record, index) => record === project.rooms[index]) ? project : { ...project, rooms };
+}
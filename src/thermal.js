@@ -0,0 +1,121 @@
+import { findById, getFront, getPolygonArea, getPolygonBounds, getRoomFootprint, isPointInsidePolygon } from "./modeling.js";
+import { getDeviceDraw } from "./power.js";
+import { isRackMounted } from "./rack.js";
+
+// Supply air leaves the cooling units at this temperature. Inlets above the
+// recommended limit are reported as hot spots.
+export const SUPPLY_TEMPERATURE = 18;
+export const INLET_LIMIT = 27;
+
+// Tuning for the estimate: how far heat spreads around its source, how many
+// degrees one W/m2 of uncooled heat adds, how far a unit rated at
+// REFERENCE_COOLING throws its air, and how much of the heat full coverage
+// removes.
+const HEAT_SPREAD = 1200;
+const RISE_PER_WATT = 0.025;
+const REFERENCE_COOLING = 30000;
+const REFERENCE_THROW = 5000;
+const RETURN_REACH = 800;
+const COVERAGE_EFFECT = 0.85;
+const MAX_CELLS = 4000;
+const INLET_OFFSET = 300;
+
+const TEMPERATURE_STOPS = [
+  [SUPPLY_TEMPERATURE, [0x2a, 0x7b, 0xc9]],
+  [22, [0x3c, 0x8a, 0x4d]],
+  [INLET_LIMIT, [0xd1, 0x9a, 0x1f]],
+  [35, [0xd2, 0x44, 0x44]],
+];
+
+// Heat sources sit at the floor position of the device, or of its cabinet
+// for mounted devices.
+function getHeatSources(equipment) {
+  const sources = new Map();
+  equipment.forEach((item) => {
+    if (item.type === "crac") return;
+    const draw = getDeviceDraw(item);
+    if (!(draw > 0)) return;
+    const base = isRackMounted(item) ? findById(equipment, item.mountedIn) || item : item;
+    const source = sources.get(base.id) || { x: base.x, y: base.y, watts: 0 };
+    source.watts += draw;
+    sources.set(base.id, source);
+  });
+  return [...sources.values()];
+}
+
+// Share of a cooling unit's air that reaches `point`. Air leaves the front
+// and widens as it travels; the return side draws in air close behind.
+function getReach(unit, point) {
+  const front = getFront(unit);
+  const dx = point.x - unit.x;
+  const dy = point.y - unit.y;
+  const along = dx * front.x + dy * front.y - unit.depth / 2;
+  const lateral = dx * front.y - dy * front.x;
+  if (along < 0) return 0.5 * Math.exp(-Math.hypot(dx, dy) / RETURN_REACH);
+  const throwDistance = REFERENCE_THROW * Math.sqrt((unit.coolingWatts || 0) / REFERENCE_COOLING);
+  if (throwDistance <= 0) return 0;
+  const spread = unit.width / 2 + along * 0.5;
+  return Math.exp(-along / throwDistance) * Math.exp(-(lateral * lateral) / (2 * spread * spread));
+}
+
+function getTemperatureAt(point, sources, units, coolingRatio) {
+  const sigma = HEAT_SPREAD / 1000;
+  const density = sources.reduce((sum, source) => {
+    const distance = Math.hypot(point.x - source.x, point.y - source.y) / 1000;
+    return sum + (source.watts * Math.exp(-(distance * distance) / (2 * sigma * sigma))) / (2 * Math.PI * sigma * sigma);
+  }, 0);
+  const coverage = Math.min(1, units.reduce((sum, unit) => sum + getReach(unit, point), 0)) * coolingRatio;
+  return SUPPLY_TEMPERATURE + density * RISE_PER_WATT * (1 - COVERAGE_EFFECT * coverage);
+}
+
+// A simplified steady-state estimate on a grid over the room: device power
+// becomes heat spread around its position, and cooling units blow supply air
+// out of their front. When the units cannot remove all of the heat, their
+// coverage counts for proportionally less. Cells outside the room are null.
+// Hot spots are cabinets whose front inlet is above INLET_LIMIT.
+export function getThermalField(record) {
+  const { room, equipment } = record;
+  const footprint = getRoomFootprint(room);
+  const bounds = getPolygonBounds(footprint);
+  const cellSize = Math.max(250, Math.sqrt(getPolygonArea(footprint) / MAX_CELLS));
+  const cols = Math.max(1, Math.ceil((bounds.maxX - bounds.minX) / cellSize));
+  const rows = Math.max(1, Math.ceil((bounds.maxY - bounds.minY) / cellSize));
+  const sources = getHeatSources(equipment);
+  const units = equipment.filter((item) => item.type === "crac");
+  const heat = sources.reduce((sum, source) => sum + source.watts, 0);
+  const cooling = units.reduce((sum, unit) => sum + (unit.coolingWatts || 0), 0);
+  const coolingRatio = heat > 0 ? Math.min(1, cooling / heat) : 1;
+
+  const cells = [];
+  let max = SUPPLY_TEMPERATURE;
+  for (let row = 0; row < rows; row += 1) {
+    for (let col = 0; col < cols; col += 1) {
+      const point = { x: bounds.minX + (col + 0.5) * cellSize, y: bounds.minY + (row + 0.5) * cellSize };
+      const temperature = isPointInsidePolygon(point, footprint) ? getTemperatureAt(point, sources, units, coolingRatio) : null;
+      if (temperature !== null) max = Math.max(max, temperature);
+      cells.push(temperature);
+    }
+  }
+
+  const hotSpots = equipment
+    .filter((item) => item.type === "cabinet")
+    .map((cabinet) => {
+      const front = getFront(cabinet);
+      const reach = cabinet.depth / 2 + INLET_OFFSET;
+      const inlet = { x: cabinet.x + front.x * reach, y: cabinet.y + front.y * reach };
+      return { cabinet, temperature: getTemperatureAt(inlet, sources, units, coolingRatio) };
+    })
+    .filter((entry) => entry.temperature > INLET_LIMIT);
+
+  return { minX: bounds.minX, minY: bounds.minY, cellSize, cols, rows, cells, max, heat, cooling, hotSpots };
+}
+
+export function getTemperatureColor(temperature) {
+  const upper = TEMPERATURE_STOPS.findIndex(([limit]) => temperature <= limit);
+  if (upper === 0) return TEMPERATURE_STOPS[0][1];
+  if (upper === -1) return TEMPERATURE_STOPS[TEMPERATURE_STOPS.length - 1][1];
+  const [fromLimit, from] = TEMPERATURE_STOPS[upper - 1];
+  const [toLimit, to] = TEMPERATURE_STOPS[upper];
+  const t = (temperature - fromLimit) / (toLimit - fromLimit);
+  return from.map((channel, index) => Math.round(channel + (to[index] - channel) * t));
+}